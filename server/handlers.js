@@ -0,0 +1,113 @@
+// server/handlers.js
+// API のエンドポイント本体。Supabase Edge Function と同じく
+// 「ログイン済みユーザー + リクエストbody → レスポンスbody」の関数として書き、HTTPの扱いは index.js に任せる
+import { generateJson } from "../src/ai/responses.js";
+import { TRANSLATION_SCHEMA, GENERATED_SPOTS_SCHEMA } from "../src/ai/schemas.js";
+import { LANGUAGES, isLanguage } from "../src/data/languages.js";
+import { Buffer } from "buffer";
+import { ApiError } from "./lib/http.js";
+
+const MAX_THEME_LENGTH = 100;
+const MAX_NARRATION_LENGTH = 1000;
+
+// --- 入力チェック ---
+function requireLang(value) {
+  if (!isLanguage(value)) throw new ApiError(400, `lang は ${Object.keys(LANGUAGES).join(" / ")} のどれかを指定してください`);
+  return value;
+}
+
+function requireTheme(value) {
+  const theme = typeof value === "string" ? value.trim() : "";
+  if (!theme) throw new ApiError(400, "theme を指定してください");
+  if (theme.length > MAX_THEME_LENGTH) throw new ApiError(400, `theme は${MAX_THEME_LENGTH}文字以内にしてください`);
+  return theme;
+}
+
+function requireNarration(value) {
+  const text = typeof value === "string" ? value.trim() : "";
+  if (!text) throw new ApiError(400, "text を指定してください");
+  if (text.length > MAX_NARRATION_LENGTH) throw new ApiError(400, `text は${MAX_NARRATION_LENGTH}文字以内にしてください`);
+  return text;
+}
+
+// 枠を先に押さえてから fn を実行し、失敗したら払い戻す
+async function withQuota(quota, user, action, fn) {
+  const refund = quota.reserve(user, action);
+  try {
+    return await fn();
+  } catch (e) {
+    refund();
+    throw e;
+  }
+}
+
+function requireSpotId(value) {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) throw new ApiError(400, "spotId が正しくありません");
+  return id;
+}
+
+export function createHandlers({ spots, llm, tts, quota }) {
+  // POST /generate-spots { theme, lang } → { spots: [追加したスポット] }
+  const generateSpots = async ({ user, body }) => {
+    const theme = requireTheme(body.theme);
+    const lang = requireLang(body.lang);
+    const inserted = await withQuota(quota, user, "generate", async () => {
+      const prompt = `歴史ガイドとして「${theme}」のスポットを3つ選んで。言語: ${LANGUAGES[lang].label}。出力(JSON): [{"name":"名称 #タグ","lat":0,"lon":0,"description":"解説"}]`;
+      const newSpots = await generateJson(llm.model("generate"), prompt, GENERATED_SPOTS_SCHEMA);
+      return spots.insertSpots(newSpots.map(s => ({ ...s, name_ja: s.name, description_ja: s.description, category: "history" })));
+    });
+
+    console.log(`✨ generate-spots: ${user.email} 「${theme}」 → ${inserted.length}件`);
+    return { spots: inserted, remaining: quota.remaining(user, "generate") };
+  };
+
+  // POST /translate-spot { spotId, lang } → { name, description }
+  // 翻訳対象のテキストはクライアントから受け取らず、DBのスポットから組み立てる
+  const translateSpot = async ({ user, body }) => {
+    const spotId = requireSpotId(body.spotId);
+    const lang = requireLang(body.lang);
+
+    // getSpot は見つからないと例外を投げるので 404 にする
+    const spot = await spots.getSpot(spotId).catch(() => null);
+    if (!spot) throw new ApiError(404, "スポットが見つかりません");
+
+    // 既に翻訳済みなら AI を呼ばずに返す (枠も消費しない)
+    if (spot[`name_${lang}`] && spot[`description_${lang}`]) {
+      return { name: spot[`name_${lang}`], description: spot[`description_${lang}`], cached: true };
+    }
+
+    const json = await withQuota(quota, user, "translate", async () => {
+      const prompt = `Translate/Rewrite into ${LANGUAGES[lang].name}. Target: "${spot.name}" Desc: "${spot.description}" Output JSON only: { "name": "Name", "description": "Desc (max 150 chars)" }`;
+      const translated = await generateJson(llm.model("translate"), prompt, TRANSLATION_SCHEMA);
+      await spots.updateTranslations(spot.id, lang, translated);
+      return translated;
+    });
+
+    return { name: json.name, description: json.description, cached: false };
+  };
+
+  // POST /voices { lang } → { voices: [声の名前] }
+  const listVoices = async ({ body }) => {
+    requireLang(body.lang);
+    return { voices: tts.voices(body.lang) };
+  };
+
+  // POST /narrate { text, lang, voice } → { audio: base64, mimeType }
+  // 読み上げの文はスポットの解説に限らない (ライドの移動の一言・ツアーの差し替えもある) ので text を受け取り、長さと回数で抑える
+  // 同じ文を何度も合成しないよう、ブラウザ側でスポット+言語ごとに保存して使い回す (src/tts/narrationCache.js)
+  const narrate = async ({ user, body }) => {
+    const text = requireNarration(body.text);
+    const lang = requireLang(body.lang);
+    const { audio, mimeType } = await withQuota(quota, user, "narrate", () => tts.synthesize(text, { lang, voice: body.voice }));
+
+    return { audio: Buffer.from(audio).toString("base64"), mimeType };
+  };
+
+  return {
+    "POST /generate-spots": generateSpots,
+    "POST /translate-spot": translateSpot,
+    "POST /voices": listVoices,
+    "POST /narrate": narrate,
+  };
+}
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+// GeoVoice API サーバー
+// AIのAPIキーとDBへの書き込み権限はこのサーバーだけが持ち、ブラウザはここ経由で生成・翻訳する
+// 使い方: npm run api  (既定ポート 8787。開発時は Vite が /api をここへ転送する)
+import dotenv from "dotenv";
+import http from "http";
+import process from "process";
+import { pathToFileURL } from "url";
+import { createRepositories } from "../tools/lib/repositories.js";
+import { isRateLimitError } from "../tools/lib/batch.js";
+import { createLlm } from "../src/ai/llm.js";
+import { createTts, TtsError } from "../src/ai/tts.js";
+import { AiResponseError } from "../src/ai/responses.js";
+import { createHandlers } from "./handlers.js";
+import { createQuota } from "./lib/quota.js";
+import { ApiError, readJson, sendJson, bearerToken } from "./lib/http.js";
+
+dotenv.config({ quiet: true });
+
+const PORT = Number(process.env.API_PORT || 8787);
+// カンマ区切りで許可するオリジン
+const ALLOWED_ORIGINS = (process.env.API_ALLOWED_ORIGINS || "http://localhost:5173,http://localhost:4173").split(",").map(s => s.trim());
+// 1ユーザー1日あたりの上限
+const QUOTA_LIMITS = {
+  generate: Number(process.env.API_QUOTA_GENERATE || 10),
+  translate: Number(process.env.API_QUOTA_TRANSLATE || 100),
+  narrate: Number(process.env.API_QUOTA_NARRATE || 300),
+};
+
+export function createApiServer({ spots, users, llm, tts, quota, allowedOrigins = ALLOWED_ORIGINS }) {
+  const routes = createHandlers({ spots, llm, tts, quota });
+
+  const corsHeaders = (req) => {
+    const origin = req.headers.origin;
+    if (!origin || !allowedOrigins.includes(origin)) return {};
+    return {
+      "Access-Control-Allow-Origin": origin,
+      "Access-Control-Allow-Headers": "Authorization, Content-Type",
+      "Access-Control-Allow-Methods": "POST, OPTIONS",
+      Vary: "Origin",
+    };
+  };
+
+  return http.createServer(async (req, res) => {
+    const headers = corsHeaders(req);
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, headers);
+      return res.end();
+    }
+
+    const path = new URL(req.url, "http://localhost").pathname;
+    if (req.method === "GET" && path === "/health") return sendJson(res, 200, { ok: true }, headers);
+
+    const handler = routes[`${req.method} ${path}`];
+    if (!handler) return sendJson(res, 404, { error: "Not Found" }, headers);
+
+    try {
+      // ★ログイン必須 (匿名ユーザーにAI生成・DB書き込みはさせない)
+      const token = bearerToken(req);
+      const user = token ? await users.getUserByToken(token) : null;
+      if (!user) throw new ApiError(401, "ログインが必要です");
+
+      const body = await readJson(req);
+      sendJson(res, 200, await handler({ user, body }), headers);
+    } catch (e) {
+      if (e instanceof ApiError) return sendJson(res, e.status, { error: e.message }, headers);
+      if (e instanceof AiResponseError) {
+        console.warn("⚠️ AI応答エラー:", e.message);
+        return sendJson(res, 502, { error: "AIの応答が不正でした。もう一度お試しください。" }, headers);
+      }
+      if (isRateLimitError(e)) return sendJson(res, 503, { error: "AIが混み合っています。しばらくしてからお試しください。" }, headers);
+      if (e instanceof TtsError) {
+        console.warn("⚠️ 音声合成エラー:", e.message);
+        return sendJson(res, 502, { error: "音声を合成できませんでした" }, headers);
+      }
+      console.error("❌ APIエラー:", e);
+      sendJson(res, 500, { error: "サーバーエラーが発生しました" }, headers);
+    }
+  });
+}
+
+// node server/index.js で直接起動されたときだけ listen する
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  let repositories;
+  try {
+    repositories = createRepositories({ serviceRole: true });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+  const { spots, users } = repositories;
+  const server = createApiServer({ spots, users, llm: createLlm(process.env), tts: createTts(process.env), quota: createQuota(QUOTA_LIMITS) });
+  server.listen(PORT, () => {
+    console.log(`🚀 GeoVoice API: http://localhost:${PORT}`);
+    console.log(`   上限/日: 生成 ${QUOTA_LIMITS.generate}回 / 翻訳 ${QUOTA_LIMITS.translate}回 / 読み上げ ${QUOTA_LIMITS.narrate}回`);
+  });
+}
@@ -0,0 +1,58 @@
+// server/lib/http.js
+// node:http 用の小さなヘルパー (フレームワークは使わない)
+import { Buffer } from "buffer";
+
+// ハンドラーから投げると、そのステータスとメッセージでJSONエラーを返す
+export class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+  }
+}
+
+const MAX_BODY_BYTES = 16 * 1024;
+
+// 本文は JSON のオブジェクトだけ受け付ける (null・配列・数値などはハンドラーに渡さない)
+export function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new ApiError(413, "リクエストが大きすぎます"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (chunks.length === 0) return resolve({});
+      let body;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+      } catch {
+        return reject(new ApiError(400, "JSONの形式が正しくありません"));
+      }
+      if (!isPlainObject(body)) return reject(new ApiError(400, "リクエストの本文はJSONのオブジェクトにしてください"));
+      resolve(body);
+    });
+    req.on("error", reject);
+  });
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+export function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// "Authorization: Bearer xxx" → "xxx"
+export function bearerToken(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  return match ? match[1].trim() : null;
+}
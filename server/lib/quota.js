@@ -0,0 +1,49 @@
+// server/lib/quota.js
+// ユーザーごとの1日あたりの利用回数制限。
+// 小規模運用が前提なのでメモリ上で数える (サーバーを再起動するとリセットされる)
+import { isVipUser } from "../../src/vipList.js";
+import { ApiError } from "./http.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// limits: { generate: 10, translate: 100 } のようにアクションごとの上限
+export function createQuota(limits, { windowMs = DAY_MS, now = () => Date.now() } = {}) {
+  const usage = new Map(); // "userId:action" → [実行時刻, ...]
+
+  const recent = (key) => {
+    const since = now() - windowMs;
+    const times = (usage.get(key) || []).filter(t => t > since);
+    usage.set(key, times);
+    return times;
+  };
+
+  return {
+    // 上限に達していれば 429。達していなければ1回分の枠を先に押さえ、払い戻す関数を返す
+    // (AIの呼び出しを待っている間に同じユーザーの別リクエストが上限をすり抜けないように)。VIPユーザーは無制限
+    reserve(user, action) {
+      if (isVipUser(user.email)) return () => {};
+      const limit = limits[action];
+      if (limit === undefined) throw new Error(`未知のアクション: ${action}`);
+      const key = `${user.id}:${action}`;
+      const times = recent(key);
+      if (times.length >= limit) {
+        throw new ApiError(429, `本日の利用上限 (${limit}回) に達しました。明日またお試しください。`);
+      }
+      const slot = now();
+      usage.set(key, [...times, slot]);
+      let refunded = false;
+      // 失敗したときに呼ぶ (AIの失敗で枠を消費させない)
+      return () => {
+        if (refunded) return;
+        refunded = true;
+        const current = usage.get(key) || [];
+        const index = current.indexOf(slot);
+        if (index !== -1) usage.set(key, current.filter((_, i) => i !== index));
+      };
+    },
+    remaining(user, action) {
+      if (isVipUser(user.email)) return null;
+      return Math.max(0, limits[action] - recent(`${user.id}:${action}`).length);
+    },
+  };
+}
@@ -0,0 +1,79 @@
+// src/ai/llm.js
+// タスク (translate / categorize / year / generate) ごとに、どのプロバイダーのどのモデルを使うかを決める。
+// server/ と tools/ から process.env を渡して使う (APIキーをブラウザに載せないため)
+//
+//   LLM_PROVIDER=gemini | openai | fake   (既定: gemini)
+//   LLM_MODEL_TRANSLATE=gemini-2.5-flash  (タスク別のモデル)
+//   LLM_MODEL_GENERATE=openai:llama3.1:8b (「プロバイダー:モデル」でプロバイダーも切り替え)
+//   GEMINI_API_KEY
+//   OPENAI_BASE_URL / OPENAI_API_KEY / OPENAI_MODEL (OpenAI互換サーバー)
+// どれもサーバー側だけの設定なので VITE_ は付けない (旧名の VITE_ 付きも読むが警告を出す)
+import { createGeminiProvider, createOpenAICompatibleProvider, createFakeProvider } from './providers.js';
+
+export const LLM_TASKS = ['translate', 'categorize', 'year', 'generate'];
+
+const warned = new Set();
+const readEnv = (env, name, legacyNames = [`VITE_${name}`]) => {
+  if (env[name]) return env[name];
+  const legacy = legacyNames.find(n => env[n]);
+  if (!legacy) return undefined;
+  if (!warned.has(legacy)) {
+    warned.add(legacy);
+    console.warn(`⚠️ ${legacy} は旧名です。.env で ${name} に変えてください (VITE_ 付きの変数はブラウザ向けのビルドに入りうるため)`);
+  }
+  return env[legacy];
+};
+
+const PROVIDER_FACTORIES = {
+  gemini: (env) => createGeminiProvider({ apiKey: readEnv(env, 'GEMINI_API_KEY', ['VITE_GEMINI_API_KEY', 'VITE_GOOGLE_API_KEY']) }),
+  openai: (env) => createOpenAICompatibleProvider({
+    baseUrl: readEnv(env, 'OPENAI_BASE_URL'),
+    apiKey: readEnv(env, 'OPENAI_API_KEY') || '',
+    model: readEnv(env, 'OPENAI_MODEL'),
+  }),
+  fake: () => createFakeProvider(),
+};
+
+// "openai:llama3.1:8b" → { provider: 'openai', model: 'llama3.1:8b' }
+// 先頭がプロバイダー名でなければ全体をモデル名とみなす (Ollama のモデル名にも ":" が入るため)
+const parseModelSpec = (spec, defaultProvider) => {
+  if (!spec) return { provider: defaultProvider, model: null };
+  const [head, ...rest] = spec.split(':');
+  if (PROVIDER_FACTORIES[head] && rest.length > 0) return { provider: head, model: rest.join(':') };
+  return { provider: defaultProvider, model: spec };
+};
+
+export const createLlm = (env = {}, { providers: injected = {} } = {}) => {
+  const defaultProvider = readEnv(env, 'LLM_PROVIDER') || 'gemini';
+  if (!PROVIDER_FACTORIES[defaultProvider]) {
+    throw new Error(`未知のLLMプロバイダー: ${defaultProvider} (${Object.keys(PROVIDER_FACTORIES).join(' / ')})`);
+  }
+
+  const providers = { ...injected };
+  const getProvider = (name) => {
+    if (!providers[name]) providers[name] = PROVIDER_FACTORIES[name](env);
+    return providers[name];
+  };
+
+  // タスクごとの割り当て { task, provider, model }
+  const assignments = LLM_TASKS.map(task => {
+    const { provider, model } = parseModelSpec(readEnv(env, `LLM_MODEL_${task.toUpperCase()}`), defaultProvider);
+    return { task, provider, model: model || getProvider(provider).defaultModel || task };
+  });
+
+  const assignmentFor = (task) => {
+    const assignment = assignments.find(a => a.task === task);
+    if (!assignment) throw new Error(`未知のLLMタスク: ${task} (${LLM_TASKS.join(' / ')})`);
+    return assignment;
+  };
+
+  return {
+    assignments,
+    model: (task) => {
+      const { provider, model } = assignmentFor(task);
+      return getProvider(provider).getModel(model);
+    },
+    // 使われているプロバイダーの一覧 (check models 用)
+    providers: () => [...new Set(assignments.map(a => a.provider))].map(getProvider),
+  };
+};
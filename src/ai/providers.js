@@ -0,0 +1,137 @@
+// src/ai/providers.js
+// テキスト生成プロバイダー。どれも getModel(name).generateContent(prompt) が
+// Gemini SDK と同じ形 ({ response: { text() } }) を返すので、generateJson などはそのまま使える
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import {
+  TRANSLATION_SCHEMA, GENERATED_SPOTS_SCHEMA, SPOT_ENRICHMENT_SCHEMA, FIVE_LANGUAGE_SCHEMA, HERITAGE_TRANSLATION_SCHEMA,
+  REGION_SPOTS_SCHEMA, REGION_LIST_SCHEMA, LANDMARK_SPOTS_SCHEMA, YEAR_MAP_SCHEMA,
+} from './schemas.js';
+
+const textResult = (text) => ({ response: { text: () => text } });
+
+// HTTPエラーは "[429] ..." の形にしておく (tools の isRateLimitError が拾えるように)
+const httpError = async (label, res) => {
+  const body = await res.text().catch(() => '');
+  return new Error(`[${res.status}] ${label}: ${body.slice(0, 200)}`);
+};
+
+// --- Gemini ---
+export const createGeminiProvider = ({ apiKey }) => {
+  const models = {};
+  const requireKey = () => {
+    if (!apiKey) throw new Error('GEMINI_API_KEY が設定されていません');
+    return apiKey;
+  };
+
+  return {
+    name: 'gemini',
+    defaultModel: 'gemini-2.0-flash',
+    getModel: (modelName) => {
+      if (!models[modelName]) {
+        models[modelName] = new GoogleGenerativeAI(requireKey()).getGenerativeModel({ model: modelName });
+      }
+      return models[modelName];
+    },
+    listModels: async () => {
+      const res = await fetch(`https://generativelanguage.googleapis.com/v1beta/models?key=${requireKey()}`);
+      if (!res.ok) throw await httpError('Gemini models', res);
+      const data = await res.json();
+      // "generateContent" (テキスト生成) に対応しているモデルだけ
+      return (data.models || [])
+        .filter(m => m.supportedGenerationMethods?.includes('generateContent'))
+        .map(m => m.name.replace('models/', ''));
+    },
+  };
+};
+
+// --- OpenAI互換 HTTP (OpenAI / llama.cpp server / Ollama など) ---
+export const createOpenAICompatibleProvider = ({ baseUrl = 'http://localhost:11434/v1', apiKey = '', model = 'llama3.1' } = {}) => {
+  const url = baseUrl.replace(/\/+$/, '');
+  const headers = { 'Content-Type': 'application/json', ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) };
+
+  return {
+    name: 'openai',
+    defaultModel: model,
+    getModel: (modelName) => ({
+      generateContent: async (prompt) => {
+        const res = await fetch(`${url}/chat/completions`, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({ model: modelName, messages: [{ role: 'user', content: prompt }] }),
+        });
+        if (!res.ok) throw await httpError(`${url} (${modelName})`, res);
+        const data = await res.json();
+        return textResult(data.choices?.[0]?.message?.content ?? '');
+      },
+    }),
+    listModels: async () => {
+      const res = await fetch(`${url}/models`, { headers });
+      if (!res.ok) throw await httpError(`${url}/models`, res);
+      const data = await res.json();
+      return (data.data || []).map(m => m.id);
+    },
+  };
+};
+
+// --- テスト・オフライン用の決まった応答を返すだけのプロバイダー ---
+// モデル名 = タスク名 (translate など)。generateJson からはスキーマごとの固定の応答 (FAKE_FIXTURES) を返す。
+// responses で応答を差し替えられる (文字列 or (prompt) => 文字列。スキーマより優先)
+const FAKE_SPOT = {
+  name: 'Fake Spot', name_ja: 'テストスポット', lat: 35.0, lon: 135.0,
+  description: 'Deterministic fake spot.', description_ja: 'テスト用の固定スポットです。', description_en: 'Deterministic fake spot.',
+  country: 'Japan', country_ja: '日本', category: 'landmark',
+};
+const fakeBlock = (name) => ({ name, desc: `${name} (fake)` });
+const FAKE_FIVE_LANGUAGES = {
+  ja: fakeBlock('テストスポット'), en: fakeBlock('Fake Spot'), zh: fakeBlock('测试地点'), es: fakeBlock('Lugar falso'), fr: fakeBlock('Lieu factice'),
+};
+
+export const FAKE_RESPONSES = {
+  translate: JSON.stringify({ name: 'Fake Spot', description: 'Deterministic fake translation.', category: 'history', ...FAKE_FIVE_LANGUAGES }),
+  categorize: 'history',
+  year: '{}',
+  generate: JSON.stringify([FAKE_SPOT]),
+};
+
+// スキーマ → 応答 (値 or (prompt) => 値)
+export const FAKE_FIXTURES = new Map([
+  [TRANSLATION_SCHEMA, { name: 'Fake Spot', description: 'Deterministic fake translation.' }],
+  [GENERATED_SPOTS_SCHEMA, [FAKE_SPOT]],
+  [SPOT_ENRICHMENT_SCHEMA, { category: 'history', ...FAKE_FIVE_LANGUAGES }],
+  [FIVE_LANGUAGE_SCHEMA, FAKE_FIVE_LANGUAGES],
+  // プロンプトの "ID: 123" ごとに1件
+  [HERITAGE_TRANSLATION_SCHEMA, (prompt) => [...prompt.matchAll(/ID: (\d+)/g)].map(([, id]) => ({
+    id: Number(id),
+    ...Object.fromEntries(['en', 'zh', 'es', 'fr'].flatMap(l => [[`name_${l}`, FAKE_FIVE_LANGUAGES[l].name], [`desc_${l}`, FAKE_FIVE_LANGUAGES[l].desc]])),
+  }))],
+  [REGION_SPOTS_SCHEMA, [FAKE_SPOT]],
+  [REGION_LIST_SCHEMA, ['Fake Region']],
+  [LANDMARK_SPOTS_SCHEMA, [FAKE_SPOT]],
+  [YEAR_MAP_SCHEMA, {}],
+]);
+
+export const createFakeProvider = ({ responses = {} } = {}) => {
+  const table = { ...FAKE_RESPONSES, ...responses };
+  const calls = [];
+  return {
+    name: 'fake',
+    defaultModel: null, // タスク名をそのままモデル名にする
+    calls, // [{ model, prompt }] (テストで呼び出し内容を確認する用)
+    getModel: (modelName) => {
+      const generateContent = async (prompt) => {
+        calls.push({ model: modelName, prompt });
+        const response = table[modelName] ?? '';
+        return textResult(typeof response === 'function' ? response(prompt) : response);
+      };
+      // generateJson (responses.js) はスキーマも渡してくる
+      const generateContentFor = async (prompt, schema) => {
+        if (responses[modelName] !== undefined || !FAKE_FIXTURES.has(schema)) return generateContent(prompt);
+        calls.push({ model: modelName, prompt });
+        const fixture = FAKE_FIXTURES.get(schema);
+        return textResult(JSON.stringify(typeof fixture === 'function' ? fixture(prompt) : fixture));
+      };
+      return { generateContent, generateContentFor };
+    },
+    listModels: async () => Object.keys(table),
+  };
+};
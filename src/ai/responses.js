@@ -0,0 +1,79 @@
+// src/ai/responses.js
+// Gemini の応答テキストを「JSONとして取り出す → スキーマで検証する」までを一手に引き受ける。
+// 検証に落ちたときは、エラー内容を添えて1回だけ直させる (修復プロンプト)
+
+// 検証に失敗した応答。errors に「どのフィールドがなぜダメか」が入る
+export class AiResponseError extends Error {
+  constructor(message, { errors = [], raw = '' } = {}) {
+    super(errors.length > 0 ? `${message}: ${errors.slice(0, 3).join(' / ')}` : message);
+    this.name = 'AiResponseError';
+    this.errors = errors;
+    this.raw = raw;
+  }
+}
+
+// ```json フェンスや前後の説明文を取り除いて JSON.parse する
+export const extractJson = (text) => {
+  const cleaned = String(text ?? '').replace(/```(?:json)?/gi, '').trim();
+  try {
+    return JSON.parse(cleaned);
+  } catch {
+    // 「はい、こちらです: [...]」のような前置きつき → 最初の [ か { から最後の ] か } までを拾う
+    const start = cleaned.search(/[[{]/);
+    const end = Math.max(cleaned.lastIndexOf(']'), cleaned.lastIndexOf('}'));
+    if (start !== -1 && end > start) {
+      try {
+        return JSON.parse(cleaned.slice(start, end + 1));
+      } catch {
+        // 下でまとめてエラーにする
+      }
+    }
+    throw new AiResponseError('JSONとして読めません', { errors: ['(root): JSONの構文エラー'], raw: cleaned });
+  }
+};
+
+// テキスト → 検証済みの値。ダメなら AiResponseError
+export const parseAiJson = (text, schema) => {
+  const json = extractJson(text);
+  const result = schema(json, '');
+  if (result.errors.length > 0) {
+    throw new AiResponseError('AIの応答がスキーマに合いません', { errors: result.errors, raw: String(text) });
+  }
+  if (result.dropped?.length > 0) {
+    console.warn(`⚠️ AI応答の不正な要素を${result.dropped.length}件除外しました`, result.dropped.slice(0, 5));
+  }
+  return result.value;
+};
+
+const buildRepairPrompt = (prompt, error) => `
+The previous answer to the task below was rejected by a validator.
+
+Problems:
+${error.errors.slice(0, 10).map(e => `- ${e}`).join('\n')}
+
+Previous answer:
+${error.raw.slice(0, 2000)}
+
+Return ONLY corrected JSON (no Markdown, no explanation) that fixes every problem.
+Coordinates must be real values (not 0). Keep all other correct fields as they were.
+
+Original task:
+${prompt}
+`;
+
+// model.generateContent → 検証。失敗したら repairAttempts 回まで修復プロンプトを投げ直す。
+// API側のエラー (429など) はそのまま投げるので、呼び出し側のリトライ処理がそのまま効く
+export const generateJson = async (model, prompt, schema, { repairAttempts = 1 } = {}) => {
+  let currentPrompt = prompt;
+  for (let attempt = 0; ; attempt++) {
+    // スキーマを受け取れるモデル (fake プロバイダー) にはスキーマも渡す
+    const result = await (model.generateContentFor ? model.generateContentFor(currentPrompt, schema) : model.generateContent(currentPrompt));
+    try {
+      return parseAiJson(result.response.text(), schema);
+    } catch (e) {
+      if (!(e instanceof AiResponseError) || attempt >= repairAttempts) throw e;
+      console.warn(`🔧 AI応答が不正だったので修復を依頼します (${e.errors.length}件の問題)`);
+      currentPrompt = buildRepairPrompt(prompt, e);
+    }
+  }
+};
@@ -0,0 +1,92 @@
+// src/ai/schema.js
+// AI(Gemini)が返すJSONの検証用ミニスキーマ。
+// 各バリデータは (値, パス) => { value: 正規化後の値, errors: [...] } を返す。
+// ブラウザ (Globe.jsx) と tools/ の両方から使うので、外部ライブラリには依存しない
+
+const ok = (value) => ({ value, errors: [] });
+const fail = (path, message) => ({ value: undefined, errors: [`${path || '(root)'}: ${message}`] });
+
+// 文字列。max を超えたら切り詰める（AIは文字数指定を守らないことが多いため）
+export const str = ({ min = 1, max = null } = {}) => (v, path) => {
+  if (typeof v !== 'string') return fail(path, `文字列ではありません (${JSON.stringify(v)})`);
+  let s = v.trim();
+  if (s.length < min) return fail(path, '空です');
+  if (max && s.length > max) s = s.slice(0, max);
+  return ok(s);
+};
+
+// 数値。"35.6" のような文字列も受け付ける。clamp=true なら範囲外を丸める
+export const num = ({ min = -Infinity, max = Infinity, integer = false, clamp = false, nonZero = false } = {}) => (v, path) => {
+  const n = typeof v === 'string' && v.trim() !== '' ? Number(v) : v;
+  if (typeof n !== 'number' || !Number.isFinite(n)) return fail(path, `数値ではありません (${JSON.stringify(v)})`);
+  if (integer && !Number.isInteger(n)) return fail(path, `整数ではありません (${n})`);
+  if (nonZero && n === 0) return fail(path, '0 になっています (プレースホルダーのまま)');
+  if (n < min || n > max) {
+    if (!clamp) return fail(path, `範囲外です (${n}, ${min}〜${max})`);
+    return ok(Math.min(max, Math.max(min, n)));
+  }
+  return ok(n);
+};
+
+export const latitude = () => num({ min: -90, max: 90, nonZero: true });
+
+// 経度は ±180 を少し超えたもの (例: 190) を -170 に回り込ませる
+export const longitude = () => (v, path) => {
+  const result = num({ min: -360, max: 360, nonZero: true })(v, path);
+  if (result.errors.length > 0) return result;
+  const wrapped = ((result.value + 540) % 360) - 180;
+  return ok(wrapped === -180 ? 180 : wrapped);
+};
+
+// 列挙値。大文字小文字・前後の空白は無視する
+export const oneOf = (values) => (v, path) => {
+  const s = typeof v === 'string' ? v.trim().toLowerCase() : v;
+  if (!values.includes(s)) return fail(path, `${JSON.stringify(v)} は ${values.join(' / ')} のどれでもありません`);
+  return ok(s);
+};
+
+// 省略可 (null/undefined なら fallback を入れる)
+export const optional = (validator, fallback = null) => (v, path) =>
+  (v === null || v === undefined || v === '' ? ok(fallback) : validator(v, path));
+
+// オブジェクト。スキーマにないキーは捨てる
+export const obj = (shape) => (v, path) => {
+  if (!v || typeof v !== 'object' || Array.isArray(v)) return fail(path, 'オブジェクトではありません');
+  const value = {};
+  const errors = [];
+  Object.entries(shape).forEach(([key, validator]) => {
+    const result = validator(v[key], path ? `${path}.${key}` : key);
+    errors.push(...result.errors);
+    if (result.errors.length === 0) value[key] = result.value;
+  });
+  return { value: errors.length === 0 ? value : undefined, errors };
+};
+
+// 配列。dropInvalid=true なら不正な要素だけ捨てて残りを使う（全滅なら失敗）
+export const arr = (item, { min = 1, max = Infinity, dropInvalid = false } = {}) => (v, path) => {
+  if (!Array.isArray(v)) return fail(path, '配列ではありません');
+  const value = [];
+  const errors = [];
+  v.slice(0, max).forEach((el, i) => {
+    const result = item(el, `${path}[${i}]`);
+    if (result.errors.length === 0) value.push(result.value);
+    else errors.push(...result.errors);
+  });
+  if (dropInvalid && value.length >= min) return { value, errors: [], dropped: errors };
+  if (errors.length > 0) return { value: undefined, errors };
+  if (value.length < min) return fail(path, `要素が${min}件未満です`);
+  return ok(value);
+};
+
+// { "123": 1603, ... } のような任意キーのマップ。不正なエントリは捨てる
+export const record = (item) => (v, path) => {
+  if (!v || typeof v !== 'object' || Array.isArray(v)) return fail(path, 'オブジェクトではありません');
+  const value = {};
+  const dropped = [];
+  Object.entries(v).forEach(([key, el]) => {
+    const result = item(el, path ? `${path}.${key}` : key);
+    if (result.errors.length === 0) value[key] = result.value;
+    else dropped.push(...result.errors);
+  });
+  return { value, errors: [], dropped };
+};
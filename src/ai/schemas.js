@@ -0,0 +1,65 @@
+// src/ai/schemas.js
+// プロンプトごとの応答スキーマ。ここを通ったものだけが spots テーブルに入る
+import { str, num, latitude, longitude, oneOf, optional, obj, arr, record } from './schema.js';
+
+// ★アプリが扱う6カテゴリ (Globe.jsx の visibleCategories と同じ)
+export const CATEGORIES = ['landmark', 'history', 'nature', 'modern', 'science', 'art'];
+
+const NAME = str({ max: 120 });
+const DESC = str({ max: 400 });
+
+// { name, desc } の言語ブロック
+const localized = obj({ name: NAME, desc: DESC });
+
+const FIVE_LANGUAGES = { ja: localized, en: localized, zh: localized, es: localized, fr: localized };
+
+// Globe.jsx translateAndFix: 1言語分の翻訳
+export const TRANSLATION_SCHEMA = obj({ name: NAME, description: DESC });
+
+// Globe.jsx handleGenerate / src/scripts/generate-spots.js: テーマからスポット生成
+export const GENERATED_SPOTS_SCHEMA = arr(
+  obj({ name: NAME, lat: latitude(), lon: longitude(), description: DESC }),
+  { max: 10, dropInvalid: true }
+);
+
+// geovoice fix all: カテゴリ + 5言語
+export const SPOT_ENRICHMENT_SCHEMA = obj({ category: oneOf(CATEGORIES), ...FIVE_LANGUAGES });
+
+// geovoice translate all: 5言語
+export const FIVE_LANGUAGE_SCHEMA = obj(FIVE_LANGUAGES);
+
+// geovoice translate missing: 英中西仏の4言語 (id つき)
+export const HERITAGE_TRANSLATION_SCHEMA = arr(obj({
+  id: num({ integer: true }),
+  name_en: NAME, desc_en: DESC,
+  name_zh: NAME, desc_zh: DESC,
+  name_es: NAME, desc_es: DESC,
+  name_fr: NAME, desc_fr: DESC,
+}));
+
+// geovoice gen nature / gen special: 地域ごとのスポット一覧
+export const REGION_SPOTS_SCHEMA = arr(obj({
+  name: NAME,
+  name_ja: NAME,
+  lat: latitude(),
+  lon: longitude(),
+  description_ja: DESC,
+  description_en: DESC,
+  country_ja: optional(str({ max: 60 })),
+}), { dropInvalid: true });
+
+// geovoice gen landmarks: エリア名の一覧とエリアごとの名所
+export const REGION_LIST_SCHEMA = arr(str({ max: 100 }), { max: 20 });
+
+export const LANDMARK_SPOTS_SCHEMA = arr(obj({
+  name: NAME,
+  name_ja: NAME,
+  description_ja: DESC,
+  category: oneOf(CATEGORIES),
+  country: str({ max: 60 }),
+  lat: latitude(),
+  lon: longitude(),
+}), { dropInvalid: true });
+
+// geovoice update years: { "ID": 年 }。未来の年や桁違いの年は捨てる
+export const YEAR_MAP_SCHEMA = record(num({ integer: true, min: -10000, max: new Date().getFullYear() }));
@@ -0,0 +1,96 @@
+// src/ai/tts.js
+// 読み上げ音声の合成 (ニューラルTTS)。server/ と tools/ から process.env を渡して使う (APIキーをブラウザに載せないため)
+//
+//   TTS_PROVIDER=openai | fake        (既定: openai。tools/ ではローカルのTTSコマンドを使う command も選べる)
+//   TTS_BASE_URL=https://api.openai.com/v1  (OpenAI互換の /audio/speech。Kokoro-FastAPI などローカルのサーバーも可)
+//   TTS_API_KEY (なければ OPENAI_API_KEY) / TTS_MODEL=tts-1
+//   TTS_VOICES=alloy,nova,shimmer     (選べる声。どの言語でも同じ一覧)
+//
+// どのプロバイダーも synthesize(text, { lang, voice }) → { audio: Uint8Array, mimeType } を返す
+
+import { estimateSpeechSeconds } from '../data/languages.js';
+
+const OPENAI_VOICES = ['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer'];
+
+// 合成の失敗 (server/ はこれを 502 にする)
+export class TtsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TtsError';
+  }
+}
+
+// HTTPエラーは "[429] ..." の形にしておく (tools の isRateLimitError が拾えるように)
+const httpError = async (label, res) => {
+  const body = await res.text().catch(() => '');
+  return new TtsError(`[${res.status}] ${label}: ${body.slice(0, 200)}`);
+};
+
+// --- OpenAI互換 HTTP ---
+export const createOpenAITtsProvider = ({ baseUrl = 'https://api.openai.com/v1', apiKey = '', model = 'tts-1', voices = OPENAI_VOICES } = {}) => {
+  const url = baseUrl.replace(/\/+$/, '');
+  return {
+    name: 'openai',
+    voices: () => voices,
+    synthesize: async (text, { voice } = {}) => {
+      if (!apiKey && url.includes('api.openai.com')) throw new TtsError('TTS_API_KEY (または OPENAI_API_KEY) が設定されていません');
+      const res = await fetch(`${url}/audio/speech`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+        body: JSON.stringify({ model, voice: voices.includes(voice) ? voice : voices[0], input: text, response_format: 'mp3' }),
+      });
+      if (!res.ok) throw await httpError(`${url}/audio/speech (${model})`, res);
+      return { audio: new Uint8Array(await res.arrayBuffer()), mimeType: 'audio/mpeg' };
+    },
+  };
+};
+
+// --- テスト・オフライン用: 文の長さぶんの無音の WAV を返すだけ ---
+const SAMPLE_RATE = 8000;
+
+const silentWav = (seconds) => {
+  const samples = Math.round(seconds * SAMPLE_RATE);
+  const bytes = new Uint8Array(44 + samples);
+  const view = new DataView(bytes.buffer);
+  const ascii = (offset, s) => [...s].forEach((ch, i) => view.setUint8(offset + i, ch.charCodeAt(0)));
+  ascii(0, 'RIFF'); view.setUint32(4, 36 + samples, true); ascii(8, 'WAVE');
+  ascii(12, 'fmt '); view.setUint32(16, 16, true); view.setUint16(20, 1, true); view.setUint16(22, 1, true);
+  view.setUint32(24, SAMPLE_RATE, true); view.setUint32(28, SAMPLE_RATE, true); view.setUint16(32, 1, true); view.setUint16(34, 8, true);
+  ascii(36, 'data'); view.setUint32(40, samples, true);
+  bytes.fill(128, 44); // 8bit PCM の無音
+  return bytes;
+};
+
+export const createFakeTtsProvider = () => {
+  const calls = [];
+  return {
+    name: 'fake',
+    calls, // [{ text, lang, voice }] (テストで呼び出し内容を確認する用)
+    voices: () => ['fake'],
+    synthesize: async (text, { lang, voice } = {}) => {
+      calls.push({ text, lang, voice });
+      const seconds = Math.max(0.5, estimateSpeechSeconds(text, lang));
+      return { audio: silentWav(seconds), mimeType: 'audio/wav' };
+    },
+  };
+};
+
+const PROVIDER_FACTORIES = {
+  openai: (env) => createOpenAITtsProvider({
+    baseUrl: env.TTS_BASE_URL || undefined,
+    apiKey: env.TTS_API_KEY || env.OPENAI_API_KEY || '',
+    model: env.TTS_MODEL || undefined,
+    voices: env.TTS_VOICES ? env.TTS_VOICES.split(',').map(v => v.trim()).filter(Boolean) : undefined,
+  }),
+  fake: () => createFakeTtsProvider(),
+};
+
+// providers: 呼び出し側で用意したプロバイダー ({ command: ... } など。名前が同じなら組み込みより優先)
+export const createTts = (env = {}, { providers: injected = {} } = {}) => {
+  const name = env.TTS_PROVIDER || 'openai';
+  if (injected[name]) return injected[name];
+  if (!PROVIDER_FACTORIES[name]) {
+    throw new Error(`未知のTTSプロバイダー: ${name} (${[...Object.keys(PROVIDER_FACTORIES), ...Object.keys(injected)].join(' / ')})`);
+  }
+  return PROVIDER_FACTORIES[name](env);
+};
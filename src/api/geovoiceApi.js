@@ -0,0 +1,33 @@
+// src/api/geovoiceApi.js
+// AI生成・翻訳は server/ のAPI経由で行う (ブラウザはAIのAPIキーを持たない)
+
+import { userRepository } from '../repositories';
+
+// 開発時は Vite が /api を server/ (localhost:8787) へ転送する
+const API_URL = (import.meta.env.VITE_API_URL || '/api').replace(/\/+$/, '');
+
+const post = async (path, body) => {
+  const token = await userRepository.getAccessToken();
+  if (!token) throw new Error('ログインが必要です');
+
+  const res = await fetch(`${API_URL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `APIエラー (${res.status})`);
+  return data;
+};
+
+// → { spots: [追加されたスポット], remaining }
+export const generateSpots = (theme, lang) => post('/generate-spots', { theme, lang });
+
+// → { name, description }
+export const translateSpot = (spotId, lang) => post('/translate-spot', { spotId, lang });
+
+// → { voices: [声の名前] } (ニューラル読み上げで選べる声)
+export const listNarrationVoices = (lang) => post('/voices', { lang });
+
+// → { audio: base64, mimeType }
+export const narrate = (text, lang, voice) => post('/narrate', { text, lang, voice });
@@ -0,0 +1,153 @@
+// src/audio/audioEngine.js
+// BGM と読み上げのミキサー (Web Audio)。
+//
+//   BGMデッキA ─┐
+//   BGMデッキB ─┴→ bgm (音量) → duck (読み上げ中は下げる) ─┐
+//   読み上げ (<audio>) ─────────→ voice (音量) ──────────────┴→ master → スピーカー
+//
+// - 曲の切り替えは2つのデッキで crossfadeSeconds かけてクロスフェードする (曲の終わりも同じ。途切れない)
+// - 1曲リピートも、終わる少し前にもう一方のデッキで頭から鳴らして重ねる (<audio loop> の継ぎ目の無音をなくす)
+// - 端末の音声 (speechSynthesis) はミキサーを通せないので、speechVolume() を発話の音量に使う
+// AudioContext はユーザー操作の後でないと鳴らないので、最初に使うときに作り、タップで resume する
+// 別オリジンの音声は crossOrigin='anonymous' で読む。配信元が Access-Control-Allow-Origin を返さないと再生できない
+
+const RAMP_SECONDS = 0.05;
+
+export const createAudioEngine = ({ crossfadeSeconds = 3, duckLevel = 0.2, duckSeconds = 0.6, unduckSeconds = 1.5 } = {}) => {
+  let graph = null;
+  const levels = { master: 1, bgm: 0.5, voice: 1 };
+  let onTrackEnding = null; // 曲が終わりかけたら呼ぶ。次の曲を返してもらい、そこへクロスフェードする
+
+  // 今の値から target へなめらかに
+  const rampTo = (param, target, seconds) => {
+    const now = graph.ctx.currentTime;
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(param.value, now);
+    param.linearRampToValueAtTime(target, now + Math.max(seconds, RAMP_SECONDS));
+  };
+
+  const createDeck = (ctx, output) => {
+    const element = new Audio();
+    element.crossOrigin = 'anonymous'; // 別オリジンの曲も MediaElementSource で鳴らせるように (サーバーに CORS ヘッダーが必要)
+    element.preload = 'auto';
+    const gain = ctx.createGain();
+    gain.gain.value = 0;
+    ctx.createMediaElementSource(element).connect(gain).connect(output);
+    const deck = { element, gain, track: null, loop: false, ending: false };
+    // 終わる crossfadeSeconds 前に次へ (timeupdate を取りこぼしたら ended で)
+    const handleEnding = () => {
+      if (deck.ending || deck !== graph.decks[graph.active] || !deck.track) return;
+      deck.ending = true;
+      const next = deck.loop ? deck.track : onTrackEnding?.(deck.track);
+      if (next) crossfadeTo(next, { loop: deck.loop, restart: true }).catch(() => {});
+    };
+    element.addEventListener('timeupdate', () => {
+      if (element.duration && element.duration - element.currentTime <= crossfadeSeconds) handleEnding();
+    });
+    element.addEventListener('ended', handleEnding);
+    return deck;
+  };
+
+  const ensureGraph = () => {
+    if (graph) return graph;
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+    const ctx = new AudioContextClass();
+    const master = ctx.createGain();
+    const bgm = ctx.createGain();
+    const duck = ctx.createGain();
+    const voice = ctx.createGain();
+    master.gain.value = levels.master;
+    bgm.gain.value = levels.bgm;
+    voice.gain.value = levels.voice;
+    bgm.connect(duck).connect(master);
+    voice.connect(master);
+    master.connect(ctx.destination);
+    graph = { ctx, master, bgm, duck, voice, decks: [], active: 0, playing: false };
+    graph.decks = [createDeck(ctx, bgm), createDeck(ctx, bgm)];
+    // 自動再生の制限で止まっていたら、次のタップで動かす
+    const unlock = () => { if (ctx.state === 'suspended') ctx.resume().catch(() => {}); };
+    document.addEventListener('pointerdown', unlock);
+    document.addEventListener('keydown', unlock);
+    return graph;
+  };
+
+  const resume = () => {
+    const g = ensureGraph();
+    return g && g.ctx.state === 'suspended' ? g.ctx.resume().catch(() => {}) : Promise.resolve();
+  };
+
+  // 曲をもう一方のデッキで鳴らし、今のデッキからクロスフェードする
+  const crossfadeTo = (track, { loop = false, restart = false } = {}) => {
+    const g = ensureGraph();
+    if (!g) return Promise.resolve();
+    const current = g.decks[g.active];
+    // 同じ曲が鳴っているならリピート設定だけ変える (restart なら頭から重ねる)
+    if (!restart && current.track?.id === track.id) {
+      current.loop = loop;
+      if (!g.playing || current.element.paused) {
+        g.playing = true;
+        rampTo(current.gain.gain, 1, crossfadeSeconds / 2);
+        return resume().then(() => current.element.play());
+      }
+      return Promise.resolve();
+    }
+    const nextIndex = 1 - g.active;
+    const next = g.decks[nextIndex];
+    next.track = track;
+    next.loop = loop;
+    next.ending = false;
+    if (next.element.src !== new URL(track.url, location.href).href) next.element.src = track.url;
+    next.element.currentTime = 0;
+    g.active = nextIndex;
+    g.playing = true;
+    rampTo(next.gain.gain, 1, current.track ? crossfadeSeconds : RAMP_SECONDS);
+    rampTo(current.gain.gain, 0, crossfadeSeconds);
+    setTimeout(() => { if (g.decks[g.active] !== current) current.element.pause(); }, crossfadeSeconds * 1000 + 100);
+    return resume().then(() => next.element.play());
+  };
+
+  return {
+    // 曲を鳴らす (今の曲からクロスフェード)。自動再生が止められたら reject する
+    playTrack: (track, options) => crossfadeTo(track, options),
+    // BGMを止める (フェードアウトしてから一時停止。次の playTrack で同じ位置から)
+    stopBgm: (fadeSeconds = 0.8) => {
+      if (!graph || !graph.playing) return;
+      graph.playing = false;
+      graph.decks.forEach(deck => {
+        rampTo(deck.gain.gain, 0, fadeSeconds);
+        setTimeout(() => { if (!graph.playing) deck.element.pause(); }, fadeSeconds * 1000 + 100);
+      });
+    },
+    setOnTrackEnding: (fn) => { onTrackEnding = fn; },
+    // 読み上げ中はBGMを下げる
+    duck: (on) => {
+      if (!graph) return;
+      rampTo(graph.duck.gain, on ? duckLevel : 1, on ? duckSeconds : unduckSeconds);
+    },
+    setVolumes: (next) => {
+      Object.assign(levels, next);
+      if (!graph) return;
+      rampTo(graph.master.gain, levels.master, 0.1);
+      rampTo(graph.bgm.gain, levels.bgm, 0.1);
+      rampTo(graph.voice.gain, levels.voice, 0.1);
+    },
+    // 読み上げの <audio> をミキサーにつなぐ。つないだら切り離す関数を返す (読み上げが終わったら呼ぶ)
+    // つなげなければ null (要素の volume で調整する)
+    connectVoice: (element) => {
+      const g = ensureGraph();
+      if (!g) return null;
+      try {
+        const source = g.ctx.createMediaElementSource(element);
+        source.connect(g.voice);
+        resume();
+        return () => source.disconnect();
+      } catch (e) {
+        console.warn('Voice routing error', e);
+        return null;
+      }
+    },
+    // 端末の音声の発話に使う音量 (ミキサーを通らないので master × voice)
+    speechVolume: () => levels.master * levels.voice,
+  };
+};
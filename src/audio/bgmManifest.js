@@ -0,0 +1,33 @@
+// src/audio/bgmManifest.js
+// 組み込みBGMの一覧 (src/data/bgm.json) の形式と検査。
+// vite.config.js がビルド時に検査し、public/ にない曲や書き間違いがあればビルドを止める
+//
+//   { "tracks": [{ "id", "title", "artist", "genre", "url": "/bgm/....mp3", "mood", "tempo", "energy" }] }
+//   mood / tempo / energy はおまかせ選曲用 (src/audio/bgmSelector.js)
+
+export const BGM_MOODS = ['calm', 'bright', 'epic', 'nostalgic'];
+
+const REQUIRED_FIELDS = ['id', 'title', 'artist', 'genre', 'url'];
+
+/**
+ * 問題の一覧を返す (なければ空配列)
+ *   fileExists(url): url のファイルがあるか (ビルド時は public/ を見る)
+ */
+export const validateBgmManifest = (manifest, { fileExists = null } = {}) => {
+  if (!manifest || !Array.isArray(manifest.tracks)) return ['tracks がありません'];
+  const errors = [];
+  const ids = new Set();
+  manifest.tracks.forEach((track, i) => {
+    const label = `tracks[${i}]${track?.id ? ` (${track.id})` : ''}`;
+    const missing = REQUIRED_FIELDS.filter(f => typeof track?.[f] !== 'string' || !track[f].trim());
+    if (missing.length > 0) { errors.push(`${label}: ${missing.join(', ')} がありません`); return; }
+    if (ids.has(track.id)) errors.push(`${label}: id が重複しています`);
+    ids.add(track.id);
+    if (!track.url.startsWith('/bgm/')) errors.push(`${label}: url は /bgm/ から始めてください (${track.url})`);
+    else if (fileExists && !fileExists(track.url)) errors.push(`${label}: ファイルがありません (public${track.url})`);
+    if (track.mood !== undefined && !BGM_MOODS.includes(track.mood)) errors.push(`${label}: mood は ${BGM_MOODS.join(' / ')} のどれか (${track.mood})`);
+    if (track.tempo !== undefined && !(track.tempo > 0)) errors.push(`${label}: tempo は正の数 (${track.tempo})`);
+    if (track.energy !== undefined && !(track.energy >= 0 && track.energy <= 1)) errors.push(`${label}: energy は 0〜1 (${track.energy})`);
+  });
+  return errors;
+};
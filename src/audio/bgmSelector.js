@@ -0,0 +1,135 @@
+// src/audio/bgmSelector.js
+// BGMのおまかせ選曲。スポットのカテゴリ・地域・時代から曲の雰囲気を決め、BGMライブラリの曲に点数をつけて選ぶ
+//
+// 曲のメタデータ (BGMライブラリの各曲)
+//   mood:   calm (穏やか) / bright (明るい) / epic (壮大) / nostalgic (郷愁)
+//   tempo:  BPM の目安
+//   energy: 0〜1 (静か〜激しい)
+//
+// ライドでスポットが変わるたびに選び直すが、今の曲が合っているうちは切り替えない (数十秒ごとに曲が変わらないように)
+
+// カテゴリごとの好み。genres は相性の良いジャンルと重み (src/data/bgm.json にあるジャンル・mood だけを使う)
+const CATEGORY_PROFILES = {
+  nature:   { genres: { Chill: 3, Country: 1 }, mood: 'calm', energy: 0.3 },
+  history:  { genres: { Rock: 2, Metal: 1, Country: 1 }, mood: 'epic', energy: 0.55 },
+  landmark: { genres: { Pop: 2, Rock: 1 }, mood: 'bright', energy: 0.6 },
+  modern:   { genres: { EDM: 3, Pop: 2 }, mood: 'bright', energy: 0.8 },
+  science:  { genres: { EDM: 3, Rock: 1 }, mood: 'epic', energy: 0.7 },
+  art:      { genres: { Chill: 2, Pop: 1 }, mood: 'nostalgic', energy: 0.4 },
+};
+// スポットを開いていないとき
+const DEFAULT_PROFILE = { genres: { Chill: 1, Pop: 1 }, mood: 'calm', energy: 0.4 };
+
+// 田園・山里は Country
+const RURAL_WORDS = /(村|里|郷|高原|牧場|農|棚田|ぶどう畑|village|farm|valley|countryside|vineyard|ranch|prairie|meadow)/i;
+
+// 地域 (経度・緯度のおおまかな範囲) ごとに少し足す
+const regionBonus = ({ lat, lon, country_ja }) => {
+  if (country_ja === '日本') return { Pop: 1, Chill: 1 };
+  if (lon < -25) return { Country: 1, Rock: 1 };              // 南北アメリカ
+  if (lon < 45 && lat > 35) return { Rock: 1, Chill: 1 };     // ヨーロッパ
+  if (lon < 60) return { Chill: 1 };                          // アフリカ・中東
+  return { Pop: 1, EDM: 1 };                                  // アジア・オセアニア
+};
+
+// 時代。古いほど壮大に、近現代は明るく
+const eraAdjust = (year) => {
+  if (year === null || year === undefined) return null;
+  if (year < 500) return { mood: 'epic', energy: 0.1, genres: { Metal: 1 } };
+  if (year < 1800) return { mood: 'nostalgic', energy: 0, genres: { Country: 1 } };
+  if (year >= 1950) return { mood: 'bright', energy: 0.1, genres: { EDM: 1 } };
+  return null;
+};
+
+const addGenres = (base, extra = {}) => {
+  const genres = { ...base };
+  Object.entries(extra).forEach(([genre, weight]) => { genres[genre] = (genres[genre] || 0) + weight; });
+  return genres;
+};
+
+/**
+ * スポットに合う曲の雰囲気 { genres, moods, energy }
+ * moods は合う順 (カテゴリ → 時代・田園)
+ */
+export const spotMusicProfile = (spot) => {
+  if (!spot) return { ...DEFAULT_PROFILE, moods: [DEFAULT_PROFILE.mood] };
+  const base = CATEGORY_PROFILES[spot.category] || CATEGORY_PROFILES.history;
+  let genres = addGenres(base.genres, regionBonus(spot));
+  const moods = [base.mood];
+  let energy = base.energy;
+
+  const era = eraAdjust(spot.year);
+  if (era) {
+    genres = addGenres(genres, era.genres);
+    moods.push(era.mood);
+    energy += era.energy;
+  }
+  const names = [spot.name, spot.name_ja, spot.name_en].filter(Boolean).join(' ');
+  if (RURAL_WORDS.test(names)) {
+    genres = addGenres(genres, { Country: 3 });
+    moods.unshift('nostalgic');
+    energy -= 0.1;
+  }
+  return { genres, moods, energy: Math.min(1, Math.max(0, energy)) };
+};
+
+// 曲の点数 (高いほど合う)
+export const scoreTrack = (track, profile) => {
+  const genreScore = profile.genres[track.genre] || 0;
+  const moodIndex = profile.moods.indexOf(track.mood);
+  const moodScore = moodIndex === -1 ? 0 : 2 / (moodIndex + 1);
+  const energyScore = track.energy === undefined ? 0 : -2 * Math.abs(track.energy - profile.energy);
+  return genreScore + moodScore + energyScore;
+};
+
+// 今の曲がいちばん合う曲からこれ以上離れたら切り替える
+const SWITCH_MARGIN = 1.5;
+
+/**
+ * 選曲係。最近かけた曲は避ける
+ *   const selector = createBgmSelector();
+ *   selector.pick(spot, tracks, { current })  今の曲が合っていればそのまま current を返す
+ *   selector.next(spot, tracks, { current })  曲が終わったときの次の曲 (current 以外)
+ *   selector.remember(track)                 かけた曲を覚える
+ */
+export const createBgmSelector = ({ historySize = 4, random = Math.random } = {}) => {
+  const recent = [];
+
+  const rank = (spot, tracks, exclude) => {
+    const profile = spotMusicProfile(spot);
+    // 最近かけた曲ほど減点する (曲が少ないときは同じ曲も選べるように除外はしない)
+    return tracks
+      .filter(t => t.id !== exclude)
+      .map(track => {
+        const age = recent.indexOf(track.id);
+        const penalty = age === -1 ? 0 : (historySize - age) * 1.5;
+        return { track, score: scoreTrack(track, profile) - penalty + random() * 0.5 };
+      })
+      .sort((a, b) => b.score - a.score);
+  };
+
+  const pick = (spot, tracks, { current = null } = {}) => {
+    if (tracks.length === 0) return current;
+    const [best] = rank(spot, tracks, null);
+    if (current && tracks.some(t => t.id === current.id)) {
+      const currentScore = scoreTrack(current, spotMusicProfile(spot));
+      if (currentScore >= scoreTrack(best.track, spotMusicProfile(spot)) - SWITCH_MARGIN) return current;
+    }
+    return best.track;
+  };
+
+  const next = (spot, tracks, { current = null } = {}) => {
+    const [best] = rank(spot, tracks, current?.id);
+    return best ? best.track : current;
+  };
+
+  const remember = (track) => {
+    if (!track) return;
+    const index = recent.indexOf(track.id);
+    if (index !== -1) recent.splice(index, 1);
+    recent.unshift(track.id);
+    recent.length = Math.min(recent.length, historySize);
+  };
+
+  return { pick, next, remember };
+};
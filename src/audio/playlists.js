@@ -0,0 +1,43 @@
+// src/audio/playlists.js
+// 保存した再生リストとシャッフル (この端末の localStorage)
+//   [{ id, name, trackIds: [曲のID] }]  組み込みの曲と手元の曲 (userTracks.js) のどちらも入れられる
+
+const STORAGE_KEY = 'geovoice-playlists';
+
+export const loadPlaylists = () => {
+  try {
+    const playlists = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(playlists) ? playlists : [];
+  } catch (e) {
+    console.warn('Playlists load error', e);
+    return [];
+  }
+};
+
+export const savePlaylists = (playlists) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(playlists));
+  return playlists;
+};
+
+// 今の曲の並びを名前をつけて保存する (同じ名前なら上書き)
+export const withPlaylist = (playlists, name, tracks) => {
+  const trackIds = tracks.map(t => t.id);
+  const existing = playlists.find(p => p.name === name);
+  if (existing) return playlists.map(p => (p === existing ? { ...p, trackIds } : p));
+  return [...playlists, { id: `pl-${Date.now()}`, name, trackIds }];
+};
+
+export const withoutPlaylist = (playlists, id) => playlists.filter(p => p.id !== id);
+
+// 再生リストの曲。消した手元の曲などライブラリにないIDは飛ばす
+export const resolvePlaylist = (playlist, library) => {
+  const byId = new Map(library.map(t => [t.id, t]));
+  return playlist.trackIds.map(id => byId.get(id)).filter(Boolean);
+};
+
+// シャッフルの次の曲 (今の曲以外からランダム)
+export const shuffleNext = (tracks, current, random = Math.random) => {
+  const others = tracks.filter(t => t.id !== current?.id);
+  if (others.length === 0) return tracks[0] || current;
+  return others[Math.floor(random() * others.length)];
+};
@@ -0,0 +1,44 @@
+// src/audio/userTracks.js
+// ユーザーが追加した手元の音楽ファイル (IndexedDB の userTracks)。
+// ファイルはこの端末にだけ保存し、どこにも送らない。再生するときは Blob の URL を BGM の曲として使う
+
+import { getAll, putAll, deleteItem } from '../offline/db.js';
+
+export const USER_TRACK_GENRE = 'My Music';
+
+const AUDIO_FILE = /\.(mp3|m4a|aac|ogg|oga|opus|wav|flac|webm)$/i;
+
+// 同じ曲の URL は作り直さない (作るたびにメモリを食うので)
+const objectUrls = new Map();
+
+const toTrack = (entry) => {
+  if (!objectUrls.has(entry.id)) objectUrls.set(entry.id, URL.createObjectURL(entry.blob));
+  return { id: entry.id, title: entry.title, artist: entry.artist, genre: USER_TRACK_GENRE, url: objectUrls.get(entry.id), local: true };
+};
+
+export const isAudioFile = (file) => file.type.startsWith('audio/') || AUDIO_FILE.test(file.name);
+
+export const listUserTracks = async () => {
+  const entries = await getAll('userTracks');
+  return entries.sort((a, b) => a.addedAt - b.addedAt).map(toTrack);
+};
+
+// <input type="file"> の File を保存する。音声でないファイルは飛ばす
+export const addUserTracks = async (files) => {
+  const now = Date.now();
+  const entries = [...files].filter(isAudioFile).map((file, i) => ({
+    id: `user-${now}-${i}`,
+    title: file.name.replace(/\.[^.]+$/, ''),
+    artist: 'Local',
+    blob: file,
+    addedAt: now + i,
+  }));
+  if (entries.length > 0) await putAll('userTracks', entries);
+  return entries.map(toTrack);
+};
+
+export const removeUserTrack = async (id) => {
+  await deleteItem('userTracks', id);
+  if (objectUrls.has(id)) URL.revokeObjectURL(objectUrls.get(id));
+  objectUrls.delete(id);
+};
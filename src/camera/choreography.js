@@ -0,0 +1,105 @@
+// src/camera/choreography.js
+// ライドモードのカメラワーク (フライオーバー)。
+// スポットの種類ごとに寄り方を変え (山は3Dで周回・街は低い斜めからの通過・広い地域は引きの画)、
+// 到着後は読み上げの長さに合わせてゆっくり周回する。移動時間も読み上げの長さに収まるように決める
+
+import { estimateSpeechSeconds } from '../data/languages.js';
+
+// zoom / pitch: 到着時の画 / orbit: 読み上げ中に回る角度
+export const SHOTS = {
+  mountain: { zoom: 11.5, pitch: 70, orbit: 90 },
+  city:     { zoom: 15.5, pitch: 72, orbit: 40 },
+  site:     { zoom: 14.5, pitch: 60, orbit: 60 },
+  region:   { zoom: 7.5,  pitch: 35, orbit: 20 },
+};
+
+const MOUNTAIN_WORDS = /(山|岳|峰|火山|mount|mt\.|peak|volcano|volcán|mont |monte |montagne)/i;
+const REGION_WORDS = /(reef|desert|national park|island|islands|lake|bay|forest|glacier|canyon|国立公園|砂漠|諸島|湖|湾|森|氷河|峡谷|礁|島)/i;
+
+/**
+ * スポットの種類 (mountain / city / site / region)。カテゴリと名前から決める
+ */
+export const classifySpot = (spot) => {
+  const names = [spot.name, spot.name_ja, spot.name_en].filter(Boolean).join(' ');
+  const category = spot.category || 'history';
+  if (category === 'nature') {
+    if (MOUNTAIN_WORDS.test(names)) return 'mountain';
+    return REGION_WORDS.test(names) ? 'region' : 'site';
+  }
+  if (MOUNTAIN_WORDS.test(names) && !/(寺|社|教会|聖堂|temple|shrine|church|cathedral)/i.test(names)) return 'mountain'; // 富士山本宮浅間大社 などの寺社は除く
+  if (category === 'landmark' || category === 'modern' || category === 'art' || category === 'science') return 'city';
+  return 'site';
+};
+
+// 読み上げの長さの目安 (ミリ秒)
+export const estimateSpeechMs = (text, lang) => estimateSpeechSeconds(text, lang) * 1000;
+
+const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+const hash = (value) => [...String(value)].reduce((h, ch) => (h * 31 + ch.charCodeAt(0)) >>> 0, 7);
+
+/**
+ * スポットへの撮り方を決める
+ *   approachBearing: 移動してきた向き (その向きのまま進入する)。なければスポットごとに決まった向き
+ *   override: ツアーの停留所のカメラ指定 (zoom / pitch / bearing)
+ */
+export const planShot = (spot, { approachBearing = null, distanceKm = null, speechMs = 0, override = null } = {}) => {
+  const kind = classifySpot(spot);
+  const base = SHOTS[kind];
+  // 遠いほど長く飛ぶが、読み上げの半分までに着く (残りは到着後の周回)
+  const distanceMs = distanceKm === null ? 4000 : 2000 + distanceKm * 0.8;
+  const flightMs = clamp(Math.min(distanceMs, speechMs ? speechMs * 0.5 : Infinity), 2500, 9000);
+  return {
+    kind,
+    zoom: override?.zoom ?? base.zoom,
+    pitch: override?.pitch ?? base.pitch,
+    bearing: override?.bearing ?? approachBearing ?? hash(spot.id) % 360,
+    orbit: base.orbit,
+    flightMs,
+    orbitMs: Math.max(0, speechMs - flightMs),
+  };
+};
+
+const prefersReducedMotion = () => window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+
+/**
+ * 地図を動かす係。新しい移動が始まったら、前の到着待ち・周回は取り消す
+ *   const director = createCameraDirector();
+ *   director.flyover(map, spot, shot); director.stop(map);
+ */
+export const createCameraDirector = () => {
+  let cue = 0;        // 最新の指示の番号 (古い到着イベントを無視するため)
+  let active = false; // この係が動かしている最中か (stop で手動の移動まで止めないように)
+
+  const orbit = (map, shot, myCue) => {
+    // ユーザーが地図を触って移動が中断されたときは回らない
+    if (myCue !== cue || map.isMoving() || shot.orbitMs <= 0 || prefersReducedMotion()) { if (myCue === cue) active = false; return; }
+    map.easeTo({ bearing: map.getBearing() + shot.orbit, duration: shot.orbitMs, easing: t => t });
+    map.once('moveend', () => { if (myCue === cue) active = false; });
+  };
+
+  const flyover = (map, spot, shot) => {
+    if (!map) return;
+    const myCue = ++cue;
+    const reduced = prefersReducedMotion();
+    active = true;
+    map.flyTo({
+      center: [spot.lon, spot.lat],
+      zoom: shot.zoom,
+      pitch: reduced ? Math.min(shot.pitch, 45) : shot.pitch,
+      bearing: shot.bearing,
+      duration: reduced ? Math.min(shot.flightMs, 2500) : shot.flightMs,
+      curve: 1.6,
+      essential: true,
+    });
+    // flyTo の後に登録する (前の移動が中断されたときの moveend を拾わないように)
+    map.once('moveend', () => orbit(map, shot, myCue));
+  };
+
+  const stop = (map) => {
+    cue++;
+    if (active) map?.stop();
+    active = false;
+  };
+
+  return { flyover, stop };
+};
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { supabase } from '../supabaseClient';
+import { userRepository } from '../repositories';
 
 const AuthModal = ({ onClose, onLoginSuccess }) => {
   const [email, setEmail] = useState('');
@@ -14,17 +14,14 @@ const AuthModal = ({ onClose, onLoginSuccess }) => {
     setMessage('');
 
     try {
-      let result;
       if (isSignUp) {
         // 新規登録
-        const { data, error } = await supabase.auth.signUp({ email, password });
-        if (error) throw error;
+        await userRepository.signUp(email, password);
         setMessage('確認メールを送信しました。リンクをクリックしてください！');
       } else {
         // ログイン
-        const { data, error } = await supabase.auth.signInWithPassword({ email, password });
-        if (error) throw error;
-        onLoginSuccess(data.user);
+        const user = await userRepository.signIn(email, password);
+        onLoginSuccess(user);
         onClose();
       }
     } catch (error) {
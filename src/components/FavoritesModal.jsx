@@ -1,5 +1,5 @@
 import React, { useEffect, useState } from 'react';
-import { supabase } from '../supabaseClient';
+import { userRepository } from '../repositories';
 
 const FavoritesModal = ({ userId, onClose, onSelect }) => {
   const [groupedItems, setGroupedItems] = useState({});
@@ -8,14 +8,8 @@ const FavoritesModal = ({ userId, onClose, onSelect }) => {
 
   useEffect(() => {
     const fetchMyFavorites = async () => {
-      const { data } = await supabase
-        .from('favorites')
-        .select(`spot_id, spots (*)`)
-        .eq('user_id', userId)
-        .order('created_at', { ascending: false });
-
-      if (data) {
-        const spots = data.map(f => f.spots).filter(Boolean);
+      try {
+        const spots = await userRepository.listFavoriteSpots(userId);
         const groups = {};
         spots.forEach(spot => {
           const country = spot.country_ja || 'その他';
@@ -26,6 +20,8 @@ const FavoritesModal = ({ userId, onClose, onSelect }) => {
         const initialOpenState = {};
         Object.keys(groups).forEach(c => initialOpenState[c] = true);
         setOpenCountries(initialOpenState);
+      } catch (e) {
+        console.error("Favorites fetch error", e);
       }
       setLoading(false);
     };
@@ -35,12 +31,14 @@ const FavoritesModal = ({ userId, onClose, onSelect }) => {
   const handleDelete = async (e, spotId, country) => {
     e.stopPropagation();
     if (!window.confirm("削除しますか？")) return;
-    const { error } = await supabase.from('favorites').delete().eq('user_id', userId).eq('spot_id', spotId);
-    if (!error) {
+    try {
+      await userRepository.removeFavorite(userId, spotId);
       const newGroups = { ...groupedItems };
       newGroups[country] = newGroups[country].filter(item => item.id !== spotId);
       if (newGroups[country].length === 0) delete newGroups[country];
       setGroupedItems(newGroups);
+    } catch (e) {
+      console.error("Favorite delete error", e);
     }
   };
 
@@ -1,22 +1,35 @@
 import React, { useRef, useState, useMemo, useEffect, useCallback } from 'react';
 import Map, { Source, Layer } from 'react-map-gl';
-import { supabase } from '../supabaseClient';
-import { GoogleGenerativeAI } from "@google/generative-ai";
+import { spotRepository, userRepository, DATA_BACKEND, syncOfflineFavorites } from '../repositories';
+import { createSpotTileCache } from '../repositories/spotTiles';
+import { loadSpotCatalog, MAP_SPOT_FIELDS } from '../repositories/spotBundle';
+import { parseDeepLink, spotPath, cameraPath, historyTourPath, tourPath, absoluteUrl, replaceUrl } from '../links/deepLinks';
+import { reportBusy, registerSnapshot, takeRestoredSnapshot } from '../update/updateManager';
+import { addToSearchIndexes, findSpotIdByName } from '../search/searchIndex';
+import { BUILT_IN_TOURS } from '../data/tours';
+import { stopCamera, stopNarration, localizedText, isBuiltInTour, findTour, resolveTourStops, createTourFromSpots } from '../tours/tours';
+import { listUserTours, saveUserTour, deleteUserTour } from '../tours/tourStore';
+import { RIDE_ROUTES, HOP_DISTANCES_KM, planNextStops, haversineKm, bearingDeg, travelNarration } from '../rides/rideRouting';
+import { planShot, estimateSpeechMs, createCameraDirector } from '../camera/choreography';
+import { createNarrator } from '../tts/narrator';
+import { createAudioEngine } from '../audio/audioEngine';
+import { createBgmSelector } from '../audio/bgmSelector';
+import { listUserTracks, addUserTracks, removeUserTrack, USER_TRACK_GENRE } from '../audio/userTracks';
+import { loadPlaylists, savePlaylists, withPlaylist, withoutPlaylist, resolvePlaylist, shuffleNext } from '../audio/playlists';
+import BGM_MANIFEST from '../data/bgm.json';
+import { TTS_ENGINES, findEngine } from '../tts/engines';
+import { narrationKey } from '../tts/narrationCache';
+import { loadVoicePrefs, saveVoicePrefs, voiceFor, withVoice } from '../tts/voicePrefs';
+import { downloadRegion, downloadFavorites, downloadTracks, getOfflineSummary, clearOfflineData } from '../offline/downloads';
 import AuthModal from './AuthModal';
 import FavoritesModal from './FavoritesModal';
+import SearchPanel from './SearchPanel';
 import ErrorBoundary from './ErrorBoundary';
 import { isVipUser } from '../vipList';
+import { generateSpots, translateSpot } from '../api/geovoiceApi';
+import { LANGUAGES } from '../data/languages';
 
 const MAPBOX_TOKEN = import.meta.env.VITE_MAPBOX_TOKEN;
-const GEMINI_API_KEY = import.meta.env.VITE_GEMINI_API_KEY;
-
-const LANGUAGES = {
-  ja: { code: 'ja', name: 'Japanese', label: '🇯🇵 日本語' },
-  en: { code: 'en', name: 'English', label: '🇺🇸 English' },
-  zh: { code: 'zh', name: 'Chinese', label: '🇨🇳 中文' },
-  es: { code: 'es', name: 'Spanish', label: '🇪🇸 Español' },
-  fr: { code: 'fr', name: 'French', label: '🇫🇷 Français' },
-};
 
 const ERA_LABELS = {
   ja: { AD: '西暦', BC: '紀元前' },
@@ -26,40 +39,31 @@ const ERA_LABELS = {
   fr: { AD: 'ap. J.-C.', BC: 'av. J.-C.' },
 };
 
-// ★BGMライブラリ
-const BGM_LIBRARY = [
-  // Pop
-  { id: 'pop1', title: '10℃', artist: 'Japan', genre: 'Pop', url: '/bgm/Pop1.mp3' },
-  { id: 'pop2', title: 'Green park', artist: 'Japan', genre: 'Pop', url: '/bgm/Pop2.mp3' },
-  { id: 'pop3', title: 'ART-Break', artist: 'Japan', genre: 'Pop', url: '/bgm/Pop3.mp3' },
-  // Chill
-  { id: 'chill1', title: 'かえりみち', artist: 'Japan', genre: 'Chill', url: '/bgm/Chill1.mp3' }, 
-  { id: 'chill2', title: 'ON AIR', artist: 'Japan', genre: 'Chill', url: '/bgm/Chill2.mp3' },
-  { id: 'chill3', title: 'Bad-weather', artist: 'Japan', genre: 'Chill', url: '/bgm/Chill3.mp3' },
-  // Rock
-  { id: 'rock1', title: 'Rolling Girl', artist: 'Japan', genre: 'Rock', url: '/bgm/Rock1.mp3' },
-  { id: 'rock2', title: 'Break your destiny', artist: 'Japan', genre: 'Rock', url: '/bgm/Rock2.mp3' },
-  { id: 'rock3', title: 'Sword in the Void', artist: 'Japan', genre: 'Rock', url: '/bgm/Rock3.mp3' },
-  // Metal
-  { id: 'metal1', title: 'MECHANICAL DEATH', artist: 'Japan', genre: 'Metal', url: '/bgm/Metal1.mp3' },
-  { id: 'metal2', title: 'RADICAL GOOD SPEED', artist: 'Japan', genre: 'Metal', url: '/bgm/Metal2.mp3' },
-  { id: 'metal3', title: 'DIVINE WARRIORS', artist: 'Japan', genre: 'Metal', url: '/bgm/Metal3.mp3' },
-  // EDM
-  { id: 'edm1', title: 'Cosmic Summer', artist: 'Japan', genre: 'EDM', url: '/bgm/EDM1.mp3' },
-  { id: 'edm2', title: 'Rogue Circuit', artist: 'Japan', genre: 'EDM', url: '/bgm/EDM2.mp3' },
-  { id: 'edm3', title: 'Guide Me to Heaven', artist: 'Japan', genre: 'EDM', url: '/bgm/EDM3.mp3' },
-  // Jazz
-  { id: 'jazz1', title: 'Winter Night Street', artist: 'Japan', genre: 'Jazz', url: '/bgm/JAZZ1.mp3' },
-  { id: 'jazz2', title: 'Dive to ocean', artist: 'Japan', genre: 'Jazz', url: '/bgm/JAZZ2.mp3' },
-  { id: 'jazz3', title: 'Tea with Grace', artist: 'Japan', genre: 'Jazz', url: '/bgm/JAZZ3.mp3' },
-  // Country
-  { id: 'country1', title: 'Peaceful Town', artist: 'Japan', genre: 'Country', url: '/bgm/Country1.mp3' },
-  { id: 'country2', title: '木立の冬支度', artist: 'Japan', genre: 'Country', url: '/bgm/Country2.mp3' },
-  { id: 'country3', title: '秋を探しに', artist: 'Japan', genre: 'Country', url: '/bgm/Country3.mp3' },
-];
+// ★組み込みのBGM (src/data/bgm.json。ビルド時に public/bgm/ にあるか検査する。mood / tempo / energy はおまかせ選曲用)
+const BGM_LIBRARY = BGM_MANIFEST.tracks;
 
 const PREMIUM_CATEGORIES = ['science', 'art'];
 
+// ★地球儀に載せる軽量データ。全件ではなく、表示範囲のタイルごとに読み込む (spotTiles.js)
+// 一覧の取得元は静的バンドル (geovoice export spots) があればそれ、なければDB。詳細とユーザーデータは常にDB
+const SPOT_FIELDS = MAP_SPOT_FIELDS;
+const spotCatalog = loadSpotCatalog(spotRepository).catch(e => { console.warn('Spot bundle load error', e); return spotRepository; });
+const spotTiles = createSpotTileCache(spotCatalog, { fields: SPOT_FIELDS });
+// ★ライド中のカメラワーク (src/camera/choreography.js)
+const cameraDirector = createCameraDirector();
+// ★読み上げ (src/tts/。エンジンと声は設定タブで選ぶ)
+const narrator = createNarrator();
+// ★BGMと読み上げのミキサー (クロスフェード・読み上げ中のダッキング)
+const audioEngine = createAudioEngine();
+// ★BGMのおまかせ選曲 (スポットのカテゴリ・地域・時代に合わせる)
+const bgmSelector = createBgmSelector();
+const toMapSpot = (d) => Object.fromEntries(SPOT_FIELDS.split(', ').map(f => [f, d[f] ?? null]));
+
+// ★アプリ更新でリロードされた直後なら、その前の状態 (UpdatePrompt が退避したもの)
+const RESTORED_SESSION = takeRestoredSnapshot();
+// ★共有リンク (/spot/:id, /@lat,lon,zoom, /tour/history, /tour/:id) から開いた場合の初期状態
+const DEEP_LINK = RESTORED_SESSION ? null : parseDeepLink();
+
 const PRIVACY_POLICY_TEXT = `
 ## プライバシーポリシー
 (省略)
@@ -72,21 +76,66 @@ const MAP_CONFIG = {
   terrain: { source: 'mapbox-dem', exaggeration: 1.5 }
 };
 
+const CATEGORY_COLORS = {
+  landmark: '#ff8800',
+  nature: '#00ff7f',
+  history: '#ffcc00',
+  modern: '#00ffff',
+  science: '#d800ff',
+  art: '#ff0055',
+};
+
+// ★表示の優先度: 世界遺産 (history) と観光名所を先に出す (重なったときに上に描く・ラベルを先に置く)
+const CATEGORY_PRIORITY = { history: 2, landmark: 2, nature: 1, modern: 0, science: 0, art: 0 };
+
+// ★クラスタリング: クラスタごとにカテゴリ別の件数を集計し、一番多いカテゴリの色で塗る
+const CLUSTER_MAX_ZOOM = 5; // スポット選択時の flyTo (zoom 6) では個別の点が見えるように
+const CLUSTER_PROPERTIES = Object.fromEntries(Object.keys(CATEGORY_COLORS).map(cat => (
+  [`n_${cat}`, ['+', ['case', ['==', ['get', 'category'], cat], 1, 0]]]
+)));
+const DOMINANT_CATEGORY_COLOR = [
+  'case',
+  ...Object.keys(CATEGORY_COLORS).flatMap(cat => [
+    ['all', ...Object.keys(CATEGORY_COLORS).filter(other => other !== cat).map(other => ['>=', ['get', `n_${cat}`], ['get', `n_${other}`]])],
+    CATEGORY_COLORS[cat],
+  ]),
+  CATEGORY_COLORS.history
+];
+
+const UNCLUSTERED = ['!', ['has', 'point_count']];
+
+const LAYER_CLUSTER = {
+  id: 'clusters',
+  type: 'circle',
+  filter: ['has', 'point_count'],
+  paint: {
+    'circle-color': DOMINANT_CATEGORY_COLOR,
+    'circle-radius': ['step', ['get', 'point_count'], 14, 10, 18, 50, 24, 200, 30],
+    'circle-opacity': 0.75,
+    'circle-stroke-width': 2,
+    'circle-stroke-color': 'rgba(255, 255, 255, 0.6)'
+  }
+};
+const LAYER_CLUSTER_COUNT = {
+  id: 'cluster-count',
+  type: 'symbol',
+  filter: ['has', 'point_count'],
+  layout: {
+    'text-field': ['get', 'point_count_abbreviated'],
+    'text-font': ['DIN Offc Pro Medium', 'Arial Unicode MS Bold'],
+    'text-size': 12
+  },
+  paint: { 'text-color': '#000' }
+};
+
 const LAYER_GLOW = {
   id: 'point-glow',
   type: 'circle',
+  filter: UNCLUSTERED,
+  layout: { 'circle-sort-key': ['get', 'priority'] },
   paint: {
     'circle-radius': 6,
-    'circle-color': [
-      'match', ['get', 'category'],
-      'landmark', '#ff8800',
-      'nature', '#00ff7f',
-      'history', '#ffcc00',
-      'modern', '#00ffff',
-      'science', '#d800ff',
-      'art', '#ff0055',
-      '#ffcc00'
-    ],
+    'circle-color': ['match', ['get', 'category'], ...Object.entries(CATEGORY_COLORS).flat(), CATEGORY_COLORS.history],
     'circle-opacity': 0.8,
     'circle-blur': 0.4
   }
@@ -94,12 +143,31 @@ const LAYER_GLOW = {
 const LAYER_CORE = {
   id: 'point-core',
   type: 'circle',
+  filter: UNCLUSTERED,
+  layout: { 'circle-sort-key': ['get', 'priority'] },
   paint: { 'circle-radius': 3, 'circle-color': '#fff', 'circle-opacity': 1 }
 };
+// ズームインしたらスポット名を出す。重なるときは優先度の高いものから置く (symbol-sort-key は小さいほど先)
+const LAYER_LABEL = {
+  id: 'point-label',
+  type: 'symbol',
+  filter: UNCLUSTERED,
+  minzoom: 6,
+  layout: {
+    'text-field': ['get', 'label'],
+    'text-font': ['DIN Offc Pro Medium', 'Arial Unicode MS Regular'],
+    'text-size': 12,
+    'text-offset': [0, 1.1],
+    'text-anchor': 'top',
+    'text-max-width': 10,
+    'symbol-sort-key': ['-', ['get', 'priority']]
+  },
+  paint: { 'text-color': '#fff', 'text-halo-color': 'rgba(0, 0, 0, 0.8)', 'text-halo-width': 1.5 }
+};
 
 const MAP_CONTAINER_STYLE = { width: '100%', height: '100%' };
 
-const MemoizedMap = React.memo(({ mapRef, mapboxAccessToken, initialViewState, onMoveEnd, onClick, onMouseEnter, onMouseLeave, cursor, geoJsonData, onError, padding }) => {
+const MemoizedMap = React.memo(({ mapRef, mapboxAccessToken, initialViewState, onLoad, onMoveEnd, onClick, onMouseEnter, onMouseLeave, cursor, geoJsonData, onError, padding }) => {
   return (
     <Map
       ref={mapRef}
@@ -109,6 +177,7 @@ const MemoizedMap = React.memo(({ mapRef, mapboxAccessToken, initialViewState, o
       mapStyle={MAP_CONFIG.style}
       fog={MAP_CONFIG.fog}
       terrain={MAP_CONFIG.terrain}
+      onLoad={onLoad}
       onMoveEnd={onMoveEnd}
       onClick={onClick}
       onMouseEnter={onMouseEnter}
@@ -121,13 +190,16 @@ const MemoizedMap = React.memo(({ mapRef, mapboxAccessToken, initialViewState, o
       padding={padding}
       reuseMaps={true}
       optimizeForTerrain={true} 
-      interactiveLayerIds={['point-glow', 'point-core']}
+      interactiveLayerIds={['clusters', 'point-glow', 'point-core']}
     >
       <Source id="mapbox-dem" type="raster-dem" url="mapbox://mapbox.mapbox-terrain-dem-v1" tileSize={512} maxzoom={14} />
       {geoJsonData && (
-        <Source id="my-locations" type="geojson" data={geoJsonData}>
+        <Source id="my-locations" type="geojson" data={geoJsonData} cluster={true} clusterMaxZoom={CLUSTER_MAX_ZOOM} clusterRadius={40} clusterProperties={CLUSTER_PROPERTIES}>
+          <Layer {...LAYER_CLUSTER} />
+          <Layer {...LAYER_CLUSTER_COUNT} />
           <Layer {...LAYER_GLOW} />
           <Layer {...LAYER_CORE} />
+          <Layer {...LAYER_LABEL} />
         </Source>
       )}
     </Map>
@@ -136,11 +208,11 @@ const MemoizedMap = React.memo(({ mapRef, mapboxAccessToken, initialViewState, o
 
 const GlobeContent = () => {
   const mapRef = useRef(null);
-  const audioRef = useRef(null);
   
   const locationsRef = useRef([]);
   const selectedLocationRef = useRef(null);
   const isGeneratingRef = useRef(false);
+  const userRef = useRef(null);
   const isRideModeRef = useRef(false);
   const isHistoryModeRef = useRef(false);
   const historyIndexRef = useRef(0);
@@ -150,6 +222,9 @@ const GlobeContent = () => {
   
   // ★追加: ライド中のカテゴリを記憶するRef (次へボタン用)
   const rideCategoryRef = useRef(null);
+  // ★ツアー再生中は { tour, index (次に行く停留所), dwell (今の停留所の待ち秒数) }
+  const tourRef = useRef(null);
+  const tourPausedRef = useRef(false);
 
   const [locations, setLocations] = useState([]);
   const [selectedLocation, setSelectedLocation] = useState(null);
@@ -158,12 +233,12 @@ const GlobeContent = () => {
   const [isRideMode, setIsRideMode] = useState(false);
   const [isHistoryMode, setIsHistoryMode] = useState(false);
   
-  const [historyYearInput, setHistoryYearInput] = useState("");
-  const [historyEra, setHistoryEra] = useState("AD");
-  const [historyCountry, setHistoryCountry] = useState("ALL");
+  const [historyYearInput, setHistoryYearInput] = useState(DEEP_LINK?.historyTour?.year || "");
+  const [historyEra, setHistoryEra] = useState(DEEP_LINK?.historyTour?.era || "AD");
+  const [historyCountry, setHistoryCountry] = useState(DEEP_LINK?.historyTour?.country || "ALL");
   
-  const [currentLang, setCurrentLang] = useState('ja');
-  const [inputTheme, setInputTheme] = useState("");
+  const [currentLang, setCurrentLang] = useState(RESTORED_SESSION?.currentLang || DEEP_LINK?.lang || 'ja');
+  const currentLangRef = useRef(currentLang); // ライドのカメラワークで読み上げの長さを見積もる用
   const [isGenerating, setIsGenerating] = useState(false);
   const [statusMessage, setStatusMessage] = useState("");
   const [logs, setLogs] = useState([]);
@@ -175,16 +250,24 @@ const GlobeContent = () => {
   const [showFavList, setShowFavList] = useState(false);
   const [favorites, setFavorites] = useState(new Set());
 
-  const [visibleCategories, setVisibleCategories] = useState({
+  const [visibleCategories, setVisibleCategories] = useState(RESTORED_SESSION?.visibleCategories || {
     landmark: true, history: true, nature: true, modern: true, science: true, art: true
   });
 
   // 音楽プレーヤー State
+  const [masterVolume, setMasterVolume] = useState(1.0);
   const [bgmVolume, setBgmVolume] = useState(0.5);
   const [voiceVolume, setVoiceVolume] = useState(1.0);
+  const [voicePrefs, setVoicePrefs] = useState(loadVoicePrefs);
+  const [voiceOptions, setVoiceOptions] = useState({ key: null, voices: [], error: null }); // 設定タブの声の一覧 (key: エンジン:言語)
   const [isBgmOn, setIsBgmOn] = useState(false);
   const [currentTrack, setCurrentTrack] = useState(BGM_LIBRARY[0]);
   const [loopMode, setLoopMode] = useState('all'); 
+  const [isAutoBgm, setIsAutoBgm] = useState(false); // おまかせ選曲
+  const [isShuffle, setIsShuffle] = useState(false);
+  const [userTracks, setUserTracks] = useState([]); // 手元の曲 (src/audio/userTracks.js)
+  const [playlists, setPlaylists] = useState(loadPlaylists); // 保存した再生リスト
+  const [activePlaylistId, setActivePlaylistId] = useState(null);
   const [genreFilter, setGenreFilter] = useState('ALL');
   const [artistFilter, setArtistFilter] = useState('ALL');
 
@@ -193,11 +276,41 @@ const GlobeContent = () => {
   const [popupPos, setPopupPos] = useState({ x: 20, y: 20 });
   const [isDragging, setIsDragging] = useState(false);
   const [dragOffset, setDragOffset] = useState({ x: 0, y: 0 });
-  const [activeTab, setActiveTab] = useState(null); 
+  const [activeTab, setActiveTab] = useState(RESTORED_SESSION?.activeTab ?? null); 
+  const [countryList, setCountryList] = useState([]);
+
+  // ライドのルート (random / nearest / country / eastward と1回の移動距離の上限)
+  const [rideRoute, setRideRoute] = useState(RESTORED_SESSION?.rideRoute || { mode: 'random', maxHopKm: 1000 });
+  const rideRouteRef = useRef(rideRoute);
+  useEffect(() => { rideRouteRef.current = rideRoute; }, [rideRoute]);
+  // 先読みしたルートと訪問済みのスポット (ライドを止めるとリセット)
+  const routePlanRef = useRef(null);
+
+  // ツアー State
+  const [userTours, setUserTours] = useState(listUserTours);
+  const [tourProgress, setTourProgress] = useState(null); // { id, title, index, total }
+  const [isTourPaused, setIsTourPaused] = useState(false);
+
+  // オフライン State
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [offlineSummary, setOfflineSummary] = useState(null);
+  const [offlineStatus, setOfflineStatus] = useState("");
   const [nearbySpots, setNearbySpots] = useState([]);
   const [cursor, setCursor] = useState('auto'); 
 
-  const initialViewState = { longitude: 135.0, latitude: 35.0, zoom: 3.5 };
+  const initialViewState = RESTORED_SESSION?.camera || DEEP_LINK?.camera || { longitude: 135.0, latitude: 35.0, zoom: 3.5 };
+  // 更新前のライドの続き・ツアーのリンク (音声の自動再生はできないので、ボタンで開始してもらう)
+  const [pendingRide, setPendingRide] = useState(
+    RESTORED_SESSION?.ride ? { label: 'ライドを再開', resume: RESTORED_SESSION.ride }
+      : DEEP_LINK?.historyTour ? { label: 'ヒストリーツアーを開始', historyTour: true }
+      : DEEP_LINK?.tourId ? { label: 'ツアーを開始', tourId: DEEP_LINK.tourId }
+      : null
+  );
+  const pendingRideRef = useRef(pendingRide);
+  useEffect(() => { pendingRideRef.current = pendingRide; }, [pendingRide]);
+  const resumingRideRef = useRef(false);
+  // リンクから開いたときなど、ブラウザに自動再生を止められた読み上げ
+  const [needsTapToPlay, setNeedsTapToPlay] = useState(false);
 
   const toggleRideMode = () => setIsRideMode(prev => !prev);
 
@@ -220,33 +333,96 @@ const GlobeContent = () => {
   useEffect(() => { locationsRef.current = locations; }, [locations]);
   useEffect(() => { selectedLocationRef.current = selectedLocation; }, [selectedLocation]);
   useEffect(() => { isGeneratingRef.current = isGenerating; }, [isGenerating]);
+  useEffect(() => { userRef.current = user; }, [user]);
+
+  // ★アプリ更新の調整: 再生中・ライド中・BGM再生中はリロードを待ってもらう
+  useEffect(() => { reportBusy(isPlaying || isRideMode || isBgmOn); }, [isPlaying, isRideMode, isBgmOn]);
+
+  // 更新でリロードする直前に呼ばれる。カメラ・選択中のスポット・タブ・ライドの進み具合を退避する
+  const uiStateRef = useRef({});
+  useEffect(() => { uiStateRef.current = { activeTab, currentLang, visibleCategories, rideRoute }; });
+  useEffect(() => registerSnapshot(() => {
+    const map = mapRef.current?.getMap();
+    const center = map?.getCenter();
+    return {
+      ...uiStateRef.current,
+      camera: map ? { longitude: center.lng, latitude: center.lat, zoom: map.getZoom(), bearing: map.getBearing(), pitch: map.getPitch() } : null,
+      selectedSpotId: selectedLocationRef.current?.id ?? null,
+      ride: isRideModeRef.current ? {
+        history: isHistoryModeRef.current,
+        category: rideCategoryRef.current,
+        historySpots: isHistoryModeRef.current ? historySortedSpotsRef.current : [],
+        historyIndex: historyIndexRef.current,
+        tour: tourRef.current ? { tour: tourRef.current.tour, index: Math.max(0, tourRef.current.index - 1) } : null,
+      } : null,
+    };
+  }), []);
+
+  useEffect(() => {
+    // 地図は initialViewState で元の位置から始まるので、ここでは飛ばない
+    if (RESTORED_SESSION?.selectedSpotId != null) fetchAndSelectSpot(RESTORED_SESSION.selectedSpotId, { fly: false });
+  }, []);
+
+  const startPendingRide = () => {
+    const pending = pendingRide;
+    setPendingRide(null);
+    if (!pending) return;
+    if (pending.historyTour) { startHistoryRide(); return; }
+    if (pending.tourId) {
+      const tour = findTour(pending.tourId, userTours);
+      if (tour) startTour(tour); else alert("ツアーが見つかりません");
+      return;
+    }
+    const ride = pending.resume;
+    if (ride.tour) {
+      tourRef.current = { ...ride.tour, dwell: null };
+      setTourProgress({ id: ride.tour.tour.id, title: ride.tour.tour.title, index: ride.tour.index, total: ride.tour.tour.stops.length });
+    }
+    rideCategoryRef.current = ride.category;
+    historySortedSpotsRef.current = ride.historySpots;
+    historyIndexRef.current = ride.historyIndex;
+    resumingRideRef.current = true;
+    setIsHistoryMode(ride.history);
+    setIsRideMode(true);
+  };
   useEffect(() => { visibleCategoriesRef.current = visibleCategories; }, [visibleCategories]);
+  useEffect(() => { currentLangRef.current = currentLang; }, [currentLang]);
+  const isAutoBgmRef = useRef(false);
+  useEffect(() => { isAutoBgmRef.current = isAutoBgm; }, [isAutoBgm]);
 
-  const countryList = useMemo(() => {
-    const countries = new Set();
-    locations.forEach(loc => {
-      if (loc.country_ja) countries.add(loc.country_ja);
-    });
-    return Array.from(countries).sort();
-  }, [locations]);
+  // ヒストリーライドの国リスト。手元のスポットは表示範囲の分だけなので、ブラウズを開いたときにDBから取る
+  useEffect(() => {
+    if (activeTab !== 'browse' || countryList.length > 0) return;
+    spotCatalog.then(catalog => catalog.listCountryNames()).then(setCountryList).catch(e => addLog(`Country Error: ${e.message}`));
+  }, [activeTab, countryList.length]);
+
+  // BGMロジック (組み込みの曲 + 手元の曲)
+  useEffect(() => {
+    listUserTracks().then(setUserTracks).catch(e => console.warn('User tracks load error', e));
+  }, []);
+
+  const bgmLibrary = useMemo(() => [...BGM_LIBRARY, ...userTracks], [userTracks]);
+  const activePlaylist = playlists.find(p => p.id === activePlaylistId) || null;
 
-  // BGMロジック
   const availableGenres = useMemo(() => {
-    const genres = new Set(BGM_LIBRARY.map(track => track.genre));
+    const genres = new Set(bgmLibrary.map(track => track.genre));
     return Array.from(genres).sort();
-  }, []);
+  }, [bgmLibrary]);
 
   const availableArtists = useMemo(() => {
-    let tracks = BGM_LIBRARY;
+    let tracks = bgmLibrary;
     if (genreFilter !== 'ALL') {
       tracks = tracks.filter(t => t.genre === genreFilter);
     }
     const artists = new Set(tracks.map(t => t.artist));
     return Array.from(artists).sort();
-  }, [genreFilter]);
+  }, [bgmLibrary, genreFilter]);
 
+  // おまかせのときは組み込みの曲全体から選ぶ。保存した再生リストを選んでいればその曲
   const currentPlaylist = useMemo(() => {
-    let tracks = BGM_LIBRARY;
+    let tracks = bgmLibrary;
+    if (isAutoBgm) return BGM_LIBRARY;
+    if (activePlaylist) return resolvePlaylist(activePlaylist, bgmLibrary);
     if (genreFilter !== 'ALL') {
       tracks = tracks.filter(t => t.genre === genreFilter);
     }
@@ -254,7 +430,7 @@ const GlobeContent = () => {
       tracks = tracks.filter(t => t.artist === artistFilter);
     }
     return tracks;
-  }, [genreFilter, artistFilter]);
+  }, [bgmLibrary, isAutoBgm, activePlaylist, genreFilter, artistFilter]);
 
   useEffect(() => {
     const handleResize = () => setIsPc(window.innerWidth > 768);
@@ -290,77 +466,174 @@ const GlobeContent = () => {
     isRideModeRef.current = isRideMode;
     isHistoryModeRef.current = isHistoryMode;
     if (isRideMode) {
+      setPendingRide(null);
+      // 更新前のライドの続き: 候補の並びと位置は復元済み
+      if (resumingRideRef.current) {
+        resumingRideRef.current = false;
+        nextRideStep();
+        return;
+      }
       if (isHistoryMode) {
-        let candidates = locationsRef.current.filter(l => l.year !== null);
-        if (historyCountry !== "ALL") candidates = candidates.filter(l => l.country_ja === historyCountry);
-        if (historyYearInput && !isNaN(historyYearInput)) {
-          let targetYear = parseInt(historyYearInput);
-          if (historyEra === "BC") targetYear = -targetYear;
-          candidates.sort((a, b) => Math.abs(a.year - targetYear) - Math.abs(b.year - targetYear));
-        } else {
-          candidates.sort((a, b) => a.year - b.year);
-        }
-        if (candidates.length === 0) {
-          alert("条件に合うスポットが見つかりません");
-          setIsHistoryMode(false); setIsRideMode(false); return;
-        }
-        historySortedSpotsRef.current = candidates;
-        historyIndexRef.current = 0;
+        prepareHistoryRide().then(ok => { if (ok) nextRideStep(); });
+        return;
       }
       nextRideStep();
     } else {
-      window.speechSynthesis.cancel();
+      narrator.cancel();
       setIsPlaying(false);
       if (rideTimeoutRef.current) clearTimeout(rideTimeoutRef.current);
+      cameraDirector.stop(mapRef.current?.getMap());
+      clearTour();
+      routePlanRef.current = null;
     }
   }, [isRideMode]);
 
-  const fetchSpots = async () => {
+  const clearTour = () => {
+    tourRef.current = null;
+    tourPausedRef.current = false;
+    setTourProgress(null);
+    setIsTourPaused(false);
+  };
+
+  // ★ヒストリーライド: 条件に合うスポットを年の近い順にDBから取る (表示範囲外も対象)
+  const prepareHistoryRide = async () => {
+    let targetYear = null;
+    if (historyYearInput && !isNaN(historyYearInput)) {
+      targetYear = parseInt(historyYearInput);
+      if (historyEra === "BC") targetYear = -targetYear;
+    }
+    let candidates = [];
     try {
-      let allData = [];
-      let rangeStart = 0;
-      const rangeStep = 999; 
-      const minimalFields = 'id, name, name_ja, lat, lon, category, country_ja, year';
-
-      while (true) {
-        const { data, error } = await supabase
-            .from('spots')
-            .select(minimalFields)
-            .range(rangeStart, rangeStart + rangeStep);
-            
-        if (error) throw error;
-        if (data && data.length > 0) {
-          allData = allData.concat(data);
-          if (data.length < rangeStep + 1) break; 
-          rangeStart += rangeStep + 1;
-        } else { break; }
+      const rows = await (await spotCatalog).listSpotsByYear({
+        year: targetYear, countryJa: historyCountry !== "ALL" ? historyCountry : null, fields: SPOT_FIELDS,
+      });
+      candidates = rows.filter(d => d.lat !== null && d.lon !== null && d.lat !== 0 && d.lon !== 0);
+    } catch (e) { addLog(`Fetch Error: ${e.message}`); }
+    if (targetYear !== null) candidates.sort((a, b) => Math.abs(a.year - targetYear) - Math.abs(b.year - targetYear));
+    else candidates.sort((a, b) => a.year - b.year);
+    if (candidates.length === 0) {
+      alert("条件に合うスポットが見つかりません");
+      setIsHistoryMode(false); setIsRideMode(false); return false;
+    }
+    historySortedSpotsRef.current = candidates;
+    historyIndexRef.current = 0;
+    return true;
+  };
+
+  // タイルキャッシュの中身を地球儀に反映する
+  const syncLocations = () => {
+    const formattedData = spotTiles.list()
+      .filter(d => d.lat !== null && d.lon !== null && d.lat !== 0 && d.lon !== 0)
+      .map(d => ({ ...d, category: d.category || 'history' }));
+    locationsRef.current = formattedData; // moveEnd の直後に探索リストを作るので state の反映を待たない
+    setLocations(formattedData);
+  };
+
+  // 表示範囲のタイルを読み込む (読み込み済みのタイルはキャッシュから)
+  const loadViewport = async () => {
+    const map = mapRef.current?.getMap();
+    if (!map) return;
+    const bounds = map.getBounds();
+    try {
+      const added = await spotTiles.loadBounds(
+        { west: bounds.getWest(), south: bounds.getSouth(), east: bounds.getEast(), north: bounds.getNorth() },
+        map.getZoom(),
+      );
+      if (added > 0) {
+        syncLocations();
+        addLog(`Loaded ${added} spots (${locationsRef.current.length} total)`);
       }
-      const validData = allData.filter(d => d.lat !== null && d.lon !== null && d.lat !== 0 && d.lon !== 0);
-      const formattedData = validData.map(d => ({ ...d, category: d.category || 'history' }));
-      setLocations(formattedData);
-      addLog(`Loaded ${formattedData.length} spots`);
     } catch (e) { addLog(`Fetch Error: ${e.message}`); }
   };
 
   useEffect(() => {
-    fetchSpots();
-    supabase.auth.getSession().then(({ data: { session } }) => { if (session?.user) setupUser(session.user); });
-    const { data: { subscription } } = supabase.auth.onAuthStateChange((_event, session) => {
-      if (session?.user) setupUser(session.user); else clearUser();
+    userRepository.getSessionUser().then(u => { if (u) setupUser(u); });
+    return userRepository.onAuthStateChange(u => {
+      if (u) setupUser(u); else clearUser();
     });
-    return () => subscription.unsubscribe();
   }, []);
 
+  // ★オンライン/オフラインの切り替え。復帰したらオフライン中のお気に入り操作を送って取り直す
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncOfflineFavorites().then(sent => {
+        if (sent > 0) addLog(`Fav Sync: ${sent}`);
+        const u = userRef.current;
+        if (u) userRepository.listFavoriteIds(u.id).then(ids => setFavorites(new Set(ids))).catch(() => {});
+      });
+    };
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => { window.removeEventListener('online', handleOnline); window.removeEventListener('offline', handleOffline); };
+  }, []);
+
+  useEffect(() => {
+    if (activeTab === 'settings') refreshOfflineSummary();
+  }, [activeTab]);
+
+  // 設定タブを開いたら、選んでいるエンジンの声の一覧を取る (表示言語の分)
+  useEffect(() => {
+    if (activeTab !== 'settings') return;
+    const key = `${voicePrefs.engine}:${currentLang}`;
+    let cancelled = false;
+    findEngine(voicePrefs.engine).listVoices(currentLang)
+      .then(voices => { if (!cancelled) setVoiceOptions({ key, voices, error: null }); })
+      .catch(e => { if (!cancelled) setVoiceOptions({ key, voices: [], error: e.message }); });
+    return () => { cancelled = true; };
+  }, [activeTab, voicePrefs.engine, currentLang]);
+  const currentVoiceOptions = voiceOptions.key === `${voicePrefs.engine}:${currentLang}` ? voiceOptions : { voices: [], error: null };
+  const updateVoicePrefs = (prefs) => setVoicePrefs(saveVoicePrefs(prefs));
+
+  const refreshOfflineSummary = () => getOfflineSummary().then(setOfflineSummary).catch(() => setOfflineSummary(null));
+
+  // ★オフライン用の事前ダウンロード (表示中の地域 / お気に入り / 再生リストのBGM)
+  const runOfflineDownload = async (kind) => {
+    if (offlineStatus) return;
+    if (!isOnline) { alert("オフラインのためダウンロードできません"); return; }
+    try {
+      let message = "";
+      if (kind === 'region') {
+        const map = mapRef.current?.getMap();
+        if (!map) return;
+        const b = map.getBounds();
+        const result = await downloadRegion({
+          catalog: await spotCatalog, spotRepository,
+          bounds: { west: b.getWest(), south: b.getSouth(), east: b.getEast(), north: b.getNorth() },
+          onProgress: setOfflineStatus,
+        });
+        message = `スポット ${result.spots}件 (画像 ${result.images}件) を保存しました`;
+      } else if (kind === 'favorites') {
+        const result = await downloadFavorites({ userRepository, userId: user.id, onProgress: setOfflineStatus });
+        message = `お気に入り ${result.spots}件 (画像 ${result.images}件) を保存しました`;
+      } else if (kind === 'bgm') {
+        const saved = await downloadTracks(currentPlaylist, { onProgress: setOfflineStatus });
+        message = `BGM ${saved}曲を保存しました`;
+      }
+      alert(message);
+    } catch (e) { alert("ダウンロード失敗: " + e.message); }
+    finally { setOfflineStatus(""); refreshOfflineSummary(); }
+  };
+
+  const handleClearOffline = async () => {
+    if (!confirm("ダウンロードしたスポット・画像・BGMを削除しますか？")) return;
+    try { await clearOfflineData(); } catch (e) { alert("エラー: " + e.message); }
+    refreshOfflineSummary();
+  };
+
   const setupUser = (u) => { setUser(u); fetchFavorites(u.id); fetchProfile(u.id, u.email); addLog(`Login: ${u.email}`); };
   const clearUser = () => { setUser(null); setProfile(null); setIsPremium(false); setFavorites(new Set()); };
   const fetchProfile = async (userId, email) => {
     const isVip = isVipUser(email);
-    const { data } = await supabase.from('profiles').select('*').eq('id', userId).single();
+    const data = await userRepository.getProfile(userId);
     if (data) { setProfile(data); setIsPremium(isVip || data.is_premium); } else { setIsPremium(isVip); }
   };
   const fetchFavorites = async (userId) => {
-    const { data } = await supabase.from('favorites').select('spot_id').eq('user_id', userId);
-    if (data) setFavorites(new Set(data.map(f => f.spot_id)));
+    try {
+      const ids = await userRepository.listFavoriteIds(userId);
+      setFavorites(new Set(ids));
+    } catch (e) { addLog(`Fav Error: ${e.message}`); }
   };
 
   const toggleFavorite = async (targetId) => {
@@ -370,10 +643,10 @@ const GlobeContent = () => {
     const isFav = favorites.has(id);
     try {
       if (isFav) {
-        await supabase.from('favorites').delete().eq('user_id', user.id).eq('spot_id', id);
+        await userRepository.removeFavorite(user.id, id);
         const newFavs = new Set(favorites); newFavs.delete(id); setFavorites(newFavs);
       } else {
-        await supabase.from('favorites').insert({ user_id: user.id, spot_id: id });
+        await userRepository.addFavorite(user.id, id);
         const newFavs = new Set(favorites); newFavs.add(id); setFavorites(newFavs);
       }
     } catch(e) { addLog(`Fav Error: ${e.message}`); }
@@ -383,18 +656,35 @@ const GlobeContent = () => {
     fetchAndSelectSpot(spot.id);
   };
 
-  const fetchAndSelectSpot = async (spotId) => {
+  // camera: ツアーの停留所のカメラ指定 (zoom / pitch / bearing) / tourStop: 読み上げの差し替え用
+  // travel: ライドで前のスポットから移動してきたとき { distanceKm, bearing, countryChanged } (読み上げで触れる)
+  // ★ライド中はスポットの種類に合わせて寄り、読み上げの間ゆっくり周回する。手動で選んだときは zoom 6 へ寄るだけ
+  const fetchAndSelectSpot = async (spotId, { fly = true, camera = null, tourStop = null, travel = null } = {}) => {
     try {
-        const { data, error } = await supabase
-            .from('spots')
-            .select('*')
-            .eq('id', spotId)
-            .single();
-            
+        const data = await spotRepository.getSpot(spotId);
         if (data) {
-            const fullSpot = { ...data, category: data.category || 'history' };
+            const fullSpot = { ...data, category: data.category || 'history', tourStop, travel };
             setSelectedLocation(fullSpot);
-            mapRef.current?.flyTo({ center: [fullSpot.lon, fullSpot.lat], zoom: 6, speed: 1.2, curve: 1 });
+            // おまかせ選曲: 今の曲が合わなくなったら切り替える
+            if (isAutoBgmRef.current) setCurrentTrack(current => bgmSelector.pick(fullSpot, BGM_LIBRARY, { current }));
+            if (fly && isRideModeRef.current) {
+                const lang = currentLangRef.current;
+                const suffix = lang === 'ja' ? '_ja' : `_${lang}`;
+                const tourNarration = tourStop && stopNarration(tourStop, lang);
+                const narration = tourNarration || fullSpot[`description${suffix}`] || fullSpot.description;
+                // 前もって作った音声があれば、その正確な長さに合わせる
+                const recordedSeconds = tourNarration ? null : fullSpot[`audio_duration_${lang}`];
+                const shot = planShot(fullSpot, {
+                    approachBearing: travel?.bearing ?? null,
+                    distanceKm: travel?.distanceKm ?? null,
+                    speechMs: recordedSeconds ? recordedSeconds * 1000 : estimateSpeechMs(narration, lang),
+                    override: camera,
+                });
+                cameraDirector.flyover(mapRef.current?.getMap(), fullSpot, shot);
+            } else if (fly) {
+                cameraDirector.stop(mapRef.current?.getMap());
+                mapRef.current?.flyTo({ center: [fullSpot.lon, fullSpot.lat], zoom: 6, speed: 1.2, curve: 1 });
+            }
         }
     } catch (e) {
         console.error("Detail fetch error", e);
@@ -405,19 +695,16 @@ const GlobeContent = () => {
     if (statusMessage.includes("生成中")) return;
     setStatusMessage("翻訳中...");
     try {
-      const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-      const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" }); 
-      const prompt = `Translate/Rewrite into ${LANGUAGES[lang].name}. Target: "${spot.name}" Desc: "${spot.description}" Output JSON only: { "name": "Name", "description": "Desc (max 150 chars)" }`;
-      const result = await model.generateContent(prompt);
-      const text = result.response.text().replace(/```json/g, "").replace(/```/g, "").trim();
-      const json = JSON.parse(text);
+      // ★翻訳とDB保存はサーバー側 (server/) で行う
+      const json = await translateSpot(spot.id, lang);
       const updateData = { [`name_${lang}`]: json.name, [`description_${lang}`]: json.description };
-      await supabase.from('spots').update(updateData).eq('id', spot.id);
+      // ローカルモードはサーバーとブラウザでDBが別なので、こちらにも反映しておく
+      if (DATA_BACKEND === 'local') await spotRepository.updateTranslations(spot.id, lang, json);
       
       if (selectedLocationRef.current && selectedLocationRef.current.id === spot.id) {
         const newData = { ...spot, ...updateData, name: json.name, description: json.description };
         setDisplayData(newData);
-        if (!isRideModeRef.current) speak(json.description);
+        if (!isRideModeRef.current) speak([{ text: json.description, cacheKey: narrationKey(spot.id, lang) }]);
       }
     } catch (e) { addLog(`翻訳失敗: ${e.message}`); } finally { setStatusMessage(""); }
   };
@@ -425,7 +712,7 @@ const GlobeContent = () => {
   useEffect(() => {
     if (!selectedLocation) {
       setDisplayData(null);
-      window.speechSynthesis.cancel();
+      narrator.cancel();
       setIsPlaying(false);
       return;
     }
@@ -433,42 +720,57 @@ const GlobeContent = () => {
     let displayName = selectedLocation[`name${suffix}`] || selectedLocation.name;
     let displayDesc = selectedLocation[`description${suffix}`] || selectedLocation.description;
     
-    const newData = { ...selectedLocation, name: displayName, description: displayDesc, needsTranslation: currentLang === 'ja' && !/[ぁ-んァ-ン]/.test(displayName) };
+    // 読み上げる文 (speech): ライドの移動の一言 + 解説。ツアーの停留所で差し替えがあればそちら (カードには解説を出す)
+    // 解説はスポット+言語ごとに合成した音声を使い回す (cacheKey)。前もって作った音声 (audio_url_<lang>) があればそれを鳴らす
+    const narration = selectedLocation.tourStop ? stopNarration(selectedLocation.tourStop, currentLang) : null;
+    const countryName = currentLang === 'ja' ? selectedLocation.country_ja : (selectedLocation[`country_${currentLang}`] || selectedLocation.country);
+    const travelNote = travelNarration(selectedLocation.travel, currentLang, countryName);
+    const speech = [
+      { text: travelNote },
+      narration ? { text: narration } : { text: displayDesc, cacheKey: narrationKey(selectedLocation.id, currentLang), audioUrl: selectedLocation[`audio_url_${currentLang}`] || null },
+    ].filter(s => s.text);
+    const newData = { ...selectedLocation, name: displayName, description: displayDesc, speech, needsTranslation: currentLang === 'ja' && !/[ぁ-んァ-ン]/.test(displayName) };
     setDisplayData(newData);
     
     if (!newData.needsTranslation) {
-      window.speechSynthesis.cancel();
-      speak(newData.description);
+      narrator.cancel();
+      speak(newData.speech);
     }
   }, [selectedLocation, currentLang]);
 
-  const speak = (text) => {
-    if (!text) { setIsPlaying(false); return; }
-    const utterance = new SpeechSynthesisUtterance(text);
-    utterance.lang = { ja: 'ja-JP', en: 'en-US', zh: 'zh-CN', es: 'es-ES', fr: 'fr-FR' }[currentLang];
-    utterance.volume = voiceVolume;
-    utterance.onstart = () => setIsPlaying(true);
-    utterance.onend = () => {
-      setIsPlaying(false);
-      if (isRideModeRef.current) { rideTimeoutRef.current = setTimeout(() => { nextRideStep(); }, 3000); }
-    };
-    window.speechSynthesis.speak(utterance);
+  // speech: 文字列か [{ text, cacheKey }] (src/tts/narrator.js)
+  const speak = (speech) => {
+    if (!speech || speech.length === 0) { setIsPlaying(false); return; }
+    narrator.speak(speech, { lang: currentLang, prefs: voicePrefs, volume: audioEngine.speechVolume(), connect: audioEngine.connectVoice }, {
+      onStart: () => { setIsPlaying(true); setNeedsTapToPlay(false); },
+      onError: (code) => {
+        setIsPlaying(false);
+        if (code === 'not-allowed') setNeedsTapToPlay(true);
+      },
+      onEnd: () => {
+        setIsPlaying(false);
+        if (isRideModeRef.current && !tourPausedRef.current) {
+          const dwell = tourRef.current?.dwell ?? 3;
+          rideTimeoutRef.current = setTimeout(() => { nextRideStep(); }, dwell * 1000);
+        }
+      },
+    });
   };
 
   // ★修正: 再生ボタンを押したとき、選択がなければ「中心に近いスポット」を再生
   const togglePlay = () => {
-    if (window.speechSynthesis.speaking) {
-      if (window.speechSynthesis.paused) {
-        window.speechSynthesis.resume();
+    if (narrator.isSpeaking()) {
+      if (narrator.isPaused()) {
+        narrator.resume();
         setIsPlaying(true);
       } else {
-        window.speechSynthesis.pause();
+        narrator.pause();
         setIsPlaying(false);
       }
     } else {
         if (selectedLocation) {
             // すでに選択済みならそれを再生
-            speak(displayData?.description);
+            speak(displayData?.speech);
         } else {
             // 何も選択していない場合、中心に一番近いスポットを探す
             findClosestSpotAndPlay();
@@ -477,22 +779,34 @@ const GlobeContent = () => {
   };
 
   // 中心に近いスポットを探して再生する関数
-  const findClosestSpotAndPlay = () => {
+  const findClosestSpotAndPlay = async () => {
     const map = mapRef.current?.getMap();
     if (!map) return;
     
     const center = map.getCenter();
-    let closestSpot = null;
-    let minDistance = Infinity;
-
-    // 現在のlocations（軽量データ）から探す
-    locationsRef.current.forEach(loc => {
-        const dist = Math.pow(loc.lat - center.lat, 2) + Math.pow(loc.lon - center.lng, 2);
-        if (dist < minDistance) {
-            minDistance = dist;
-            closestSpot = loc;
-        }
-    });
+    const findClosest = () => {
+      let closestSpot = null;
+      let minDistance = Infinity;
+      // 現在のlocations（軽量データ）から探す
+      locationsRef.current.forEach(loc => {
+          const dist = Math.pow(loc.lat - center.lat, 2) + Math.pow(loc.lon - center.lng, 2);
+          if (dist < minDistance) {
+              minDistance = dist;
+              closestSpot = loc;
+          }
+      });
+      return closestSpot;
+    };
+
+    // ★表示範囲がまだ読み込まれていない / 範囲内に1件もないときは、周辺を広めに読み込んでから探す
+    await loadViewport();
+    let closestSpot = findClosest();
+    if (!closestSpot) {
+      try {
+        if (await spotTiles.loadAround(center.lat, center.lng, 20) > 0) syncLocations();
+      } catch (e) { addLog(`Fetch Error: ${e.message}`); }
+      closestSpot = findClosest();
+    }
 
     if (closestSpot) {
         // 詳細を取得して選択状態にする（これでspeakも発火する）
@@ -500,14 +814,14 @@ const GlobeContent = () => {
     }
   };
 
-  // BGM制御
+  // BGM制御 (鳴らすのは src/audio/audioEngine.js。曲の切り替えはクロスフェード)
   const playNextTrack = () => {
     if (loopMode === 'one') {
-      const audio = audioRef.current;
-      if (audio) {
-        audio.currentTime = 0;
-        audio.play().catch(() => {});
-      }
+      if (isBgmOn) audioEngine.playTrack(currentTrack, { loop: true, restart: true }).catch(() => {});
+    } else if (isAutoBgm) {
+      setCurrentTrack(bgmSelector.next(selectedLocationRef.current, BGM_LIBRARY, { current: currentTrack }));
+    } else if (isShuffle) {
+      setCurrentTrack(shuffleNext(currentPlaylist, currentTrack));
     } else {
       const currentIndex = currentPlaylist.findIndex(t => t.id === currentTrack.id);
       let nextIndex = 0;
@@ -527,23 +841,88 @@ const GlobeContent = () => {
     setCurrentTrack(currentPlaylist[prevIndex]);
   };
 
-  const handleTrackEnded = () => {
-    playNextTrack();
+  // 曲が終わりかけたら再生リストの次の曲へ (1曲リピートはエンジン側で繰り返す。おまかせなら今のスポットに合う曲)
+  useEffect(() => {
+    audioEngine.setOnTrackEnding((track) => {
+      let next;
+      if (isAutoBgm) {
+        next = bgmSelector.next(selectedLocationRef.current, BGM_LIBRARY, { current: track });
+      } else if (isShuffle) {
+        next = shuffleNext(currentPlaylist, track);
+      } else {
+        const index = currentPlaylist.findIndex(t => t.id === track.id);
+        next = currentPlaylist[(index + 1) % currentPlaylist.length] || track;
+      }
+      setCurrentTrack(next);
+      return next;
+    });
+  }, [currentPlaylist, isAutoBgm, isShuffle]);
+
+  // 手元の曲を追加する (この端末の IndexedDB に保存。どこにも送らない)
+  const handleAddUserTracks = async (e) => {
+    const files = e.target.files;
+    e.target.value = '';
+    if (!files || files.length === 0) return;
+    try {
+      const added = await addUserTracks(files);
+      if (added.length === 0) { alert("音声ファイルを選んでください"); return; }
+      setUserTracks(prev => [...prev, ...added]);
+      setIsAutoBgm(false);
+      setActivePlaylistId(null);
+      setGenreFilter(USER_TRACK_GENRE);
+      setArtistFilter('ALL');
+      setCurrentTrack(added[0]);
+    } catch (err) { alert("エラー: " + err.message); }
+  };
+
+  const handleRemoveUserTrack = async (track) => {
+    if (!confirm(`「${track.title}」をこの端末から削除しますか？`)) return;
+    try {
+      await removeUserTrack(track.id);
+      setUserTracks(prev => prev.filter(t => t.id !== track.id));
+      if (currentTrack.id === track.id) setCurrentTrack(BGM_LIBRARY[0]);
+    } catch (err) { alert("エラー: " + err.message); }
+  };
+
+  // 今の再生リストの曲を名前をつけて保存する
+  const handleSavePlaylist = () => {
+    if (currentPlaylist.length === 0) return;
+    const name = prompt("再生リストの名前", activePlaylist?.name || "マイリスト");
+    if (!name) return;
+    const next = savePlaylists(withPlaylist(playlists, name, currentPlaylist));
+    setPlaylists(next);
+    setActivePlaylistId(next.find(p => p.name === name).id);
+  };
+
+  const handleDeletePlaylist = () => {
+    if (!activePlaylist || !confirm(`再生リスト「${activePlaylist.name}」を削除しますか？`)) return;
+    setPlaylists(savePlaylists(withoutPlaylist(playlists, activePlaylist.id)));
+    setActivePlaylistId(null);
+  };
+
+  const selectPlaylist = (id) => {
+    const playlist = playlists.find(p => p.id === id) || null;
+    setActivePlaylistId(playlist?.id ?? null);
+    if (!playlist) return;
+    const [first] = resolvePlaylist(playlist, bgmLibrary);
+    if (first) setCurrentTrack(first);
   };
 
   useEffect(() => {
-    const audio = audioRef.current;
-    if (!audio) return;
-    if (isBgmOn) {
-        audio.volume = isPlaying ? bgmVolume * 0.2 : bgmVolume;
-        const playPromise = audio.play();
-        if (playPromise !== undefined) {
-            playPromise.catch(error => { console.log("Auto-play prevented"); });
-        }
-    } else {
-        audio.pause();
-    }
-  }, [isBgmOn, isPlaying, bgmVolume, currentTrack]);
+    if (isBgmOn) bgmSelector.remember(currentTrack);
+  }, [isBgmOn, currentTrack]);
+
+  useEffect(() => {
+    if (isBgmOn) audioEngine.playTrack(currentTrack, { loop: loopMode === 'one' }).catch(() => console.log("Auto-play prevented"));
+    else audioEngine.stopBgm();
+  }, [isBgmOn, currentTrack, loopMode]);
+
+  // 読み上げ中はBGMをなめらかに下げる
+  useEffect(() => { audioEngine.duck(isPlaying); }, [isPlaying]);
+
+  useEffect(() => {
+    audioEngine.setVolumes({ master: masterVolume, bgm: bgmVolume, voice: voiceVolume });
+  }, [masterVolume, bgmVolume, voiceVolume]);
 
   // Mapクリック
   const handleMapClick = useCallback((event) => {
@@ -552,6 +931,15 @@ const GlobeContent = () => {
     }
     
     const feature = event.features?.[0];
+    // ★クラスタをクリックしたら、クラスタが分かれるズームまで寄る
+    if (feature && feature.layer.id === 'clusters') {
+        const map = mapRef.current?.getMap();
+        map?.getSource('my-locations').getClusterExpansionZoom(feature.properties.cluster_id, (err, zoom) => {
+            if (err) return;
+            map.easeTo({ center: feature.geometry.coordinates, zoom });
+        });
+        return;
+    }
     if (feature && (feature.layer.id === 'point-glow' || feature.layer.id === 'point-core')) {
         const spotId = feature.properties.id;
         fetchAndSelectSpot(spotId);
@@ -582,6 +970,46 @@ const GlobeContent = () => {
     }
   }, [activeTab]);
 
+  // ★ライド中も含め、移動のたびに表示範囲のスポットを読み込んでから探索リストを更新する
+  // MemoizedMap は最初に渡したこの関数を使い続けるので、state は ref から読む
+  const handleMapMoveEnd = (evt) => {
+    loadViewport().then(() => handleMoveEnd(evt));
+    // 何も選んでいないときは URL をカメラ位置に合わせる (選択中はスポットの URL)
+    const map = mapRef.current?.getMap();
+    if (map && !selectedLocationRef.current && !isRideModeRef.current && !pendingRideRef.current?.historyTour) {
+      const center = map.getCenter();
+      replaceUrl(cameraPath({ latitude: center.lat, longitude: center.lng, zoom: map.getZoom() }, currentLangRef.current));
+    }
+  };
+
+  const handleMapLoad = () => {
+    loadViewport();
+    // スポットのリンクから開いた場合はそこへ飛んで読み上げる
+    if (DEEP_LINK?.spotId != null) fetchAndSelectSpot(DEEP_LINK.spotId);
+  };
+
+  // ★URL を状態に合わせる: 組み込みツアー中は /tour/:id、スポット選択中は /spot/:id、ヒストリーライド中は /tour/history
+  const playingTourId = tourProgress?.id;
+  useEffect(() => {
+    if (playingTourId && isBuiltInTour(playingTourId)) replaceUrl(tourPath(playingTourId, currentLang));
+    else if (selectedLocation) replaceUrl(spotPath(selectedLocation.id, currentLang));
+    else if (isRideMode && isHistoryMode) replaceUrl(historyTourPath({ year: historyYearInput, era: historyEra, country: historyCountry }, currentLang));
+  }, [playingTourId, selectedLocation, currentLang, isRideMode, isHistoryMode, historyYearInput, historyEra, historyCountry]);
+
+  // ★共有: Web Share API が使えなければリンクをコピー
+  const shareSpot = async (spot) => {
+    const url = absoluteUrl(spotPath(spot.id, currentLang));
+    const title = (spot.name || '').split('#')[0].trim();
+    if (navigator.share) {
+      try { await navigator.share({ title: `${title} | GeoVoice`, text: title, url }); return; }
+      catch (e) { if (e.name === 'AbortError') return; }
+    }
+    try {
+      await navigator.clipboard.writeText(url);
+      alert("リンクをコピーしました");
+    } catch { prompt("このリンクをコピーしてください", url); }
+  };
+
   const updateAllCountryTags = async () => {
     if (!confirm("全てのスポットの国名情報をAIで再取得しますか？\n（データ数が多い場合、時間がかかります）")) return;
     setIsGenerating(true);
@@ -591,25 +1019,29 @@ const GlobeContent = () => {
     finally { setIsGenerating(false); setStatusMessage(""); }
   };
 
-  const handleGenerate = async () => {
-    if (!inputTheme) return;
+  // 検索で見つからなかったテーマから、AIで新しいスポットを作る
+  const handleGenerate = async (theme) => {
+    if (!theme) return;
     setIsGenerating(true); setStatusMessage("AI生成中...");
     try {
-      const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-      const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
-      const prompt = `歴史ガイドとして「${inputTheme}」のスポットを3つ選んで。言語: ${LANGUAGES[currentLang].label}。出力(JSON): [{"name":"名称 #タグ","lat":0,"lon":0,"description":"解説"}]`;
-      const result = await model.generateContent(prompt);
-      const text = result.response.text().replace(/```json/g, "").replace(/```/g, "").trim();
-      let newSpots = JSON.parse(text.match(/\[[\s\S]*\]/)[0]);
-      const insertData = newSpots.map(s => ({ ...s, name_ja: s.name, description_ja: s.description, category: 'history' }));
-      await supabase.from('spots').insert(insertData);
-      fetchSpots();
+      // ★生成・検証・DB追加はサーバー側 (server/) で行う
+      const { spots: generated } = await generateSpots(theme, currentLang);
+      // ローカルモードはブラウザ側のDBにも追加する (IDはローカル側で振り直される)
+      const newSpots = DATA_BACKEND === 'local' ? await spotRepository.insertSpots(generated) : generated;
+      spotTiles.add(newSpots.map(toMapSpot));
+      addToSearchIndexes(newSpots);
+      syncLocations();
       if (newSpots.length > 0) mapRef.current?.flyTo({ center: [newSpots[0].lon, newSpots[0].lat], zoom: 4 });
-      setInputTheme(""); alert(`${newSpots.length}件追加！`);
+      alert(`${newSpots.length}件追加！`);
     } catch (e) { alert(e.message); } finally { setIsGenerating(false); setStatusMessage(""); }
   };
 
-  const handleNextRide = () => { if (!isRideMode) return; window.speechSynthesis.cancel(); if (rideTimeoutRef.current) clearTimeout(rideTimeoutRef.current); nextRideStep(); };
+  const handleSearchSelect = (spotId) => {
+    fetchAndSelectSpot(spotId);
+    if (!isPc) setActiveTab(null); // スマホは全画面のパネルを閉じて地図を見せる
+  };
+
+  const handleNextRide = () => { if (!isRideMode) return; narrator.cancel(); if (rideTimeoutRef.current) clearTimeout(rideTimeoutRef.current); nextRideStep(); };
 
   const handleCurrentLocation = () => {
     if (!navigator.geolocation) { alert("現在地機能が使えません"); return; }
@@ -623,6 +1055,7 @@ const GlobeContent = () => {
   };
 
   const startHistoryRide = () => {
+    clearTour();
     setIsHistoryMode(true);
     setIsRideMode(true);
     setActiveTab('map'); 
@@ -631,6 +1064,7 @@ const GlobeContent = () => {
   // ★修正: カテゴリ指定ライドの開始 (Refに保存)
   const jumpToRandomSpot = (targetCategory = null) => {
     rideCategoryRef.current = targetCategory; // ジャンルを記憶
+    clearTour();
     
     if (targetCategory) {
         const newFilters = { landmark: false, history: false, nature: false, modern: false, science: false, art: false };
@@ -650,6 +1084,24 @@ const GlobeContent = () => {
   const nextRideStep = async () => {
     if (!isRideModeRef.current) return;
     let nextSpot = null;
+
+    // ★ツアー: 停留所を順番に。最後まで行ったら終了
+    if (tourRef.current) {
+        const current = tourRef.current;
+        const { tour, index } = current;
+        if (index >= tour.stops.length) {
+            addLog(`Tour finished: ${localizedText(tour.title, 'ja')}`);
+            setIsRideMode(false);
+            return;
+        }
+        const stop = tour.stops[index];
+        const camera = stopCamera(tour, stop);
+        current.index = index + 1;
+        current.dwell = camera.dwell;
+        setTourProgress({ id: tour.id, title: tour.title, index: index + 1, total: tour.stops.length });
+        await fetchAndSelectSpot(stop.spotId, { camera, tourStop: stop });
+        return;
+    }
     
     if (isHistoryModeRef.current) {
         const sorted = historySortedSpotsRef.current;
@@ -663,41 +1115,150 @@ const GlobeContent = () => {
         // ターゲットカテゴリがある場合はそれを使う、なければ現在のフィルタを使う
         const targetCat = rideCategoryRef.current;
         
-        let candidates = locationsRef.current.filter(loc => {
-          const cat = loc.category || 'history';
-          if (!profile?.is_premium && !isVipUser(user?.email) && PREMIUM_CATEGORIES.includes(cat)) return false;
-          
-          if (targetCat) {
-              return cat === targetCat;
-          }
-          return currentFilters[cat];
-        });
+        let categories = targetCat ? [targetCat] : Object.keys(currentFilters).filter(cat => currentFilters[cat]);
+        if (!profile?.is_premium && !isVipUser(user?.email)) categories = categories.filter(cat => !PREMIUM_CATEGORIES.includes(cat));
 
+        // ★手元には表示範囲のスポットしかないので、抽選はDB側で行う
         // ★重要: 今と同じスポットを除外する (再抽選防止)
-        if (selectedLocationRef.current) {
-            candidates = candidates.filter(c => c.id !== selectedLocationRef.current.id);
+        if (categories.length > 0) {
+            try {
+                nextSpot = rideRouteRef.current.mode === 'random'
+                    ? await (await spotCatalog).getRandomSpot({ categories, excludeId: selectedLocationRef.current?.id, fields: SPOT_FIELDS })
+                    : await nextRoutedSpot(categories);
+            } catch (e) { addLog(`Fetch Error: ${e.message}`); }
         }
 
-        if (candidates.length === 0) { 
+        if (!nextSpot) { 
             setIsRideMode(false); 
+            // ルート指定のライドは移動距離の上限を超えて探さないので、その範囲に行き先がなければ終わる
+            if (categories.length > 0 && rideRouteRef.current.mode !== 'random') {
+                alert(`${rideRouteRef.current.maxHopKm.toLocaleString()}km 以内に次のスポットがないため、ライドを終了しました`);
+            }
             return; 
         }
-        nextSpot = candidates[Math.floor(Math.random() * candidates.length)];
     }
     
-    if (nextSpot) {
-        await fetchAndSelectSpot(nextSpot.id);
+    if (nextSpot && isRideModeRef.current) {
+        // 表示範囲の外から選んだスポットも地球儀に載せておく
+        if (spotTiles.add([nextSpot]) > 0) syncLocations();
+        const from = selectedLocationRef.current;
+        const travel = from ? {
+            distanceKm: haversineKm(from, nextSpot),
+            bearing: bearingDeg(from, nextSpot),
+            countryChanged: Boolean(nextSpot.country_ja) && nextSpot.country_ja !== from.country_ja,
+        } : null;
+        await fetchAndSelectSpot(nextSpot.id, { travel });
     }
   };
 
+  // ★ルート指定のライド: 今いる場所から数件先まで順番を決めておき、使い切ったら続きを決める
+  const nextRoutedSpot = async (categories) => {
+    const { mode, maxHopKm } = rideRouteRef.current;
+    const map = mapRef.current?.getMap();
+    const center = map?.getCenter();
+    const from = selectedLocationRef.current || (center ? { lat: center.lat, lon: center.lng } : null);
+    if (!from) return null;
+
+    let plan = routePlanRef.current;
+    if (!plan || plan.mode !== mode || plan.maxHopKm !== maxHopKm || plan.categories !== categories.join(',')) {
+      plan = { mode, maxHopKm, categories: categories.join(','), queue: [], visited: plan?.visited || new Set(), originLat: from.lat };
+      routePlanRef.current = plan;
+    }
+    if (from.id != null) plan.visited.add(String(from.id));
+    if (plan.queue.length === 0) {
+      plan.queue = await planNextStops(await spotCatalog, from, {
+        mode, maxHopKm, categories, visited: plan.visited, originLat: plan.originLat, fields: SPOT_FIELDS,
+      });
+      // 「この国の中」でまだ国が決まっていない (何も選んでいない) ときは、最寄りの1件で国を決める
+      if (mode === 'country' && !from.country_ja) plan.queue = plan.queue.slice(0, 1);
+      addLog(plan.queue.length > 0 ? `Route (${mode}): ${plan.queue.length} stops` : `Route (${mode}): no more spots`);
+    }
+    const next = plan.queue.shift() || null;
+    if (next) plan.visited.add(String(next.id));
+    return next;
+  };
+
+  // ★ツアーの開始。組み込みツアーは停留所の名前をスポットIDに引いてから
+  const startTour = async (tour) => {
+    if (tour.premium && !isPremium) { alert("このツアーはプレミアム限定です"); return; }
+    setStatusMessage("ツアーを準備中...");
+    let resolved;
+    try { resolved = await resolveTourStops(tour, findSpotIdByName); }
+    catch (e) { addLog(`Tour Error: ${e.message}`); }
+    finally { setStatusMessage(""); }
+    if (!resolved || resolved.stops.length === 0) { alert("このツアーのスポットが見つかりません"); return; }
+
+    narrator.cancel();
+    if (rideTimeoutRef.current) clearTimeout(rideTimeoutRef.current);
+    tourRef.current = { tour: resolved, index: 0, dwell: null };
+    tourPausedRef.current = false;
+    setIsTourPaused(false);
+    setTourProgress({ id: resolved.id, title: resolved.title, index: 0, total: resolved.stops.length });
+    rideCategoryRef.current = null;
+    setIsHistoryMode(false);
+    setActiveTab('map');
+    if (isRideModeRef.current) nextRideStep(); else setIsRideMode(true);
+  };
+
+  // 一時停止中は読み上げを止め、次の停留所へも進まない
+  const toggleTourPause = () => {
+    if (!tourRef.current) return;
+    if (tourPausedRef.current) {
+      tourPausedRef.current = false;
+      setIsTourPaused(false);
+      if (narrator.isPaused()) { narrator.resume(); setIsPlaying(true); }
+      else if (!narrator.isSpeaking()) nextRideStep();
+    } else {
+      tourPausedRef.current = true;
+      setIsTourPaused(true);
+      if (rideTimeoutRef.current) clearTimeout(rideTimeoutRef.current);
+      cameraDirector.stop(mapRef.current?.getMap());
+      if (narrator.isSpeaking()) { narrator.pause(); setIsPlaying(false); }
+    }
+  };
+
+  // スキップ・戻るは一時停止を解除して進む
+  const tourSkip = () => {
+    tourPausedRef.current = false;
+    setIsTourPaused(false);
+    handleNextRide();
+  };
+
+  // 前の停留所へ (index は「次に行く停留所」なので2つ戻す)
+  const tourBack = () => {
+    if (!tourRef.current) return;
+    tourRef.current.index = Math.max(0, tourRef.current.index - 2);
+    tourSkip();
+  };
+
+  const createFavoritesTour = async () => {
+    if (!user) { setShowAuthModal(true); return; }
+    try {
+      const spots = (await userRepository.listFavoriteSpots(user.id)).reverse(); // お気に入りに入れた順
+      if (spots.length < 2) { alert("ツアーを作るにはお気に入りが2件以上必要です"); return; }
+      const title = prompt("ツアーの名前", "お気に入りツアー");
+      if (!title) return;
+      saveUserTour(createTourFromSpots(spots, { title }));
+      setUserTours(listUserTours());
+    } catch (e) { alert("エラー: " + e.message); }
+  };
+
+  const removeUserTour = (id) => {
+    if (!confirm("このツアーを削除しますか？")) return;
+    deleteUserTour(id);
+    setUserTours(listUserTours());
+  };
+
   const filteredGeoJsonData = useMemo(() => {
     const filtered = locations.filter(loc => {
       const cat = loc.category || 'history';
       if (!isPremium && PREMIUM_CATEGORIES.includes(cat)) return false;
       return visibleCategories[cat];
     });
-    return { type: 'FeatureCollection', features: filtered.map(loc => ({ type: 'Feature', geometry: { type: 'Point', coordinates: [loc.lon, loc.lat] }, properties: { ...loc } })) };
-  }, [locations, visibleCategories, isPremium]);
+    // label: ズームイン時に出す名前 (表示言語に合わせ、#タグは外す) / priority: CATEGORY_PRIORITY
+    const labelOf = (loc) => ((currentLang === 'ja' && loc.name_ja) || loc.name || '').split('#')[0].trim();
+    return { type: 'FeatureCollection', features: filtered.map(loc => ({ type: 'Feature', geometry: { type: 'Point', coordinates: [loc.lon, loc.lat] }, properties: { ...loc, label: labelOf(loc), priority: CATEGORY_PRIORITY[loc.category] ?? 0 } })) };
+  }, [locations, visibleCategories, isPremium, currentLang]);
 
   const getCategoryDetails = (category) => {
     let tag = '世界遺産'; let color = '#ffcc00';
@@ -763,6 +1324,20 @@ const GlobeContent = () => {
       return (
         <div style={commonStyle}>
           <h2 style={{color:'#fff', marginTop:0, fontSize:'1.5rem'}}>ブラウズ</h2>
+          <div style={{ background: '#222', borderRadius: '12px', padding: '15px', marginBottom: '20px', border: '1px solid #444' }}>
+            <h4 style={{ margin: '0 0 10px 0', color: '#00ffcc' }}>🧭 ツアー</h4>
+            {[...BUILT_IN_TOURS, ...userTours].map(tour => (
+              <div key={tour.id} style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '8px 0', borderBottom: '1px solid #333' }}>
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div style={{ color: 'white', fontSize: '0.9rem', fontWeight: 'bold' }}>{tour.premium && '👑 '}{localizedText(tour.title, currentLang)}</div>
+                  <div style={{ color: '#888', fontSize: '0.75rem' }}>{tour.stops.length}スポット{tour.description ? ` ・ ${localizedText(tour.description, currentLang)}` : ''}</div>
+                </div>
+                {!isBuiltInTour(tour.id) && <button onClick={() => removeUserTour(tour.id)} style={{ background: 'transparent', border: 'none', color: '#888', cursor: 'pointer' }}>🗑️</button>}
+                <button onClick={() => startTour(tour)} style={{ background: '#00ffcc', color: 'black', border: 'none', borderRadius: '15px', padding: '6px 12px', fontWeight: 'bold', cursor: 'pointer' }}>▶</button>
+              </div>
+            ))}
+            <button onClick={createFavoritesTour} style={{ width: '100%', marginTop: '10px', padding: '10px', borderRadius: '20px', background: 'transparent', border: '1px solid #ff3366', color: '#ff3366', fontWeight: 'bold', cursor: 'pointer' }}>♥ お気に入りからツアーを作る</button>
+          </div>
           <div style={{ background: '#222', borderRadius: '12px', padding: '15px', marginBottom: '20px', border: '1px solid #444' }}>
             <h4 style={{ margin: '0 0 10px 0', color: '#ffcc00' }}>⏳ ヒストリーライド</h4>
             <div style={{ display: 'flex', gap: '5px', marginBottom: '10px' }}>
@@ -778,6 +1353,15 @@ const GlobeContent = () => {
             </select>
             <button onClick={startHistoryRide} style={{ width: '100%', padding: '10px', borderRadius: '20px', background: '#ffcc00', border: 'none', color: 'black', fontWeight: 'bold', cursor: 'pointer' }}>START</button>
           </div>
+          <div style={{ display: 'flex', gap: '5px', marginBottom: '10px', alignItems: 'center' }}>
+            <span style={{ color: '#888', fontSize: '0.8rem' }}>ルート</span>
+            <select value={rideRoute.mode} onChange={e => setRideRoute(prev => ({ ...prev, mode: e.target.value }))} style={{ flex: 1, padding: '6px', background: '#111', color: 'white', border:'1px solid #555', borderRadius:'5px' }}>
+              {Object.entries(RIDE_ROUTES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+            <select value={rideRoute.maxHopKm} onChange={e => setRideRoute(prev => ({ ...prev, maxHopKm: Number(e.target.value) }))} disabled={rideRoute.mode === 'random'} style={{ padding: '6px', background: '#111', color: 'white', border:'1px solid #555', borderRadius:'5px' }}>
+              {HOP_DISTANCES_KM.map(km => <option key={km} value={km}>〜{km.toLocaleString()}km</option>)}
+            </select>
+          </div>
           <button onClick={() => jumpToRandomSpot()} style={{ width: '100%', padding: '12px', borderRadius: '25px', background: 'transparent', border: '2px solid #00ffcc', color: '#00ffcc', fontWeight: 'bold', marginBottom: '25px', cursor: 'pointer' }}>気球の旅 🎈 (All)</button>
           <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '10px' }}>
             <div onClick={() => jumpToRandomSpot('landmark')} style={{ background: '#222', padding: '15px', borderRadius: '10px', cursor: 'pointer', textAlign:'center', border:'1px solid #333' }}><div style={{fontSize:'1.5rem'}}>🏯</div><div style={{color:'#ff8800', fontSize:'0.8rem', marginTop:'5px'}}>観光名所</div></div>
@@ -824,37 +1408,84 @@ const GlobeContent = () => {
                         <div style={{color:'white', fontSize:'0.9rem', fontWeight:'bold'}}>{currentTrack.title}</div>
                         <div style={{color:'#888', fontSize:'0.8rem'}}>{currentTrack.artist}</div>
                     </div>
-                    <select value={genreFilter} onChange={(e) => { const newGenre = e.target.value; setGenreFilter(newGenre); setArtistFilter('ALL'); let nextTrack = BGM_LIBRARY[0]; if (newGenre !== 'ALL') { const found = BGM_LIBRARY.find(t => t.genre === newGenre); if (found) nextTrack = found; } setCurrentTrack(nextTrack); }} style={{ width:'100%', background: '#333', color: '#fff', border: '1px solid #555', borderRadius: '4px', padding: '4px', marginBottom:'5px', fontSize:'0.8rem' }}>
+                    <button onClick={() => { if (!isAutoBgm) setCurrentTrack(bgmSelector.pick(selectedLocation, BGM_LIBRARY, { current: currentTrack })); setIsAutoBgm(!isAutoBgm); }} style={{ width:'100%', background: isAutoBgm?'#00ffcc':'#333', color: isAutoBgm?'#000':'#fff', border: '1px solid #555', borderRadius: '4px', padding: '4px', marginBottom:'5px', fontSize:'0.8rem', cursor:'pointer' }}>🎲 おまかせ選曲 {isAutoBgm ? 'ON' : 'OFF'}</button>
+                    {isAutoBgm ? (
+                    <div style={{ color:'#888', fontSize:'0.75rem', marginBottom:'5px' }}>スポットのカテゴリ・地域・時代に合わせて曲を選びます</div>
+                    ) : (<>
+                    <div style={{display:'flex', gap:'5px', marginBottom:'5px'}}>
+                        <select value={activePlaylistId || ''} onChange={(e) => selectPlaylist(e.target.value)} style={{ flex:1, background: '#333', color: '#fff', border: '1px solid #555', borderRadius: '4px', padding: '4px', fontSize:'0.8rem' }}>
+                            <option value="">ジャンル・アーティストで選ぶ</option>
+                            {playlists.map(p => <option key={p.id} value={p.id}>📃 {p.name}</option>)}
+                        </select>
+                        <button onClick={handleSavePlaylist} title="今の再生リストを保存" style={{ background:'#333', color:'#fff', border:'1px solid #555', borderRadius:'4px', padding:'4px 8px', cursor:'pointer' }}>💾</button>
+                        {activePlaylist && <button onClick={handleDeletePlaylist} title="再生リストを削除" style={{ background:'#333', color:'#ff3366', border:'1px solid #555', borderRadius:'4px', padding:'4px 8px', cursor:'pointer' }}>🗑</button>}
+                    </div>
+                    {!activePlaylist && (<>
+                    <select value={genreFilter} onChange={(e) => { const newGenre = e.target.value; setGenreFilter(newGenre); setArtistFilter('ALL'); let nextTrack = bgmLibrary[0]; if (newGenre !== 'ALL') { const found = bgmLibrary.find(t => t.genre === newGenre); if (found) nextTrack = found; } setCurrentTrack(nextTrack); }} style={{ width:'100%', background: '#333', color: '#fff', border: '1px solid #555', borderRadius: '4px', padding: '4px', marginBottom:'5px', fontSize:'0.8rem' }}>
                         <option value="ALL">All Genres</option>
                         {availableGenres.map(g => <option key={g} value={g}>{g}</option>)}
                     </select>
-                    <select value={artistFilter} onChange={(e) => { const newArtist = e.target.value; setArtistFilter(newArtist); let nextTrack = BGM_LIBRARY[0]; if (newArtist !== 'ALL') { const found = BGM_LIBRARY.find(t => t.artist === newArtist && (genreFilter === 'ALL' || t.genre === genreFilter)); if (found) nextTrack = found; } else if (genreFilter !== 'ALL') { const found = BGM_LIBRARY.find(t => t.genre === genreFilter); if (found) nextTrack = found; } setCurrentTrack(nextTrack); }} style={{ width:'100%', background: '#333', color: '#fff', border: '1px solid #555', borderRadius: '4px', padding: '4px', marginBottom:'5px', fontSize:'0.8rem' }}>
+                    <select value={artistFilter} onChange={(e) => { const newArtist = e.target.value; setArtistFilter(newArtist); let nextTrack = bgmLibrary[0]; if (newArtist !== 'ALL') { const found = bgmLibrary.find(t => t.artist === newArtist && (genreFilter === 'ALL' || t.genre === genreFilter)); if (found) nextTrack = found; } else if (genreFilter !== 'ALL') { const found = bgmLibrary.find(t => t.genre === genreFilter); if (found) nextTrack = found; } setCurrentTrack(nextTrack); }} style={{ width:'100%', background: '#333', color: '#fff', border: '1px solid #555', borderRadius: '4px', padding: '4px', marginBottom:'5px', fontSize:'0.8rem' }}>
                         <option value="ALL">All Artists</option>
                         {availableArtists.map(a => <option key={a} value={a}>{a}</option>)}
                     </select>
+                    </>)}
+                    </>)}
                     <div style={{display:'flex', gap:'5px', marginBottom:'10px'}}>
-                        <select value={currentTrack.id} onChange={(e) => { const selected = BGM_LIBRARY.find(t => t.id === e.target.value); if (selected) { setCurrentTrack(selected); if (!isBgmOn) setIsBgmOn(true); } }} style={{ flex:1, background: '#333', color: '#00ffcc', border: '1px solid #555', borderRadius: '4px', padding: '4px', fontSize:'0.8rem' }}>
+                        <select value={currentTrack.id} onChange={(e) => { const selected = bgmLibrary.find(t => t.id === e.target.value); if (selected) { setCurrentTrack(selected); if (isAutoBgm) { setIsAutoBgm(false); setActivePlaylistId(null); setGenreFilter('ALL'); setArtistFilter('ALL'); } if (!isBgmOn) setIsBgmOn(true); } }} style={{ flex:1, background: '#333', color: '#00ffcc', border: '1px solid #555', borderRadius: '4px', padding: '4px', fontSize:'0.8rem' }}>
                             {currentPlaylist.map(t => <option key={t.id} value={t.id}>{t.title}</option>)}
                         </select>
                         <button onClick={() => setLoopMode(loopMode === 'one' ? 'all' : 'one')} style={{ background: loopMode==='one'?'#00ffcc':'#333', color:loopMode==='one'?'#000':'#fff', border:'1px solid #555', borderRadius:'4px', padding:'4px 8px', cursor:'pointer' }}>{loopMode === 'one' ? '🔂' : '🔁'}</button>
+                        {!isAutoBgm && <button onClick={() => setIsShuffle(!isShuffle)} title="シャッフル" style={{ background: isShuffle?'#00ffcc':'#333', color:isShuffle?'#000':'#fff', border:'1px solid #555', borderRadius:'4px', padding:'4px 8px', cursor:'pointer' }}>🔀</button>}
                     </div>
                     <div style={{display:'flex', justifyContent:'center', gap:'15px'}}>
                         <button onClick={playPrevTrack} style={{background:'transparent', border:'none', color:'#fff', cursor:'pointer', fontSize:'1.2rem'}}>⏮</button>
                         <button onClick={() => isBgmOn ? setIsBgmOn(false) : setIsBgmOn(true)} style={{background:'transparent', border:'none', color:'#00ffcc', cursor:'pointer', fontSize:'1.2rem'}}>{isBgmOn ? '⏸' : '▶'}</button>
                         <button onClick={playNextTrack} style={{background:'transparent', border:'none', color:'#fff', cursor:'pointer', fontSize:'1.2rem'}}>⏭</button>
                     </div>
+                    <div style={{display:'flex', gap:'5px', marginTop:'10px'}}>
+                        <label style={{ flex:1, textAlign:'center', background:'#333', color:'#fff', border:'1px solid #555', borderRadius:'4px', padding:'4px', fontSize:'0.8rem', cursor:'pointer' }}>
+                            ＋ 手元の曲を追加
+                            <input type="file" accept="audio/*" multiple onChange={handleAddUserTracks} style={{ display:'none' }} />
+                        </label>
+                        {currentTrack.local && <button onClick={() => handleRemoveUserTrack(currentTrack)} title="この曲を端末から削除" style={{ background:'#333', color:'#ff3366', border:'1px solid #555', borderRadius:'4px', padding:'4px 8px', fontSize:'0.8rem', cursor:'pointer' }}>🗑 この曲</button>}
+                    </div>
                 </div>
                 <input type="range" min="0" max="1" step="0.1" value={bgmVolume} onChange={e => setBgmVolume(parseFloat(e.target.value))} style={{ width: '100%', marginBottom:'20px', accentColor:'#00ffcc' }} />
                 <div style={{ color: 'white', marginBottom: '10px' }}>ボイス音量</div>
-                <input type="range" min="0" max="1" step="0.1" value={voiceVolume} onChange={e => setVoiceVolume(parseFloat(e.target.value))} style={{ width: '100%', accentColor:'#00ffcc' }} />
+                <input type="range" min="0" max="1" step="0.1" value={voiceVolume} onChange={e => setVoiceVolume(parseFloat(e.target.value))} style={{ width: '100%', marginBottom:'20px', accentColor:'#00ffcc' }} />
+                <div style={{ color: 'white', marginBottom: '10px' }}>全体の音量</div>
+                <input type="range" min="0" max="1" step="0.1" value={masterVolume} onChange={e => setMasterVolume(parseFloat(e.target.value))} style={{ width: '100%', accentColor:'#00ffcc' }} />
+                <div style={{ color: 'white', margin: '20px 0 10px' }}>読み上げの音声</div>
+                <select value={voicePrefs.engine} onChange={e => updateVoicePrefs({ ...voicePrefs, engine: e.target.value })} style={{ width:'100%', background: '#333', color: '#fff', border: '1px solid #555', borderRadius: '4px', padding: '4px', marginBottom:'5px', fontSize:'0.8rem' }}>
+                    {TTS_ENGINES.map(engine => <option key={engine.id} value={engine.id}>{engine.label}</option>)}
+                </select>
+                {voicePrefs.engine !== 'silent' && (
+                    <select value={voiceFor(voicePrefs, voicePrefs.engine, currentLang) || ''} onChange={e => updateVoicePrefs(withVoice(voicePrefs, voicePrefs.engine, currentLang, e.target.value))} style={{ width:'100%', background: '#333', color: '#00ffcc', border: '1px solid #555', borderRadius: '4px', padding: '4px', fontSize:'0.8rem' }}>
+                        <option value="">{LANGUAGES[currentLang].label}: 既定の声</option>
+                        {currentVoiceOptions.voices.map(v => <option key={v.id} value={v.id}>{v.label}</option>)}
+                    </select>
+                )}
+                {currentVoiceOptions.error && <div style={{ color: '#888', fontSize: '0.75rem', marginTop: '5px' }}>声の一覧を取得できません (ログインが必要です)。再生できないときは端末の音声で読み上げます</div>}
+            </div>
+          </div>
+          <div style={{ color: '#888', margin: '30px 0 8px', fontSize: '0.85rem' }}>オフライン</div>
+          <div style={{ background: '#222', borderRadius: '12px', padding: '15px' }}>
+            <div style={{ color: '#ccc', fontSize: '0.85rem', marginBottom: '12px' }}>
+              {offlineSummary ? `保存済み: スポット ${offlineSummary.spots}件 / 画像・BGM ${offlineSummary.media}件 / 読み上げ音声 ${offlineSummary.narration}件` : '保存済みのデータはありません'}
             </div>
+            {offlineStatus && <div className="pulse" style={{ color: '#00ffcc', fontSize: '0.8rem', marginBottom: '10px' }}>{offlineStatus}</div>}
+            <button onClick={() => runOfflineDownload('region')} disabled={!!offlineStatus} style={{ width: '100%', padding: '10px', marginBottom: '8px', background: '#111', color: '#00ffcc', border: '1px solid #444', borderRadius: '8px', cursor: 'pointer' }}>📥 表示中の地域をダウンロード</button>
+            {user && <button onClick={() => runOfflineDownload('favorites')} disabled={!!offlineStatus} style={{ width: '100%', padding: '10px', marginBottom: '8px', background: '#111', color: '#ff3366', border: '1px solid #444', borderRadius: '8px', cursor: 'pointer' }}>📥 お気に入りをダウンロード</button>}
+            <button onClick={() => runOfflineDownload('bgm')} disabled={!!offlineStatus} style={{ width: '100%', padding: '10px', marginBottom: '8px', background: '#111', color: '#fff', border: '1px solid #444', borderRadius: '8px', cursor: 'pointer' }}>📥 再生リストのBGMをダウンロード ({currentPlaylist.length}曲)</button>
+            <button onClick={handleClearOffline} disabled={!!offlineStatus} style={{ width: '100%', padding: '8px', background: 'transparent', color: '#888', border: 'none', cursor: 'pointer', fontSize: '0.8rem' }}>🗑️ オフラインデータを削除</button>
           </div>
           {/* 管理者ツール */}
           <div style={{ marginTop: '20px', padding: '10px', borderTop: '1px solid #333' }}>
             <div style={{fontSize:'0.8rem', color:'#666', marginBottom:'5px'}}>管理者メニュー</div>
             <button onClick={updateAllCountryTags} style={{ width: '100%', padding: '10px', background: '#222', color: '#ffcc00', border: '1px solid #444', borderRadius: '8px', fontSize: '0.9rem', cursor: 'pointer' }}>🛠️ 全スポットの国名をAIで更新 (VSCode推奨)</button>
           </div>
-          {user && <button onClick={() => { if(confirm('Logout?')) { supabase.auth.signOut(); clearUser(); handleTabChange('map'); }}} style={{ width: '100%', padding: '15px', background: '#222', color: '#ff3366', border: 'none', borderRadius: '10px', fontSize: '1rem', fontWeight: 'bold', marginTop:'30px' }}>ログアウト</button>}
+          {user && <button onClick={() => { if(confirm('Logout?')) { userRepository.signOut(); clearUser(); handleTabChange('map'); }}} style={{ width: '100%', padding: '15px', background: '#222', color: '#ff3366', border: 'none', borderRadius: '10px', fontSize: '1rem', fontWeight: 'bold', marginTop:'30px' }}>ログアウト</button>}
           <div style={{ height: '50px' }}></div> 
         </div>
       );
@@ -878,7 +1509,6 @@ const GlobeContent = () => {
 
   return (
     <div style={{ width: "100vw", height: "100dvh", background: "black", fontFamily: 'sans-serif', position: 'fixed', top: 0, left: 0, overflow: 'hidden', touchAction: 'none', overscrollBehavior: 'none' }}>
-      <audio ref={audioRef} src={currentTrack.url} loop={loopMode === 'one'} onEnded={handleTrackEnded} /> 
       {isPc && <div style={{ position: 'absolute', bottom: '10px', right: '10px', zIndex: 100, background: 'rgba(0,0,0,0.7)', color: '#00ff00', fontSize: '10px', padding: '5px', borderRadius: '5px', maxWidth: '300px', pointerEvents: 'none' }}>{logs.map((log, i) => <div key={i}>{log}</div>)}</div>}
       
       {/* PC用UIコンテナ */}
@@ -925,11 +1555,8 @@ const GlobeContent = () => {
             </div>
             
             {activeTab === 'search' && (
-               <div style={{ padding: '15px', borderBottom:'1px solid #222' }}>
-                  <div style={{ display: 'flex', gap: '5px' }}>
-                    <input autoFocus type="text" value={inputTheme} onChange={e => setInputTheme(e.target.value)} placeholder={LANGUAGES[currentLang].placeholder} style={{ flex: 1, background: '#222', border: '1px solid #444', color: 'white', padding: '12px', borderRadius: '8px', fontSize:'1rem' }} onKeyDown={e => e.key === 'Enter' && handleGenerate()} />
-                    <button onClick={handleGenerate} style={{ background: '#00ffcc', color: 'black', border: 'none', borderRadius: '8px', padding: '0 15px', fontWeight: 'bold' }}>Go</button>
-                  </div>
+               <div style={{ padding: '15px', borderBottom:'1px solid #222', maxHeight: '50vh', overflowY: 'auto' }}>
+                  <SearchPanel lang={currentLang} isGenerating={isGenerating} onSelect={handleSearchSelect} onGenerate={handleGenerate} />
                </div>
             )}
 
@@ -956,10 +1583,7 @@ const GlobeContent = () => {
           {activeTab === 'search' && (
              <div style={{marginTop:'40px'}}>
                <h2 style={{color:'#fff', marginTop:0, marginBottom:'20px'}}>検索</h2>
-               <div style={{ display: 'flex', gap: '5px' }}>
-                  <input autoFocus type="text" value={inputTheme} onChange={e => setInputTheme(e.target.value)} placeholder={LANGUAGES[currentLang].placeholder} style={{ flex: 1, background: '#222', border: '1px solid #444', color: 'white', padding: '12px', borderRadius: '8px', fontSize:'1rem' }} onKeyDown={e => e.key === 'Enter' && handleGenerate()} />
-                  <button onClick={handleGenerate} style={{ background: '#00ffcc', color: 'black', border: 'none', borderRadius: '8px', padding: '0 15px', fontWeight: 'bold' }}>Go</button>
-               </div>
+               <SearchPanel lang={currentLang} isGenerating={isGenerating} onSelect={handleSearchSelect} onGenerate={handleGenerate} />
              </div>
           )}
         </div>
@@ -996,6 +1620,31 @@ const GlobeContent = () => {
         </div>
       )}
 
+      {pendingRide && !isRideMode && (
+        <button onClick={startPendingRide} style={{ position: 'absolute', top: '60px', left: '50%', transform: 'translateX(-50%)', zIndex: 20, background: '#00ffcc', color: 'black', border: 'none', borderRadius: '20px', padding: '10px 20px', fontWeight: 'bold', cursor: 'pointer', boxShadow: '0 0 15px rgba(0,255,204,0.5)' }}>
+          ▶ {pendingRide.label} <span onClick={(e) => { e.stopPropagation(); setPendingRide(null); }} style={{ marginLeft: '8px', color: '#333' }}>✕</span>
+        </button>
+      )}
+      {needsTapToPlay && !pendingRide && displayData && (
+        <button onClick={() => { setNeedsTapToPlay(false); narrator.cancel(); speak(displayData.speech); }} style={{ position: 'absolute', top: '60px', left: '50%', transform: 'translateX(-50%)', zIndex: 20, background: '#00ffcc', color: 'black', border: 'none', borderRadius: '20px', padding: '10px 20px', fontWeight: 'bold', cursor: 'pointer', boxShadow: '0 0 15px rgba(0,255,204,0.5)' }}>
+          🔊 タップして読み上げ
+        </button>
+      )}
+      {tourProgress && (
+        <div style={{ position: 'absolute', top: '110px', left: '50%', transform: 'translateX(-50%)', zIndex: 20, background: 'rgba(10,10,10,0.9)', border: '1px solid #00ffcc', borderRadius: '20px', padding: '8px 15px', color: 'white', display: 'flex', alignItems: 'center', gap: '10px', fontSize: '0.85rem', maxWidth: '90vw' }}>
+          <div style={{ minWidth: 0 }}>
+            <div style={{ whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>🧭 {localizedText(tourProgress.title, currentLang)} <span style={{ color: '#00ffcc' }}>{tourProgress.index}/{tourProgress.total}</span></div>
+            <div style={{ height: '3px', background: '#333', borderRadius: '2px', marginTop: '4px' }}>
+              <div style={{ width: `${(tourProgress.index / tourProgress.total) * 100}%`, height: '100%', background: '#00ffcc', borderRadius: '2px', transition: 'width 0.3s' }} />
+            </div>
+          </div>
+          <button onClick={tourBack} disabled={tourProgress.index <= 1} style={{ background: 'transparent', border: 'none', color: 'white', cursor: 'pointer', fontSize: '1.1rem' }}>⏮</button>
+          <button onClick={toggleTourPause} style={{ background: 'transparent', border: 'none', color: '#00ffcc', cursor: 'pointer', fontSize: '1.1rem' }}>{isTourPaused ? '▶' : '⏸'}</button>
+          <button onClick={tourSkip} style={{ background: 'transparent', border: 'none', color: 'white', cursor: 'pointer', fontSize: '1.1rem' }}>⏭</button>
+          <button onClick={() => setIsRideMode(false)} style={{ background: 'transparent', border: 'none', color: '#888', cursor: 'pointer' }}>✕</button>
+        </div>
+      )}
+      {!isOnline && <div style={{ position: 'absolute', top: '20px', left: '50%', transform: 'translateX(-50%)', zIndex: 20, background: 'rgba(0,0,0,0.75)', color: '#ffcc00', padding: '6px 14px', borderRadius: '15px', fontSize: '0.8rem', pointerEvents: 'none' }}>📴 オフライン (保存済みのデータで表示中)</div>}
       {statusMessage && <div style={{ position: 'absolute', top: '80px', left: '20px', zIndex: 20, color: '#00ffcc', textShadow: '0 0 5px black' }}>{statusMessage}</div>}
 
       <div style={{ position: 'absolute', top: isPc ? '50%' : '30%', left: '50%', transform: 'translate(-50%, -50%)', width: '50px', height: '50px', borderRadius: '50%', zIndex: 10, pointerEvents: 'none', border: selectedLocation ? '2px solid #fff' : '2px solid rgba(255, 180, 150, 0.5)', boxShadow: selectedLocation ? '0 0 20px #fff' : '0 0 10px rgba(255, 100, 100, 0.3)', transition: 'all 0.3s' }} />
@@ -1028,7 +1677,8 @@ const GlobeContent = () => {
                 <img src={displayData.image_url} alt={displayData.name} style={{ width: '100%', height: '100%', objectFit: 'cover' }} />
               </div>
             )}
-            <div style={{ position: 'absolute', top: '10px', right: '10px', zIndex: 5 }}>
+            <div style={{ position: 'absolute', top: '10px', right: '10px', zIndex: 5, display: 'flex', gap: '8px' }}>
+              <button onMouseDown={e => e.stopPropagation()} onClick={() => shareSpot(selectedLocation)} title="共有" style={{ background: '#333', color: 'white', border: '2px solid white', borderRadius: '50%', width: '40px', height: '40px', cursor: 'pointer', fontSize: '1rem', boxShadow: '0 4px 10px rgba(0,0,0,0.5)' }}>🔗</button>
               <button onMouseDown={e => e.stopPropagation()} onClick={() => toggleFavorite(null)} style={{ background: favorites.has(selectedLocation.id) ? '#ff3366' : '#333', color: 'white', border: '2px solid white', borderRadius: '50%', width: '40px', height: '40px', cursor: 'pointer', fontSize: '1.2rem', boxShadow: '0 4px 10px rgba(0,0,0,0.5)', transition: 'all 0.2s' }}>{favorites.has(selectedLocation.id) ? '♥' : '♡'}</button>
             </div>
             <div style={{ fontSize: '1.2rem', fontWeight: 'bold', color: '#ffccaa', marginBottom: '5px', flexShrink: 0 }}>{displayData.name.split('#')[0].trim()}</div>
@@ -1059,7 +1709,8 @@ const GlobeContent = () => {
         mapRef={mapRef} 
         mapboxAccessToken={MAPBOX_TOKEN} 
         initialViewState={initialViewState} 
-        onMoveEnd={handleMoveEnd} 
+        onLoad={handleMapLoad}
+        onMoveEnd={handleMapMoveEnd} 
         onClick={handleMapClick}
         geoJsonData={filteredGeoJsonData} 
         onError={(e) => addLog(`Map Error: ${e.error.message}`)} 
@@ -0,0 +1,105 @@
+import React, { useEffect, useState } from 'react';
+import { getSearchIndex } from '../search/searchIndex';
+
+const CATEGORY_ICONS = { history: '🏛️', landmark: '🏯', nature: '🌲', modern: '🏙️', science: '🔬', art: '🎨' };
+const SUGGEST_DELAY_MS = 200; // 入力が止まってから候補を出す (1文字ごとに DB へ問い合わせないように)
+
+// ★検索タブ: 既存スポットを検索 (入力中は名前の候補、Enter で順位付きの結果)。
+// 何も見つからなかったときだけ、AIで新しいスポットを作るボタンを出す
+const SearchPanel = ({ lang, isGenerating, onSelect, onGenerate }) => {
+  const [query, setQuery] = useState("");
+  const [submitted, setSubmitted] = useState("");
+  // 言語を切り替えたら、その言語の索引が読み終わるまで前の結果は出さない
+  const [loaded, setLoaded] = useState({ lang: null, index: null, error: null });
+  const index = loaded.lang === lang ? loaded.index : null;
+  const loadError = loaded.lang === lang ? loaded.error : null;
+
+  useEffect(() => {
+    let cancelled = false;
+    getSearchIndex(lang)
+      .then(index => { if (!cancelled) setLoaded({ lang, index, error: null }); })
+      .catch(e => { console.error("Search index load error", e); if (!cancelled) setLoaded({ lang, index: null, error: e }); });
+    return () => { cancelled = true; };
+  }, [lang]);
+
+  // 候補と結果は非同期 (バンドルがないときは DB に問い合わせる)。どの索引・語句の答えかを一緒に持ち、古い答えは出さない
+  const [suggested, setSuggested] = useState({ index: null, query: null, items: [] });
+  const [found, setFound] = useState({ index: null, query: null, items: null, error: null });
+
+  useEffect(() => {
+    if (!index || !query.trim() || query === submitted) return;
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      index.suggest(query)
+        .then(items => { if (!cancelled) setSuggested({ index, query, items }); })
+        .catch(e => console.error("Search suggest error", e));
+    }, SUGGEST_DELAY_MS);
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [index, query, submitted]);
+
+  useEffect(() => {
+    if (!index || !submitted.trim()) return;
+    let cancelled = false;
+    index.search(submitted)
+      .then(items => { if (!cancelled) setFound({ index, query: submitted, items, error: null }); })
+      .catch(e => { console.error("Search error", e); if (!cancelled) setFound({ index, query: submitted, items: null, error: e }); });
+    return () => { cancelled = true; };
+  }, [index, submitted]);
+
+  const suggestions = suggested.index === index && suggested.query === query && query !== submitted ? suggested.items : [];
+  const isCurrent = found.index === index && found.query === submitted && submitted.trim() !== '';
+  const results = isCurrent ? found.items : null;
+  const searchError = isCurrent ? found.error : null;
+
+  const submit = () => { if (query.trim()) setSubmitted(query); };
+
+  const rowStyle = { display: 'block', width: '100%', textAlign: 'left', background: 'transparent', border: 'none', borderBottom: '1px solid #222', color: 'white', padding: '10px 5px', cursor: 'pointer' };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '5px' }}>
+        <input autoFocus type="text" value={query} onChange={e => setQuery(e.target.value)} placeholder="スポット名・国名で検索 (例: 金閣寺, kyoto)" style={{ flex: 1, background: '#222', border: '1px solid #444', color: 'white', padding: '12px', borderRadius: '8px', fontSize:'1rem' }} onKeyDown={e => e.key === 'Enter' && submit()} />
+        <button onClick={submit} style={{ background: '#00ffcc', color: 'black', border: 'none', borderRadius: '8px', padding: '0 15px', fontWeight: 'bold' }}>Go</button>
+      </div>
+
+      {!index && !loadError && <div style={{ color: '#888', fontSize: '0.8rem', marginTop: '10px' }}>検索データを読み込み中...</div>}
+      {loadError && <div style={{ color: '#ff3366', fontSize: '0.8rem', marginTop: '10px' }}>検索データを読み込めませんでした</div>}
+      {index && submitted.trim() && !isCurrent && <div style={{ color: '#888', fontSize: '0.8rem', marginTop: '10px' }}>検索中...</div>}
+      {searchError && <div style={{ color: '#ff3366', fontSize: '0.8rem', marginTop: '10px' }}>検索できませんでした</div>}
+
+      {suggestions.length > 0 && (
+        <div style={{ marginTop: '5px', background: '#1a1a1a', borderRadius: '8px', border: '1px solid #333' }}>
+          {suggestions.map(s => (
+            <button key={s.id} onClick={() => onSelect(s.id)} style={rowStyle}>
+              {CATEGORY_ICONS[s.category] || '📍'} {s.name} <span style={{ color: '#888', fontSize: '0.8rem' }}>{s.country}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {results && results.length > 0 && (
+        <div style={{ marginTop: '10px' }}>
+          <div style={{ color: '#888', fontSize: '0.8rem', marginBottom: '5px' }}>{results.length}件</div>
+          {results.map(r => (
+            <button key={r.id} onClick={() => onSelect(r.id)} style={rowStyle}>
+              <div style={{ fontWeight: 'bold' }}>{CATEGORY_ICONS[r.category] || '📍'} {r.name}</div>
+              <div style={{ color: '#888', fontSize: '0.75rem' }}>{[r.country, r.year].filter(v => v !== null && v !== '').join(' / ')}</div>
+              {r.description && <div style={{ color: '#aaa', fontSize: '0.75rem', marginTop: '3px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{r.description}</div>}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {results && results.length === 0 && (
+        <div style={{ marginTop: '15px', color: '#ccc', fontSize: '0.85rem' }}>
+          <div>「{submitted}」に一致するスポットはありません</div>
+          <button onClick={() => onGenerate(submitted)} disabled={isGenerating} style={{ marginTop: '10px', width: '100%', padding: '10px', borderRadius: '20px', background: 'transparent', border: '2px solid #d800ff', color: '#d800ff', fontWeight: 'bold', cursor: isGenerating ? 'wait' : 'pointer' }}>
+            {isGenerating ? 'AI生成中...' : `✨ AIで「${submitted}」のスポットを作る`}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchPanel;
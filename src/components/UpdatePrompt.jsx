@@ -0,0 +1,58 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useRegisterSW } from 'virtual:pwa-register/react';
+import { isAppBusy, onBusyChange, saveSnapshotForReload } from '../update/updateManager';
+
+// ★新しいバージョンのお知らせ。勝手にリロードせず、
+//   - 「更新」で今すぐ (状態を退避してからリロード)
+//   - 再生・ライド中は「終わったら更新」で、止まった時点で自動適用
+//   - 何も再生していない状態でアプリが裏に回ったら (タブ切り替えなど) 自動適用
+const UpdatePrompt = () => {
+  const {
+    needRefresh: [needRefresh],
+    updateServiceWorker,
+  } = useRegisterSW({
+    onRegistered(r) {
+      // 1分ごとに更新チェックを行う設定
+      if (r) {
+        setInterval(() => {
+          r.update();
+        }, 60 * 1000);
+      }
+    },
+  });
+
+  const [busy, setBusy] = useState(isAppBusy());
+  const [waitingForIdle, setWaitingForIdle] = useState(false);
+  const [dismissed, setDismissed] = useState(false);
+
+  useEffect(() => onBusyChange(setBusy), []);
+
+  const applyUpdate = useCallback(() => {
+    saveSnapshotForReload();
+    updateServiceWorker(true);
+  }, [updateServiceWorker]);
+
+  useEffect(() => {
+    if (!needRefresh || busy) return;
+    if (waitingForIdle) { applyUpdate(); return; }
+    const handleVisibility = () => { if (document.visibilityState === 'hidden' && !isAppBusy()) applyUpdate(); };
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => document.removeEventListener('visibilitychange', handleVisibility);
+  }, [needRefresh, busy, waitingForIdle, applyUpdate]);
+
+  if (!needRefresh || dismissed) return null;
+
+  const buttonStyle = { padding: '6px 12px', borderRadius: '15px', border: 'none', cursor: 'pointer', fontWeight: 'bold', fontSize: '0.8rem' };
+  return (
+    <div style={{ position: 'fixed', bottom: '90px', left: '50%', transform: 'translateX(-50%)', zIndex: 3000, background: 'rgba(20,20,20,0.95)', border: '1px solid #00ffcc', borderRadius: '20px', padding: '10px 15px', display: 'flex', alignItems: 'center', gap: '10px', color: 'white', fontSize: '0.85rem', boxShadow: '0 0 15px rgba(0,255,204,0.3)' }}>
+      <span>✨ {waitingForIdle ? '再生が終わったら更新します' : '新しいバージョンがあります'}</span>
+      {busy && !waitingForIdle && (
+        <button onClick={() => setWaitingForIdle(true)} style={{ ...buttonStyle, background: '#00ffcc', color: 'black' }}>終わったら更新</button>
+      )}
+      <button onClick={applyUpdate} style={{ ...buttonStyle, background: busy ? '#333' : '#00ffcc', color: busy ? 'white' : 'black' }}>{busy ? '今すぐ' : '更新'}</button>
+      <button onClick={() => { setDismissed(true); setWaitingForIdle(false); }} style={{ ...buttonStyle, background: 'transparent', color: '#888' }}>あとで</button>
+    </div>
+  );
+};
+
+export default UpdatePrompt;
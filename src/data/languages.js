@@ -0,0 +1,17 @@
+// src/data/languages.js
+// アプリが対応する5言語 (画面の言語切替・翻訳プロンプト・API の入力チェック・スポットページで共通)
+// locale は og:locale 用
+export const LANGUAGES = {
+  ja: { code: 'ja', locale: 'ja_JP', name: 'Japanese', label: '🇯🇵 日本語' },
+  en: { code: 'en', locale: 'en_US', name: 'English', label: '🇺🇸 English' },
+  zh: { code: 'zh', locale: 'zh_CN', name: 'Chinese', label: '🇨🇳 中文' },
+  es: { code: 'es', locale: 'es_ES', name: 'Spanish', label: '🇪🇸 Español' },
+  fr: { code: 'fr', locale: 'fr_FR', name: 'French', label: '🇫🇷 Français' },
+};
+
+// 対応言語のコードか (LANGUAGES[value] だと constructor / __proto__ などの継承プロパティも通ってしまう)
+export const isLanguage = (value) => typeof value === 'string' && Object.hasOwn(LANGUAGES, value);
+
+// 読み上げの長さの目安 (秒)。日本語・中国語は1秒あたり約7文字、ほかは約14文字
+// (字幕のみの再生時間・ライドのカメラワーク・テスト用TTSの無音の長さで共通)
+export const estimateSpeechSeconds = (text, lang) => String(text ?? '').length / (lang === 'ja' || lang === 'zh' ? 7 : 14);
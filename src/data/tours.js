@@ -0,0 +1,53 @@
+// src/data/tours.js
+// 組み込みのテーマ別ツアー (形式は src/tours/tours.js)
+// 停留所はスポットの名前 (日本語名) で書く。DBにないスポットは再生時に飛ばされる
+
+export const BUILT_IN_TOURS = [
+  {
+    id: 'japan-highlights',
+    title: { ja: '日本の名所めぐり', en: 'Highlights of Japan', zh: '日本名胜之旅', es: 'Lo mejor de Japón', fr: 'Le meilleur du Japon' },
+    description: { ja: '東京から京都・広島へ。日本を代表する名所を西へ', en: 'From Tokyo west to Kyoto and Hiroshima' },
+    camera: { zoom: 10, pitch: 45 },
+    stops: [
+      { spotName: '東京タワー', camera: { zoom: 13, pitch: 60 } },
+      {
+        spotName: '富士山',
+        camera: { zoom: 10, pitch: 70, bearing: -20, dwell: 5 },
+        narration: {
+          ja: '標高3776メートル、日本で一番高い山、富士山です。2013年に「信仰の対象と芸術の源泉」として世界文化遺産に登録されました。',
+          en: 'Mount Fuji, at 3,776 meters the highest peak in Japan, was inscribed as a World Heritage Site in 2013 as a place of worship and a source of artistic inspiration.',
+        },
+      },
+      { spotName: '金閣寺', camera: { zoom: 14 } },
+      { spotName: '姫路城', camera: { zoom: 14 } },
+      { spotName: '厳島神社', camera: { zoom: 13, bearing: 30 } },
+    ],
+  },
+  {
+    id: 'ancient-wonders',
+    title: { ja: '古代文明の遺跡', en: 'Ancient Wonders', zh: '古代文明遗迹', es: 'Maravillas antiguas', fr: 'Merveilles antiques' },
+    description: { ja: 'ピラミッドからマチュピチュまで、世界の古代遺跡を巡る', en: 'From the pyramids to Machu Picchu' },
+    camera: { zoom: 8, pitch: 50 },
+    stops: [
+      { spotName: 'ギザの大ピラミッド', camera: { zoom: 14, pitch: 60 } },
+      { spotName: 'ペトラ' },
+      { spotName: 'パルテノン神殿', camera: { zoom: 14 } },
+      { spotName: 'コロッセオ', camera: { zoom: 14 } },
+      { spotName: 'アンコール・ワット' },
+      { spotName: '万里の長城', camera: { bearing: -40 } },
+      { spotName: 'マチュピチュ', camera: { zoom: 13, pitch: 65, dwell: 5 } },
+    ],
+  },
+  {
+    id: 'art-and-space',
+    title: { ja: '芸術と宇宙の旅', en: 'Art and Space', zh: '艺术与宇宙之旅', es: 'Arte y espacio', fr: "L'art et l'espace" },
+    description: { ja: 'パリの美術館から宇宙への玄関口へ', en: 'From the museums of Paris to the gateway to space' },
+    premium: true, // 美術館・宇宙科学のカテゴリはプレミアム限定
+    camera: { zoom: 12, pitch: 45 },
+    stops: [
+      { spotName: 'ルーヴル美術館', camera: { zoom: 15 } },
+      { spotName: 'エッフェル塔', camera: { zoom: 15, pitch: 65 } },
+      { spotName: 'ケネディ宇宙センター', camera: { zoom: 11, dwell: 5 } },
+    ],
+  },
+];
@@ -0,0 +1,92 @@
+// src/links/deepLinks.js
+// 共有用URLの組み立てと読み取り (ルーターは使わず history.replaceState で URL を状態に合わせる)
+//   /spot/:id, /en/spot/:id               スポット (開くとそこへ飛んで読み上げ。日本語以外は言語を前に付ける)
+//   /@35.0123,135.7654,6z?lang=ja          カメラ位置 (緯度,経度,ズーム)
+//   /tour/history?year=1600&era=AD&country=日本  ヒストリーライドの条件
+//   /tour/japan-highlights?lang=en          組み込みのツアー (src/data/tours.js)
+// ※ 本番のホスティングでは全パスを index.html に書き換える設定が必要 (Vite の dev / preview は対応済み)
+//   スポットの URL は geovoice export pages が書き出す静的ページ (OGP付き) と同じ形
+
+import { isLanguage } from '../data/languages.js';
+
+const round = (v, digits) => Number(v.toFixed(digits));
+
+const withLang = (path, params, lang) => {
+  const query = new URLSearchParams(params);
+  if (lang) query.set('lang', lang);
+  const qs = query.toString();
+  return `${path}${qs ? `?${qs}` : ''}`;
+};
+
+export const spotPath = (id, lang) =>
+  `${lang && lang !== 'ja' ? `/${lang}` : ''}/spot/${encodeURIComponent(id)}`;
+
+export const cameraPath = ({ latitude, longitude, zoom }, lang) =>
+  withLang(`/@${round(latitude, 4)},${round(longitude, 4)},${round(zoom, 2)}z`, {}, lang);
+
+export const historyTourPath = ({ year, era, country }, lang) => {
+  const params = {};
+  if (year) params.year = year;
+  if (era && era !== 'AD') params.era = era;
+  if (country && country !== 'ALL') params.country = country;
+  return withLang('/tour/history', params, lang);
+};
+
+export const tourPath = (id, lang) => withLang(`/tour/${encodeURIComponent(id)}`, {}, lang);
+
+// 壊れたパーセントエンコード (%E0%A4%A など) は URIError になるので null で返す
+const safeDecode = (text) => {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return null;
+  }
+};
+
+export const absoluteUrl = (path) => new URL(path, window.location.origin).toString();
+
+/**
+ * URL → { lang, spotId, camera, historyTour, tourId }。該当しない項目は null
+ * ★ 起動時に呼ばれるので、壊れた URL でも例外は投げずにその部分を無視する
+ */
+export const parseDeepLink = ({ pathname, search } = window.location) => {
+  const query = new URLSearchParams(search);
+  const lang = isLanguage(query.get('lang')) ? query.get('lang') : null;
+  const result = { lang, spotId: null, camera: null, historyTour: null, tourId: null };
+
+  const spot = pathname.match(/^\/(?:([a-z]{2})\/)?spot\/([^/]+)\/?$/);
+  if (spot) {
+    if (isLanguage(spot[1])) result.lang = spot[1];
+    const id = safeDecode(spot[2]);
+    if (id) result.spotId = /^\d+$/.test(id) ? Number(id) : id;
+    return result;
+  }
+
+  const camera = (safeDecode(pathname) ?? '').match(/^\/@(-?[\d.]+),(-?[\d.]+)(?:,([\d.]+)z?)?\/?$/);
+  if (camera) {
+    const [latitude, longitude, zoom] = [Number(camera[1]), Number(camera[2]), Number(camera[3] ?? 6)];
+    if (Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180 && zoom >= 0 && zoom <= 22) {
+      result.camera = { latitude, longitude, zoom };
+    }
+    return result;
+  }
+
+  if (/^\/tour\/history\/?$/.test(pathname)) {
+    const year = query.get('year');
+    result.historyTour = {
+      year: year && /^\d+$/.test(year) ? year : '',
+      era: query.get('era') === 'BC' ? 'BC' : 'AD',
+      country: query.get('country') || 'ALL',
+    };
+    return result;
+  }
+
+  const tour = pathname.match(/^\/tour\/([^/]+)\/?$/);
+  if (tour) result.tourId = safeDecode(tour[1]);
+  return result;
+};
+
+// URL を今の状態に合わせる (履歴は増やさない)
+export const replaceUrl = (path) => {
+  if (window.location.pathname + window.location.search !== path) window.history.replaceState(null, '', path);
+};
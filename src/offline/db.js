@@ -0,0 +1,70 @@
+// src/offline/db.js
+// オフライン用の IndexedDB。
+//   spots         ダウンロードしたスポット詳細 (getSpot と同じ形)
+//   favoriteQueue オフライン中のお気に入り操作 (オンライン復帰時に順に送る)
+//   meta          お気に入りIDの控えなど
+//   narration     合成した読み上げ音声 (スポット+言語ごと。src/tts/narrationCache.js)
+//   userTracks    ユーザーが追加した手元の音楽ファイル (src/audio/userTracks.js。オフラインデータの削除では消さない)
+
+const DB_NAME = 'geovoice-offline';
+const DB_VERSION = 3;
+
+let dbPromise = null;
+
+const openDb = () => {
+  dbPromise ??= new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (event) => {
+      const db = req.result;
+      if (event.oldVersion < 1) {
+        db.createObjectStore('spots', { keyPath: 'id' });
+        db.createObjectStore('favoriteQueue', { keyPath: 'seq', autoIncrement: true });
+        db.createObjectStore('meta');
+      }
+      if (event.oldVersion < 2) db.createObjectStore('narration', { keyPath: 'key' });
+      if (event.oldVersion < 3) db.createObjectStore('userTracks', { keyPath: 'id' });
+    };
+    let blocked = false;
+    req.onsuccess = () => {
+      const db = req.result;
+      if (blocked) { db.close(); return; } // 諦めた後に開けたものは使わない (次の呼び出しで開き直す)
+      // 別のタブが新しい版で開こうとしたら閉じて譲る (閉じないとそちらの更新が止まったままになる)
+      db.onversionchange = () => { db.close(); dbPromise = null; };
+      resolve(db);
+    };
+    req.onerror = () => { dbPromise = null; reject(req.error); };
+    // 古い版を開いたままの別タブがあると更新できない。待ち続けずに失敗させ、次の呼び出しでやり直す
+    req.onblocked = () => {
+      blocked = true;
+      dbPromise = null;
+      reject(new Error('オフラインデータを更新できません。GeoVoice を開いている他のタブを閉じてください'));
+    };
+  });
+  return dbPromise;
+};
+
+const done = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+// store に対して1回の操作をする。fn には objectStore が渡る
+const withStore = async (name, mode, fn) => {
+  const db = await openDb();
+  const tx = db.transaction(name, mode);
+  const completed = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const [result] = await Promise.all([fn(tx.objectStore(name)), completed]);
+  return result;
+};
+
+export const getItem = (store, key) => withStore(store, 'readonly', s => done(s.get(key)));
+export const getAll = (store) => withStore(store, 'readonly', s => done(s.getAll()));
+export const count = (store) => withStore(store, 'readonly', s => done(s.count()));
+export const putItem = (store, value, key) => withStore(store, 'readwrite', s => done(key === undefined ? s.put(value) : s.put(value, key)));
+export const putAll = (store, values) => withStore(store, 'readwrite', s => Promise.all(values.map(v => done(s.put(v)))));
+export const deleteItem = (store, key) => withStore(store, 'readwrite', s => done(s.delete(key)));
+export const clearStore = (store) => withStore(store, 'readwrite', s => done(s.clear()));
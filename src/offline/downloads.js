@@ -0,0 +1,52 @@
+// src/offline/downloads.js
+// オフライン用の事前ダウンロード (設定タブから呼ぶ)。
+// スポット詳細は IndexedDB、画像と BGM は Cache Storage に入れる (合成した読み上げ音声は再生時に IndexedDB へ溜まる)
+
+import { putAll, count, clearStore } from './db.js';
+import { cacheMedia, countCachedMedia, clearCachedMedia } from './media.js';
+import { countCachedNarration, clearCachedNarration } from '../tts/narrationCache.js';
+
+export const REGION_DOWNLOAD_LIMIT = 300; // 1回の地域ダウンロードの上限 (広すぎる範囲で端末の容量を食わないように)
+
+const saveSpots = async (spots, { onProgress }) => {
+  await putAll('spots', spots);
+  if (onProgress) onProgress(`画像を保存中... 0/${spots.length}`);
+  const images = await cacheMedia(spots.map(s => s.image_url), {
+    onProgress: (n) => onProgress && onProgress(`画像を保存中... ${n}/${spots.length}`),
+  });
+  return { spots: spots.length, images };
+};
+
+// 表示範囲のスポット。catalog で範囲内のIDを探し、詳細は spotRepository からまとめて取る
+export const downloadRegion = async ({ catalog, spotRepository, bounds, onProgress }) => {
+  if (onProgress) onProgress('スポットを検索中...');
+  const found = await catalog.listSpotsInBounds({ ...bounds, fields: 'id', limit: REGION_DOWNLOAD_LIMIT });
+  if (found.length === 0) return { spots: 0, images: 0 };
+  if (onProgress) onProgress(`詳細を取得中... (${found.length}件)`);
+  const spots = await spotRepository.listSpots({ ids: found.map(s => s.id) });
+  return saveSpots(spots, { onProgress });
+};
+
+export const downloadFavorites = async ({ userRepository, userId, onProgress }) => {
+  if (onProgress) onProgress('お気に入りを取得中...');
+  const spots = await userRepository.listFavoriteSpots(userId);
+  return saveSpots(spots, { onProgress });
+};
+
+// 手元の曲 (local) はもう端末にあるので飛ばす
+export const downloadTracks = (tracks, { onProgress } = {}) => {
+  const remote = tracks.filter(t => !t.local);
+  return cacheMedia(remote.map(t => t.url), { onProgress: (n) => onProgress && onProgress(`BGMを保存中... ${n}/${remote.length}`) });
+};
+
+export const getOfflineSummary = async () => {
+  const [spots, media, narration] = await Promise.all([count('spots'), countCachedMedia(), countCachedNarration()]);
+  return { spots, media, narration };
+};
+
+// お気に入りの未送信キューは消さない (消すと操作が失われるため)
+export const clearOfflineData = async () => {
+  await clearStore('spots');
+  await clearCachedMedia();
+  await clearCachedNarration();
+};
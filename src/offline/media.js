@@ -0,0 +1,30 @@
+// src/offline/media.js
+// 画像 (image_url) と BGM を Cache Storage に保存する。
+// Service Worker (vite.config.js の offlineMediaFirst) がこのキャッシュを先に見るので、オフライン時はここから返す。
+// 表示しただけの画像・BGM は別のキャッシュに入るので、件数 (countCachedMedia) は保存したものだけ
+
+export const OFFLINE_MEDIA_CACHE = 'geovoice-offline-media';
+
+// 保存済みのものは取り直さない。戻り値は新しく保存した件数
+export const cacheMedia = async (urls, { onProgress } = {}) => {
+  const cache = await caches.open(OFFLINE_MEDIA_CACHE);
+  let saved = 0;
+  let doneCount = 0;
+  for (const url of [...new Set(urls.filter(Boolean))]) {
+    try {
+      if (!(await cache.match(url))) {
+        // 外部ドメインの画像は CORS ヘッダーがないことが多いので no-cors (opaque) で保存する
+        const sameOrigin = new URL(url, location.href).origin === location.origin;
+        const res = await fetch(url, sameOrigin ? {} : { mode: 'no-cors' });
+        if (res.ok || res.type === 'opaque') { await cache.put(url, res); saved++; }
+      }
+    } catch (e) { console.warn('Media cache error', url, e); }
+    doneCount++;
+    if (onProgress) onProgress(doneCount);
+  }
+  return saved;
+};
+
+export const countCachedMedia = async () => (await (await caches.open(OFFLINE_MEDIA_CACHE)).keys()).length;
+
+export const clearCachedMedia = () => caches.delete(OFFLINE_MEDIA_CACHE);
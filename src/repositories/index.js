@@ -0,0 +1,39 @@
+// src/repositories/index.js
+// アプリ全体で使うリポジトリ。VITE_DATA_BACKEND=local でSupabaseなしでも動く
+
+import { supabase } from '../supabaseClient';
+import { createSupabaseSpotRepository, createSupabaseUserRepository } from './supabaseRepository';
+import { createLocalStore, createLocalSpotRepository, createLocalUserRepository } from './localRepository';
+import { withOfflineSpots, withOfflineUsers } from './offlineRepository';
+
+const LOCAL_STORAGE_KEY = 'geovoice-local-db';
+
+export const DATA_BACKEND = import.meta.env.VITE_DATA_BACKEND === 'local' ? 'local' : 'supabase';
+
+// フィクスチャは local のときだけ読み込む (Supabase で動かすビルドには入れない)
+const createLocalRepositories = async () => {
+  let initial = null;
+  try {
+    const saved = localStorage.getItem(LOCAL_STORAGE_KEY);
+    if (saved) initial = JSON.parse(saved);
+  } catch (e) { console.warn('Local DB load error', e); }
+  initial ||= (await import('../data/fixtures.json')).default;
+  const store = createLocalStore(structuredClone(initial), {
+    persist: (state) => localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(state)),
+  });
+  return { spots: createLocalSpotRepository(store), users: createLocalUserRepository(store) };
+};
+
+const repositories = DATA_BACKEND === 'local'
+  ? await createLocalRepositories()
+  : { spots: createSupabaseSpotRepository(supabase), users: createSupabaseUserRepository(supabase) };
+
+// ★オフライン対応 (ダウンロード済みスポットでの応答・お気に入り操作のキュー)
+export const spotRepository = withOfflineSpots(repositories.spots);
+export const userRepository = withOfflineUsers(repositories.users);
+
+// オフライン中のお気に入り操作を送る (起動時と、オンラインに戻ったとき Globe から呼ぶ)
+export const syncOfflineFavorites = () => userRepository.flushFavoriteQueue()
+  .then(sent => { if (sent > 0) console.log(`🔄 オフライン中のお気に入り操作を ${sent}件 同期しました`); return sent; })
+  .catch(e => { console.warn('Favorite sync error', e); return 0; });
+if (navigator.onLine) syncOfflineFavorites();
@@ -0,0 +1,221 @@
+// src/repositories/localRepository.js
+// Supabase を使わずにメモリ上のデータで動くリポジトリ実装。
+// フィクスチャ(JSON)を読み込んで起動し、変更は persist() で保存先（localStorage / ファイル）に書き戻す
+
+import { spotSearchKey, searchKeyTerms, countSearchKeyHits } from '../search/spotSearch.js';
+
+const pickFields = (row, fields) => {
+  if (fields === '*') return { ...row };
+  const picked = {};
+  fields.split(',').map(f => f.trim()).forEach(f => { picked[f] = row[f] ?? null; });
+  return picked;
+};
+
+// 保存先に依存しない共通のデータ置き場
+export const createLocalStore = (initial = {}, { persist } = {}) => {
+  const state = {
+    spots: initial.spots || [],
+    favorites: initial.favorites || [],
+    profiles: initial.profiles || [],
+    sessionUser: initial.sessionUser || null,
+    spotDeletions: initial.spotDeletions || [], // [{ id, deleted_at }] (Supabase の spot_deletions 相当)
+  };
+  const save = () => { if (persist) persist(state); };
+  return { state, save };
+};
+
+export const createLocalSpotRepository = ({ state, save }) => {
+  const listSpots = async ({ fields = '*', isNull = [], ids = [], since, updatedSince, onProgress } = {}) => {
+    const idSet = new Set(ids.map(String));
+    const rows = state.spots
+      .filter(s => isNull.every(col => s[col] === null || s[col] === undefined))
+      .filter(s => idSet.size === 0 || idSet.has(String(s.id)))
+      .filter(s => !since || (s.created_at && s.created_at >= since))
+      .filter(s => !updatedSince || ((s.updated_at || s.created_at) && (s.updated_at || s.created_at) >= updatedSince))
+      .sort((a, b) => a.id - b.id)
+      .map(s => pickFields(s, fields));
+    if (onProgress) onProgress(rows.length);
+    return rows;
+  };
+
+  const visibleSpots = () => state.spots.filter(s => !s.hidden);
+
+  const listSpotsInBounds = async ({ west, south, east, north, fields = '*', limit = 500, excludeIds = [] }) => {
+    const excluded = new Set(excludeIds.map(String));
+    return visibleSpots()
+      .filter(s => s.lat !== null && s.lon !== null && s.lat >= south && s.lat <= north && s.lon >= west && s.lon <= east)
+      .filter(s => !excluded.has(String(s.id)))
+      .sort((a, b) => a.id - b.id)
+      .slice(0, limit)
+      .map(s => pickFields(s, fields));
+  };
+
+  const getRandomSpot = async ({ categories, excludeId, fields = '*' } = {}) => {
+    const candidates = visibleSpots()
+      .filter(s => !categories || categories.includes(s.category || 'history'))
+      .filter(s => excludeId === undefined || String(s.id) !== String(excludeId));
+    if (candidates.length === 0) return null;
+    return pickFields(candidates[Math.floor(Math.random() * candidates.length)], fields);
+  };
+
+  const listSpotsByYear = async ({ year = null, countryJa = null, fields = '*', limit = 200 } = {}) =>
+    visibleSpots()
+      .filter(s => s.year !== null && s.year !== undefined)
+      .filter(s => !countryJa || s.country_ja === countryJa)
+      .sort((a, b) => (year === null ? a.year - b.year : Math.abs(a.year - year) - Math.abs(b.year - year)))
+      .slice(0, limit)
+      .map(s => pickFields(s, fields));
+
+  // Supabase の search_spots 相当: search_key (その場で作る) に当たった語の多い順
+  const searchSpots = async ({ text, fields = '*', limit = 100 }) => {
+    const terms = searchKeyTerms(text);
+    if (terms.length === 0) return [];
+    return visibleSpots()
+      .map(s => ({ spot: s, hits: countSearchKeyHits(spotSearchKey(s), terms) }))
+      .filter(r => r.hits > 0)
+      .sort((a, b) => b.hits - a.hits || a.spot.id - b.spot.id)
+      .slice(0, limit)
+      .map(r => pickFields(r.spot, fields));
+  };
+
+  const listDeletedSpotIds = async ({ since }) =>
+    state.spotDeletions.filter(d => d.deleted_at >= since).map(d => d.id);
+
+  const listCountryNames = async () =>
+    [...new Set(visibleSpots().map(s => s.country_ja).filter(Boolean))].sort();
+
+  const countSpots = async () => state.spots.length;
+
+  const getSpot = async (id) => {
+    const spot = state.spots.find(s => String(s.id) === String(id));
+    if (!spot) throw new Error(`Spot not found: ${id}`);
+    return { ...spot };
+  };
+
+  const findSpotByName = async (name) => {
+    const spot = state.spots.find(s => s.name === name);
+    return spot ? { id: spot.id } : null;
+  };
+
+  const insertSpots = async (rows) => {
+    const list = Array.isArray(rows) ? rows : [rows];
+    // 削除したIDは使い回さない (Supabase の連番と同じ。spotDeletions で消えたことになっているため)
+    let nextId = [...state.spots, ...state.spotDeletions].reduce((max, s) => Math.max(max, s.id), 0) + 1;
+    const now = new Date().toISOString();
+    const inserted = list.map(row => ({ created_at: now, ...row, updated_at: now, id: nextId++ }));
+    state.spots.push(...inserted);
+    save();
+    return inserted.map(s => ({ ...s }));
+  };
+
+  const updateSpot = async (id, patch) => {
+    const spot = state.spots.find(s => String(s.id) === String(id));
+    if (!spot) return;
+    Object.assign(spot, patch, { updated_at: new Date().toISOString() });
+    save();
+  };
+
+  const updateTranslations = (id, lang, { name, description }) =>
+    updateSpot(id, { [`name_${lang}`]: name, [`description_${lang}`]: description });
+
+  const deleteSpots = async (ids) => {
+    const idSet = new Set(ids.map(String));
+    const deletedAt = new Date().toISOString();
+    state.spots.filter(s => idSet.has(String(s.id))).forEach(s => state.spotDeletions.push({ id: s.id, deleted_at: deletedAt }));
+    state.spots = state.spots.filter(s => !idSet.has(String(s.id)));
+    state.favorites = state.favorites.filter(f => !idSet.has(String(f.spot_id))); // 外部キーの cascade 相当
+    save();
+  };
+
+  const deleteAllSpots = async () => {
+    const deletedAt = new Date().toISOString();
+    state.spots.forEach(s => state.spotDeletions.push({ id: s.id, deleted_at: deletedAt }));
+    state.spots = [];
+    state.favorites = [];
+    save();
+  };
+
+  return {
+    listSpots, listSpotsInBounds, getRandomSpot, listSpotsByYear, searchSpots, listDeletedSpotIds, listCountryNames, countSpots, getSpot,
+    findSpotByName, insertSpots, updateSpot, updateTranslations, deleteSpots, deleteAllSpots,
+  };
+};
+
+export const createLocalUserRepository = ({ state, save }) => {
+  const listeners = new Set();
+  const notify = () => listeners.forEach(cb => cb(state.sessionUser));
+
+  const getProfile = async (userId) => state.profiles.find(p => p.id === userId) || null;
+
+  const listFavoriteIds = async (userId) =>
+    state.favorites.filter(f => f.user_id === userId).map(f => f.spot_id);
+
+  const listFavoriteSpots = async (userId) =>
+    state.favorites
+      .filter(f => f.user_id === userId)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .map(f => state.spots.find(s => s.id === f.spot_id))
+      .filter(Boolean)
+      .map(s => ({ ...s }));
+
+  const addFavorite = async (userId, spotId) => {
+    if (state.favorites.some(f => f.user_id === userId && f.spot_id === spotId)) return;
+    state.favorites.push({ user_id: userId, spot_id: spotId, created_at: new Date().toISOString() });
+    save();
+  };
+
+  const removeFavorite = async (userId, spotId) => {
+    state.favorites = state.favorites.filter(f => !(f.user_id === userId && f.spot_id === spotId));
+    save();
+  };
+
+  const moveFavorites = async (fromSpotIds, toSpotId) => {
+    const from = new Set(fromSpotIds.map(String));
+    const already = new Set(state.favorites.filter(f => f.spot_id === toSpotId).map(f => f.user_id));
+    let moved = 0;
+    state.favorites = state.favorites.filter(f => {
+      if (!from.has(String(f.spot_id))) return true;
+      if (already.has(f.user_id)) return false; // 付け替えると重複になる
+      f.spot_id = toSpotId;
+      already.add(f.user_id);
+      moved++;
+      return true;
+    });
+    save();
+    return moved;
+  };
+
+  // --- 認証 (ローカルではパスワードを検証せず、メールアドレスをそのままIDにする) ---
+  const getSessionUser = async () => state.sessionUser;
+
+  // ローカルではユーザーID (local-メールアドレス) をそのままトークンとして使う
+  const getAccessToken = async () => state.sessionUser?.id || null;
+
+  const getUserByToken = async (token) =>
+    (typeof token === 'string' && token.startsWith('local-') ? { id: token, email: token.slice('local-'.length) } : null);
+
+  const onAuthStateChange = (callback) => {
+    listeners.add(callback);
+    return () => listeners.delete(callback);
+  };
+
+  const signIn = async (email) => {
+    state.sessionUser = { id: `local-${email}`, email };
+    save();
+    notify();
+    return state.sessionUser;
+  };
+
+  const signUp = async (email) => { await signIn(email); };
+
+  const signOut = async () => {
+    state.sessionUser = null;
+    save();
+    notify();
+  };
+
+  return {
+    getProfile, listFavoriteIds, listFavoriteSpots, addFavorite, removeFavorite, moveFavorites,
+    getSessionUser, getAccessToken, getUserByToken, onAuthStateChange, signIn, signUp, signOut,
+  };
+};
@@ -0,0 +1,133 @@
+// src/repositories/offlineRepository.js
+// オンライン用のリポジトリをオフライン対応にするラッパー。
+// 通信できないときは IndexedDB (src/offline/db.js) にダウンロードしておいたスポットで答え、
+// お気に入りの追加・削除はキューに積んでオンライン復帰時に送る
+
+import { getAll, getItem, putItem, deleteItem } from '../offline/db.js';
+import { createLocalStore, createLocalSpotRepository } from './localRepository.js';
+
+// fetch 自体の失敗 (Supabase は { message: 'TypeError: Failed to fetch' } のようなエラーを返す)。
+// 文言はブラウザごとに違う (Chrome: Failed to fetch / Firefox: NetworkError ... / Safari: Load failed)。
+// ★ TypeError 全般は拾わない (コードの不具合までオフライン扱いにして隠してしまう)
+const NETWORK_ERROR_MESSAGE = /failed to fetch|networkerror|load failed|network request failed/i;
+
+export const isNetworkError = (e) => !navigator.onLine || NETWORK_ERROR_MESSAGE.test(e?.message || '');
+
+// ダウンロード済みのスポットだけで動くリポジトリ (検索は localRepository と同じ)
+const offlineSpots = async () => createLocalSpotRepository(createLocalStore({ spots: await getAll('spots') }));
+
+export const withOfflineSpots = (repo) => {
+  // 通信に失敗したらオフラインのデータで同じ問い合わせをする
+  const fallback = (method) => async (...args) => {
+    try {
+      return await repo[method](...args);
+    } catch (e) {
+      if (!isNetworkError(e)) throw e;
+      return (await offlineSpots())[method](...args);
+    }
+  };
+
+  // 詳細はダウンロード済みなら最新の内容で控えを更新しておく
+  const getSpot = async (id) => {
+    try {
+      const spot = await repo.getSpot(id);
+      if (spot && (await getItem('spots', spot.id).catch(() => null))) await putItem('spots', spot).catch(() => {});
+      return spot;
+    } catch (e) {
+      if (!isNetworkError(e)) throw e;
+      const saved = await getItem('spots', Number.isNaN(Number(id)) ? id : Number(id));
+      if (!saved) throw new Error('オフラインのため取得できません (ダウンロードしていないスポット)');
+      return saved;
+    }
+  };
+
+  return {
+    ...repo,
+    getSpot,
+    listSpots: fallback('listSpots'),
+    listSpotsInBounds: fallback('listSpotsInBounds'),
+    getRandomSpot: fallback('getRandomSpot'),
+    listSpotsByYear: fallback('listSpotsByYear'),
+    searchSpots: fallback('searchSpots'),
+    listCountryNames: fallback('listCountryNames'),
+  };
+};
+
+export const withOfflineUsers = (repo) => {
+  const favoritesKey = (userId) => `favorites:${userId}`;
+
+  // 控えてあるお気に入りIDに、まだ送っていない操作を反映したもの
+  const cachedFavoriteIds = async (userId) => {
+    const ids = new Set((await getItem('meta', favoritesKey(userId))) || []);
+    (await getAll('favoriteQueue')).filter(q => q.userId === userId).forEach(q => {
+      if (q.action === 'add') ids.add(q.spotId); else ids.delete(q.spotId);
+    });
+    return [...ids];
+  };
+
+  const listFavoriteIds = async (userId) => {
+    try {
+      const ids = await repo.listFavoriteIds(userId);
+      await putItem('meta', ids, favoritesKey(userId)).catch(() => {});
+      // 未送信の操作があれば、送るまではそちらを優先して見せる
+      return (await getAll('favoriteQueue').catch(() => [])).some(q => q.userId === userId) ? cachedFavoriteIds(userId) : ids;
+    } catch (e) {
+      if (!isNetworkError(e)) throw e;
+      return cachedFavoriteIds(userId);
+    }
+  };
+
+  const listFavoriteSpots = async (userId) => {
+    try {
+      return await repo.listFavoriteSpots(userId);
+    } catch (e) {
+      if (!isNetworkError(e)) throw e;
+      const ids = new Set(await cachedFavoriteIds(userId));
+      return (await getAll('spots')).filter(s => ids.has(s.id));
+    }
+  };
+
+  // オフラインならキューに積むだけ (画面上はすぐ反映させる)
+  const queueOrSend = (action) => async (userId, spotId) => {
+    if (navigator.onLine) {
+      try {
+        await (action === 'add' ? repo.addFavorite(userId, spotId) : repo.removeFavorite(userId, spotId));
+        return;
+      } catch (e) {
+        if (!isNetworkError(e)) throw e;
+      }
+    }
+    await putItem('favoriteQueue', { userId, spotId, action, queuedAt: new Date().toISOString() });
+  };
+
+  // キューを古い順に送る。通信に失敗したらそこで止めて次の機会に回す。戻り値は送れた件数
+  let flushing = null;
+  const flushFavoriteQueue = () => {
+    flushing ??= (async () => {
+      let sent = 0;
+      try {
+        for (const item of await getAll('favoriteQueue')) {
+          try {
+            await (item.action === 'add' ? repo.addFavorite(item.userId, item.spotId) : repo.removeFavorite(item.userId, item.spotId));
+            sent++;
+          } catch (e) {
+            if (isNetworkError(e)) break;
+            console.warn('Favorite sync dropped', item, e); // 重複登録など、再送しても通らないもの
+          }
+          await deleteItem('favoriteQueue', item.seq);
+        }
+      } finally { flushing = null; }
+      return sent;
+    })();
+    return flushing;
+  };
+
+  return {
+    ...repo,
+    listFavoriteIds,
+    listFavoriteSpots,
+    addFavorite: queueOrSend('add'),
+    removeFavorite: queueOrSend('remove'),
+    flushFavoriteQueue,
+  };
+};
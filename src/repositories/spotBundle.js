@@ -0,0 +1,118 @@
+// src/repositories/spotBundle.js
+// `geovoice export spots` で作る静的なスポット一覧 (カテゴリ別 GeoJSON) の形式と読み込み。
+// public/spots/manifest.json → 各カテゴリのファイル (名前に内容のハッシュ入り。PWA では CacheFirst)
+// 検索用のドキュメント (言語別の JSON) も同じ manifest に載せる
+// tools/ (Node) からも import するので、ブラウザ専用のものは使わない
+
+import { createLocalStore, createLocalSpotRepository } from './localRepository.js';
+import { toSearchDocument, searchSourceFields } from '../search/spotSearch.js';
+
+export const BUNDLE_DIR = 'spots';
+export const BUNDLE_MANIFEST = 'manifest.json';
+
+// 地球儀に載せる軽量データの列 (詳細は getSpot で取る)
+export const MAP_SPOT_FIELDS = 'id, name, name_ja, lat, lon, category, country_ja, year';
+const PROPERTY_FIELDS = MAP_SPOT_FIELDS.split(', ').filter(f => f !== 'lat' && f !== 'lon');
+
+const round = (v) => Math.round(v * 1e5) / 1e5; // 約1m
+
+export const spotToFeature = (spot) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: [round(spot.lon), round(spot.lat)] },
+  properties: Object.fromEntries(PROPERTY_FIELDS.map(f => [f, spot[f] ?? null])),
+});
+
+export const featureToSpot = (feature) => ({
+  ...feature.properties,
+  lon: feature.geometry.coordinates[0],
+  lat: feature.geometry.coordinates[1],
+});
+
+const fetchJson = async (url, options) => {
+  const res = await fetch(url, options);
+  if (!res.ok) throw new Error(`${res.status} ${url}`);
+  return res.json();
+};
+
+const fetchManifest = (baseUrl) => fetchJson(`${baseUrl}/${BUNDLE_MANIFEST}`, { cache: 'no-cache' });
+
+// バンドルを書き出した後 (manifest.createdAt 以降) の変更: 追加・更新された行と、隠した・削除したスポットのID
+const fetchChangesSince = async (repository, fields, since) => {
+  const changed = await repository.listSpots({ fields: `${fields}, hidden`, updatedSince: since });
+  const removed = new Set(changed.filter(s => s.hidden).map(s => String(s.id)));
+  try {
+    (await repository.listDeletedSpotIds({ since })).forEach(id => removed.add(String(id)));
+  } catch (e) {
+    console.warn('Deleted spots check skipped', e); // spot_deletions がまだない DB
+  }
+  return { updated: changed.filter(s => !s.hidden), removed };
+};
+
+// id ごとに置き換え・追加し、removed のものを落とす。include に合わなくなった行 (export spots で除くもの) も落とす
+const applyChanges = (rows, { updated, removed }, convert, include) => {
+  const byId = new Map(rows.map(r => [String(r.id), r]));
+  updated.forEach(s => {
+    if (include(s)) byId.set(String(s.id), convert(s));
+    else byId.delete(String(s.id));
+  });
+  removed.forEach(id => byId.delete(id));
+  return [...byId.values()];
+};
+
+// export spots と同じ: 座標のないスポットは地球儀に、名前のないスポットは検索に載せない
+const hasCoords = (s) => s.lat !== null && s.lon !== null && s.lat !== 0 && s.lon !== 0;
+const hasName = (s) => Boolean(s.name);
+
+/**
+ * スポット一覧の取得元を決める。
+ * バンドルがあればそれをメモリ上のリポジトリ (localRepository と同じ検索) にして返し、
+ * 書き出し後に追加・更新・非表示・削除されたスポットを repository から反映する。バンドルがなければ repository をそのまま返す
+ */
+export const loadSpotCatalog = async (repository, { baseUrl = `/${BUNDLE_DIR}` } = {}) => {
+  let manifest;
+  try {
+    manifest = await fetchManifest(baseUrl);
+  } catch {
+    return repository; // まだ export していない (開発環境など)
+  }
+
+  const collections = await Promise.all(
+    Object.values(manifest.categories).map(c => fetchJson(`${baseUrl}/${c.file}`)),
+  );
+  let spots = collections.flatMap(c => c.features.map(featureToSpot));
+
+  try {
+    const changes = await fetchChangesSince(repository, MAP_SPOT_FIELDS, manifest.createdAt);
+    spots = applyChanges(spots, changes, s => featureToSpot(spotToFeature(s)), hasCoords);
+  } catch (e) {
+    console.warn('Spot catalog update skipped', e); // オフラインならバンドルだけで動かす
+  }
+
+  console.log(`🗺️ spot bundle ${manifest.version}: ${spots.length} spots`);
+  return createLocalSpotRepository(createLocalStore({ spots }));
+};
+
+/**
+ * 検索用ドキュメント (spotSearch.js の toSearchDocument の形) を言語別に読む。
+ * バンドルにあればそれに、書き出し後の変更を DB から反映する (loadSpotCatalog と同じ)。
+ * バンドルがなければ null (全件はダウンロードせず、searchIndex.js が入力のたびに DB で検索する)
+ */
+export const loadSearchDocuments = async (repository, lang, { baseUrl = `/${BUNDLE_DIR}` } = {}) => {
+  const fields = searchSourceFields(lang);
+  let manifest = null;
+  try {
+    manifest = await fetchManifest(baseUrl);
+  } catch { /* バンドルなし */ }
+
+  const bundle = manifest?.search?.[lang];
+  if (!bundle) return null;
+
+  const documents = await fetchJson(`${baseUrl}/${bundle.file}`);
+  try {
+    const changes = await fetchChangesSince(repository, fields, manifest.createdAt);
+    return applyChanges(documents, changes, s => toSearchDocument(s, lang), hasName);
+  } catch (e) {
+    console.warn('Search index update skipped', e);
+    return documents;
+  }
+};
@@ -0,0 +1,100 @@
+// src/repositories/spotTiles.js
+// 地球儀の表示範囲だけスポットを読み込むためのクライアント側タイルキャッシュ。
+// 世界を緯度経度のグリッドに分け (level が1上がるごとに縦横2分割)、ズームに応じた細かさで
+// 見えているタイルだけを listSpotsInBounds で取りに行く。一度読んだタイルは再取得しない
+
+const MIN_LEVEL = 1;
+const MAX_LEVEL = 10;
+const MAX_TILES_PER_VIEW = 48; // 地球全体が見えるような引きの視点で細かいタイルを大量に取らないための上限
+
+const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+const tileKey = (level, x, y) => `${level}/${x}/${y}`;
+
+export const levelForZoom = (zoom) => clamp(Math.floor(zoom), MIN_LEVEL, MAX_LEVEL);
+
+const tileBounds = (level, x, y) => {
+  const n = 2 ** level;
+  const w = 360 / n;
+  const h = 180 / n;
+  return { west: -180 + x * w, east: -180 + (x + 1) * w, south: -90 + y * h, north: -90 + (y + 1) * h };
+};
+
+// bbox に掛かるタイルの [x, y] 一覧。経度は ±180 を超えた値 (日付変更線をまたぐ表示) も折り返して扱う
+const tilesForBounds = ({ west, south, east, north }, level) => {
+  const n = 2 ** level;
+  const w = 360 / n;
+  const h = 180 / n;
+  if (east < west) east += 360;
+  const xs = new Set();
+  if (east - west >= 360) {
+    for (let x = 0; x < n; x++) xs.add(x);
+  } else {
+    for (let x = Math.floor((west + 180) / w); x <= Math.floor((east + 180) / w); x++) xs.add(((x % n) + n) % n);
+  }
+  const y0 = clamp(Math.floor((Math.max(south, -90) + 90) / h), 0, n - 1);
+  const y1 = clamp(Math.floor((Math.min(north, 90) + 90) / h), 0, n - 1);
+  const tiles = [];
+  xs.forEach(x => { for (let y = y0; y <= y1; y++) tiles.push([x, y]); });
+  return tiles;
+};
+
+/**
+ * repository: listSpotsInBounds を持つスポットリポジトリ (またはその Promise。spotBundle.js の loadSpotCatalog など)
+ * limit: 1タイルあたりの最大件数。これに達したタイルは「取り切れていない」ので、ズームインしたら細かいタイルで取り直す
+ */
+export const createSpotTileCache = (repository, { fields = '*', limit = 500 } = {}) => {
+  const spots = new Map(); // id → spot
+  const tiles = new Map(); // "level/x/y" → { promise, complete }
+
+  // 親タイル (粗い level) を取り切れていれば、その範囲のスポットは手元に全部ある
+  const coveredByParent = (level, x, y) => {
+    for (let l = level - 1; l >= MIN_LEVEL; l--) {
+      const shift = level - l;
+      if (tiles.get(tileKey(l, x >> shift, y >> shift))?.complete) return true;
+    }
+    return false;
+  };
+
+  const loadTile = (level, x, y) => {
+    const key = tileKey(level, x, y);
+    if (tiles.has(key)) return tiles.get(key).promise.then(() => 0);
+    const entry = { complete: false };
+    entry.promise = Promise.resolve(repository)
+      .then(repo => repo.listSpotsInBounds({ ...tileBounds(level, x, y), fields, limit }))
+      .then(rows => {
+        let added = 0;
+        rows.forEach(row => { if (!spots.has(row.id)) added++; spots.set(row.id, row); });
+        entry.complete = rows.length < limit;
+        return added;
+      })
+      .catch(e => { tiles.delete(key); throw e; }); // 失敗したタイルは次の移動で取り直す
+    tiles.set(key, entry);
+    return entry.promise;
+  };
+
+  // 戻り値は新しく増えたスポット数 (0 なら再描画不要)
+  const loadBounds = async (bounds, zoom) => {
+    let level = levelForZoom(zoom);
+    let list = tilesForBounds(bounds, level);
+    while (list.length > MAX_TILES_PER_VIEW && level > MIN_LEVEL) list = tilesForBounds(bounds, --level);
+    const counts = await Promise.all(list.filter(([x, y]) => !coveredByParent(level, x, y)).map(([x, y]) => loadTile(level, x, y)));
+    return counts.reduce((sum, n) => sum + n, 0);
+  };
+
+  // 指定地点のまわり (radiusDeg 四方) を読み込む
+  const loadAround = (lat, lon, radiusDeg = 2) =>
+    loadBounds({ west: lon - radiusDeg, east: lon + radiusDeg, south: lat - radiusDeg, north: lat + radiusDeg }, Math.log2(180 / radiusDeg));
+
+  // タイル以外の経路 (ランダム取得・新規生成など) で手に入れたスポットを混ぜる
+  const add = (rows) => {
+    let added = 0;
+    rows.forEach(row => { if (!spots.has(row.id)) added++; spots.set(row.id, { ...spots.get(row.id), ...row }); });
+    return added;
+  };
+
+  const list = () => Array.from(spots.values());
+
+  const clear = () => { spots.clear(); tiles.clear(); };
+
+  return { loadBounds, loadAround, add, list, clear };
+};
@@ -0,0 +1,309 @@
+// src/repositories/supabaseRepository.js
+// Supabase をバックエンドにしたリポジトリ実装。
+// クライアントは外から渡す（ブラウザは import.meta.env、tools/ は process.env で生成するため）
+
+import { SEARCH_KEY_FIELDS, spotSearchKey, searchKeyTerms, touchesSearchKey } from '../search/spotSearch.js';
+
+const PAGE_SIZE = 1000; // Supabaseの1リクエスト上限
+
+// 列がない (supabase/migrations/ を適用していない) ときの PostgREST のエラー
+const isMissingColumn = (error, column) => error?.code === '42703' && String(error.message).includes(column);
+
+export const createSupabaseSpotRepository = (client) => {
+  // hidden 列 (check coords --hide) がまだない DB でも地球儀が動くように、なければ絞り込みを外して取り直す
+  let hasHiddenColumn = true;
+  const visible = (query) => (hasHiddenColumn ? query.not('hidden', 'is', true) : query);
+  const withoutHiddenColumn = (fields) => fields.split(',').map(f => f.trim()).filter(f => f !== 'hidden').join(', ');
+  const retryIfNoHidden = async (run) => {
+    const result = await run();
+    if (!hasHiddenColumn || !isMissingColumn(result.error, 'hidden')) return result;
+    console.warn('spots.hidden がありません。supabase/migrations/ を適用してください');
+    hasHiddenColumn = false;
+    return run();
+  };
+
+  // search_key (検索タブ用。supabase/migrations/) がまだない DB では付けずに書き込む
+  let hasSearchKeyColumn = true;
+  const retryIfNoSearchKey = async (run) => {
+    const result = await run();
+    if (!hasSearchKeyColumn || !isMissingColumn(result.error, 'search_key')) return result;
+    console.warn('spots.search_key がありません。supabase/migrations/ を適用してください');
+    hasSearchKeyColumn = false;
+    return run();
+  };
+
+  // updated_at (supabase/migrations/) がまだない DB では、updatedSince を created_at で代用する (更新は拾えない)
+  let hasUpdatedAtColumn = true;
+
+  // 1000件ずつ全件を吸い出す。ids / since (created_at) / updatedSince (updated_at) で絞り込みも可
+  const listSpots = async ({ fields = '*', isNull = [], ids = [], since, updatedSince, onProgress } = {}) => {
+    let allSpots = [];
+    let page = 0;
+    while (true) {
+      const run = () => retryIfNoHidden(() => {
+        let query = client.from('spots').select(hasHiddenColumn ? fields : withoutHiddenColumn(fields));
+        isNull.forEach(col => { query = query.is(col, null); });
+        if (ids.length > 0) query = query.in('id', ids);
+        if (since) query = query.gte('created_at', since);
+        if (updatedSince) query = query.gte(hasUpdatedAtColumn ? 'updated_at' : 'created_at', updatedSince);
+        return query.order('id').range(page * PAGE_SIZE, (page + 1) * PAGE_SIZE - 1);
+      });
+      let { data, error } = await run();
+      if (updatedSince && hasUpdatedAtColumn && isMissingColumn(error, 'updated_at')) {
+        console.warn('spots.updated_at がありません。supabase/migrations/ を適用してください');
+        hasUpdatedAtColumn = false;
+        ({ data, error } = await run());
+      }
+      if (error) throw error;
+      if (!data || data.length === 0) break;
+      allSpots = allSpots.concat(data);
+      if (onProgress) onProgress(allSpots.length);
+      if (data.length < PAGE_SIZE) break;
+      page++;
+    }
+    return allSpots;
+  };
+
+  // ★地球儀用: 範囲 (bbox) 内のスポットだけ取得。hidden (check coords --hide) は除外
+  // limit に達したら呼び出し側で「この範囲は取り切れていない」と判断する。excludeIds (ライドの訪問済み) は DB 側で除く
+  const listSpotsInBounds = async ({ west, south, east, north, fields = '*', limit = 500, excludeIds = [] }) => {
+    const { data, error } = await retryIfNoHidden(() => {
+      let query = visible(client.from('spots').select(fields)
+        .gte('lat', south).lte('lat', north).gte('lon', west).lte('lon', east));
+      if (excludeIds.length > 0) query = query.not('id', 'in', `(${excludeIds.join(',')})`);
+      return query.order('id').limit(limit);
+    });
+    if (error) throw error;
+    return data;
+  };
+
+  // カテゴリ未設定 (null) は 'history' 扱い
+  const withCategories = (query, categories) => {
+    if (!categories) return query;
+    const inList = `category.in.(${categories.join(',')})`;
+    return categories.includes('history') ? query.or(`${inList},category.is.null`) : query.or(inList);
+  };
+
+  // ライドモード用: 条件に合うスポットから1件をランダムに選ぶ (件数を数えて、ランダムな位置の1件を取る)
+  const getRandomSpot = async ({ categories, excludeId, fields = '*' } = {}) => {
+    const filtered = (query) => {
+      query = withCategories(visible(query), categories);
+      return excludeId ? query.neq('id', excludeId) : query;
+    };
+    const { count, error: countError } = await retryIfNoHidden(() => filtered(client.from('spots').select('id', { count: 'exact', head: true })));
+    if (countError) throw countError;
+    if (!count) return null;
+    const offset = Math.floor(Math.random() * count);
+    const { data, error } = await filtered(client.from('spots').select(fields)).order('id').range(offset, offset);
+    if (error) throw error;
+    return data[0] || null;
+  };
+
+  // ヒストリーライド用: year が近い順に最大 limit 件 (year 未指定なら古い順)
+  const listSpotsByYear = async ({ year = null, countryJa = null, fields = '*', limit = 200 } = {}) => {
+    const base = () => {
+      const query = visible(client.from('spots').select(fields).not('year', 'is', null));
+      return countryJa ? query.eq('country_ja', countryJa) : query;
+    };
+    if (year === null) {
+      const { data, error } = await retryIfNoHidden(() => base().order('year').limit(limit));
+      if (error) throw error;
+      return data;
+    }
+    const [after, before] = await retryIfNoHidden(async () => {
+      const results = await Promise.all([
+        base().gte('year', year).order('year').limit(limit),
+        base().lt('year', year).order('year', { ascending: false }).limit(limit),
+      ]);
+      return { results, error: results.find(r => r.error)?.error };
+    }).then(r => r.results);
+    if (after.error) throw after.error;
+    if (before.error) throw before.error;
+    return [...after.data, ...before.data];
+  };
+
+  // 検索タブ用 (検索バンドルがないとき): search_key に語が当たるスポットを当たりのよい順に (search_spots。hidden は除く)
+  const searchSpots = async ({ text, fields = '*', limit = 100 }) => {
+    const terms = searchKeyTerms(text);
+    if (terms.length === 0) return [];
+    const { data, error } = await client.rpc('search_spots', { terms, max_rows: limit }).select(fields);
+    if (error?.code === 'PGRST202') console.warn('search_spots がありません。supabase/migrations/ を適用してください');
+    if (error) throw error;
+    return data;
+  };
+
+  // since 以降に削除したスポットのID (spot_deletions。バンドルとの差分用)
+  const listDeletedSpotIds = async ({ since }) => {
+    const { data, error } = await client.from('spot_deletions').select('id').gte('deleted_at', since);
+    if (error) throw error;
+    return data.map(d => d.id);
+  };
+
+  // country_ja の一覧 (重複なし。hidden は除く)。ビュー spot_countries (supabase/migrations/) で DB 側で重複を除く
+  const listCountryNames = async () => {
+    const { data, error } = await client.from('spot_countries').select('country_ja').order('country_ja');
+    if (!error) return data.map(r => r.country_ja);
+    if (error.code !== '42P01' && error.code !== 'PGRST205') throw error;
+    console.warn('spot_countries がありません。supabase/migrations/ を適用してください');
+    const rows = await listSpots({ fields: 'country_ja, hidden' });
+    return [...new Set(rows.filter(r => !r.hidden).map(r => r.country_ja).filter(Boolean))].sort();
+  };
+
+  const countSpots = async () => {
+    const { count, error } = await client.from('spots').select('*', { count: 'exact', head: true });
+    if (error) throw error;
+    return count;
+  };
+
+  const getSpot = async (id) => {
+    const { data, error } = await client.from('spots').select('*').eq('id', id).single();
+    if (error) throw error;
+    return data;
+  };
+
+  const findSpotByName = async (name) => {
+    const { data, error } = await client.from('spots').select('id').eq('name', name).maybeSingle();
+    if (error) throw error;
+    return data;
+  };
+
+  const insertSpots = async (rows) => {
+    const { data, error } = await retryIfNoSearchKey(() => client.from('spots')
+      .insert(hasSearchKeyColumn ? rows.map(r => ({ ...r, search_key: spotSearchKey(r) })) : rows).select());
+    if (error) throw error;
+    return data;
+  };
+
+  // 検索に使う列を変えるときは、今の値と合わせて search_key を作り直す
+  const updateSpot = async (id, patch) => {
+    let current = null;
+    if (hasSearchKeyColumn && touchesSearchKey(patch)) {
+      const { data, error } = await client.from('spots').select(SEARCH_KEY_FIELDS.join(', ')).eq('id', id).maybeSingle();
+      if (error) throw error;
+      current = data;
+    }
+    const { error } = await retryIfNoSearchKey(() => client.from('spots')
+      .update(current && hasSearchKeyColumn ? { ...patch, search_key: spotSearchKey({ ...current, ...patch }) } : patch)
+      .eq('id', id));
+    if (error) throw error;
+  };
+
+  const updateTranslations = (id, lang, { name, description }) =>
+    updateSpot(id, { [`name_${lang}`]: name, [`description_${lang}`]: description });
+
+  const deleteSpots = async (ids) => {
+    const { error } = await client.from('spots').delete().in('id', ids);
+    if (error) throw error;
+  };
+
+  const deleteAllSpots = async () => {
+    // idが0以外のものを削除（実質全削除）
+    const { error } = await client.from('spots').delete().neq('id', 0);
+    if (error) throw error;
+  };
+
+  return {
+    listSpots, listSpotsInBounds, getRandomSpot, listSpotsByYear, searchSpots, listDeletedSpotIds, listCountryNames, countSpots, getSpot,
+    findSpotByName, insertSpots, updateSpot, updateTranslations, deleteSpots, deleteAllSpots,
+  };
+};
+
+export const createSupabaseUserRepository = (client) => {
+  const getProfile = async (userId) => {
+    const { data } = await client.from('profiles').select('*').eq('id', userId).single();
+    return data || null;
+  };
+
+  const listFavoriteIds = async (userId) => {
+    const { data, error } = await client.from('favorites').select('spot_id').eq('user_id', userId);
+    if (error) throw error;
+    return data.map(f => f.spot_id);
+  };
+
+  // 新しい順。削除済みスポットを指すお気に入りは除外
+  const listFavoriteSpots = async (userId) => {
+    const { data, error } = await client
+      .from('favorites')
+      .select(`spot_id, spots (*)`)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+    if (error) throw error;
+    return data.map(f => f.spots).filter(Boolean);
+  };
+
+  const addFavorite = async (userId, spotId) => {
+    const { error } = await client.from('favorites').insert({ user_id: userId, spot_id: spotId });
+    if (error) throw error;
+  };
+
+  const removeFavorite = async (userId, spotId) => {
+    const { error } = await client.from('favorites').delete().eq('user_id', userId).eq('spot_id', spotId);
+    if (error) throw error;
+  };
+
+  // --- 認証 ---
+  const getSessionUser = async () => {
+    const { data: { session } } = await client.auth.getSession();
+    return session?.user || null;
+  };
+
+  // 重複スポットの統合用: fromSpotIds へのお気に入りを toSpotId に付け替える。
+  // 既に toSpotId をお気に入りにしているユーザーの分は重複になるので削除する
+  const moveFavorites = async (fromSpotIds, toSpotId) => {
+    const { data: rows, error } = await client.from('favorites').select('user_id, spot_id').in('spot_id', fromSpotIds);
+    if (error) throw error;
+    if (rows.length === 0) return 0;
+
+    const { data: existing, error: existingError } = await client.from('favorites').select('user_id').eq('spot_id', toSpotId);
+    if (existingError) throw existingError;
+    const already = new Set(existing.map(f => f.user_id));
+
+    let moved = 0;
+    for (const row of rows) {
+      const duplicate = already.has(row.user_id);
+      const target = client.from('favorites');
+      const { error: rowError } = duplicate
+        ? await target.delete().eq('user_id', row.user_id).eq('spot_id', row.spot_id)
+        : await target.update({ spot_id: toSpotId }).eq('user_id', row.user_id).eq('spot_id', row.spot_id);
+      if (rowError) throw rowError;
+      if (!duplicate) moved++;
+      already.add(row.user_id);
+    }
+    return moved;
+  };
+
+  // API (server/) に渡すアクセストークンと、サーバー側でのトークン検証
+  const getAccessToken = async () => {
+    const { data: { session } } = await client.auth.getSession();
+    return session?.access_token || null;
+  };
+
+  const getUserByToken = async (token) => {
+    const { data, error } = await client.auth.getUser(token);
+    if (error) return null;
+    return data.user;
+  };
+
+  const onAuthStateChange = (callback) => {
+    const { data: { subscription } } = client.auth.onAuthStateChange((_event, session) => callback(session?.user || null));
+    return () => subscription.unsubscribe();
+  };
+
+  const signIn = async (email, password) => {
+    const { data, error } = await client.auth.signInWithPassword({ email, password });
+    if (error) throw error;
+    return data.user;
+  };
+
+  const signUp = async (email, password) => {
+    const { error } = await client.auth.signUp({ email, password });
+    if (error) throw error;
+  };
+
+  const signOut = () => client.auth.signOut();
+
+  return {
+    getProfile, listFavoriteIds, listFavoriteSpots, addFavorite, removeFavorite, moveFavorites,
+    getSessionUser, getAccessToken, getUserByToken, onAuthStateChange, signIn, signUp, signOut,
+  };
+};
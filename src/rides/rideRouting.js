@@ -0,0 +1,192 @@
+// src/rides/rideRouting.js
+// ランダムライドの行き先を地理的に決める (ペルー → 日本 → エジプト… と飛び回らないように)
+//   nearest  : 近い順 (最近傍法で数件先までルートを作り、2-opt で交差をほどく)
+//   country  : 今いる国の中だけを近い順に
+//   eastward : 出発地の緯度帯のまま東へ東へ (世界一周)
+// 1回の移動距離は maxHopKm まで (設定した上限は超えない)。範囲内に候補がなければライドは終わり
+
+export const RIDE_ROUTES = {
+  random: 'ランダム',
+  nearest: '近い順',
+  country: 'この国の中',
+  eastward: '東回りで世界一周',
+};
+
+export const HOP_DISTANCES_KM = [300, 1000, 3000, 8000];
+
+const EARTH_RADIUS_KM = 6371;
+const LAT_BAND_DEG = 15;        // 東回りで出発地の緯度からどこまで外れてよいか
+const MIN_EAST_STEP_DEG = 0.1;  // 東回りで「東へ進んだ」とみなす最小の経度差
+const PLAN_STOPS = 8;           // 一度に先読みする停留所の数
+const START_RADIUS_KM = 50;     // 候補を探し始める範囲
+const MIN_RADIUS_KM = 5;        // 密集地で範囲を狭めるときの下限
+const CANDIDATE_LIMIT = 500;    // listSpotsInBounds の1回の上限
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+const toDeg = (rad) => (rad * 180) / Math.PI;
+
+export const haversineKm = (a, b) => {
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+// a から見た b の方位 (0 = 北, 90 = 東)
+export const bearingDeg = (a, b) => {
+  const y = Math.sin(toRad(b.lon - a.lon)) * Math.cos(toRad(b.lat));
+  const x = Math.cos(toRad(a.lat)) * Math.sin(toRad(b.lat)) - Math.sin(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.cos(toRad(b.lon - a.lon));
+  return (toDeg(Math.atan2(y, x)) + 360) % 360;
+};
+
+// 東向きの経度差 (-180〜180)
+const eastDelta = (from, to) => ((to.lon - from.lon + 540) % 360) - 180;
+
+// ---- 候補の取得範囲 ----
+
+// 経度 ±180 をまたぐ範囲は2つに分ける
+const splitAntimeridian = ({ west, south, east, north }) => {
+  if (east - west >= 360) return [{ west: -180, south, east: 180, north }];
+  if (west < -180) return [{ west: west + 360, south, east: 180, north }, { west: -180, south, east, north }];
+  if (east > 180) return [{ west, south, east: 180, north }, { west: -180, south, east: east - 360, north }];
+  return [{ west, south, east, north }];
+};
+
+const searchBounds = (from, radiusKm, { mode, originLat }) => {
+  const dLat = radiusKm / 111;
+  const dLon = Math.min(360, radiusKm / (111 * Math.max(Math.cos(toRad(from.lat)), 0.05)));
+  if (mode === 'eastward') {
+    const center = originLat ?? from.lat;
+    return splitAntimeridian({
+      west: from.lon, east: from.lon + Math.min(dLon, 180),
+      south: Math.max(-90, center - LAT_BAND_DEG), north: Math.min(90, center + LAT_BAND_DEG),
+    });
+  }
+  return splitAntimeridian({
+    west: from.lon - dLon, east: from.lon + dLon,
+    south: Math.max(-90, from.lat - dLat), north: Math.min(90, from.lat + dLat),
+  });
+};
+
+// ---- ルート ----
+
+const pathLength = (points) => points.slice(1).reduce((sum, p, i) => sum + haversineKm(points[i], p), 0);
+
+// 2-opt: 区間を反転して短くなるなら採用 (始点は固定・終点は自由な開いた経路)。1回の移動距離の上限は守る
+const improveRoute = (start, route, maxHopKm) => {
+  let best = [start, ...route];
+  let improved = true;
+  for (let pass = 0; improved && pass < 50; pass++) {
+    improved = false;
+    for (let i = 1; i < best.length - 1; i++) {
+      for (let j = i + 1; j < best.length; j++) {
+        const candidate = [...best.slice(0, i), ...best.slice(i, j + 1).reverse(), ...best.slice(j + 1)];
+        const hopsOk = candidate.slice(1).every((p, k) => haversineKm(candidate[k], p) <= maxHopKm);
+        if (hopsOk && pathLength(candidate) + 1e-6 < pathLength(best)) { best = candidate; improved = true; }
+      }
+    }
+  }
+  return best.slice(1);
+};
+
+/**
+ * from から候補を巡る順番を決める (最大 maxStops 件)。移動距離が maxHopKm を超える先には行かない
+ */
+export const planRoute = (from, candidates, { mode, maxHopKm, maxStops = PLAN_STOPS, originLat = from.lat }) => {
+  const remaining = candidates.filter(c => c.lat !== from.lat || c.lon !== from.lon);
+  const route = [];
+  let current = from;
+  while (route.length < maxStops && remaining.length > 0) {
+    let bestIndex = -1;
+    let bestDistance = Infinity;
+    remaining.forEach((c, i) => {
+      if (mode === 'eastward' && (eastDelta(current, c) < MIN_EAST_STEP_DEG || Math.abs(c.lat - originLat) > LAT_BAND_DEG)) return;
+      const d = haversineKm(current, c);
+      if (d <= maxHopKm && d < bestDistance) { bestDistance = d; bestIndex = i; }
+    });
+    if (bestIndex === -1) break;
+    current = remaining.splice(bestIndex, 1)[0];
+    route.push(current);
+  }
+  // 東回りは進む向きが決まっているので並べ替えない
+  return mode === 'eastward' ? route : improveRoute(from, route, maxHopKm);
+};
+
+/**
+ * 次に巡るスポットを (catalog から取って) 順番に並べて返す。maxHopKm の範囲内に候補がなければ空配列
+ *   from: { lat, lon, country_ja }  visited: 既に行ったスポットID の Set
+ * listSpotsInBounds は範囲内を id 順に limit 件までしか返さないので、近い順に取れるよう小さな範囲から広げていく。
+ * 上限で打ち切られた (範囲内の一部しか取れていない) ときは、範囲を狭めて取り直す。
+ * 訪問済みは取得側で除く (訪問済みだけで上限が埋まって、その先の候補が見えなくならないように)
+ */
+export const planNextStops = async (catalog, from, { mode, maxHopKm, categories, visited, originLat, fields }) => {
+  const excludeIds = [...visited];
+  const fetchAround = async (radius) => {
+    const results = await Promise.all(
+      searchBounds(from, radius, { mode, originLat }).map(b => catalog.listSpotsInBounds({ ...b, fields, limit: CANDIDATE_LIMIT, excludeIds })),
+    );
+    const candidates = results.flat().filter(s =>
+      s.lat !== null && s.lon !== null
+      && categories.includes(s.category || 'history')
+      && !visited.has(String(s.id))
+      && (mode !== 'country' || !from.country_ja || s.country_ja === from.country_ja));
+    return { candidates, truncated: results.some(rows => rows.length >= CANDIDATE_LIMIT) };
+  };
+
+  const options = { mode, maxHopKm, originLat };
+  const byDistance = (a, b) => haversineKm(from, a) - haversineKm(from, b);
+
+  // 1) 密集地: 打ち切られない大きさまで範囲を狭める (その範囲の中は全件取れている = 一番近いものが入っている)
+  let radius = Math.min(maxHopKm, START_RADIUS_KM);
+  let result = await fetchAround(radius);
+  while (result.truncated && radius > MIN_RADIUS_KM) {
+    radius = Math.max(MIN_RADIUS_KM, radius / 2);
+    result = await fetchAround(radius);
+  }
+
+  // 2) 候補が足りなければ上限 (maxHopKm) まで広げる。打ち切られた広い範囲の候補も、近い順に並べ直して使う
+  const found = new Map();
+  while (true) {
+    result.candidates.forEach(c => found.set(c.id, c));
+    const candidates = [...found.values()].sort(byDistance);
+    if (radius >= maxHopKm || (candidates.length >= PLAN_STOPS && !result.truncated)) return planRoute(from, candidates, options);
+    if (result.truncated) {
+      const route = planRoute(from, candidates, options);
+      if (route.length > 0) return route;
+    }
+    radius = Math.min(radius * 2, maxHopKm);
+    result = await fetchAround(radius);
+  }
+};
+
+// ---- 移動の読み上げ ----
+
+const COMPASS = {
+  ja: ['北', '北東', '東', '南東', '南', '南西', '西', '北西'],
+  en: ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'],
+  zh: ['北', '东北', '东', '东南', '南', '西南', '西', '西北'],
+  es: ['norte', 'noreste', 'este', 'sureste', 'sur', 'suroeste', 'oeste', 'noroeste'],
+  fr: ['nord', 'nord-est', 'est', 'sud-est', 'sud', 'sud-ouest', 'ouest', 'nord-ouest'],
+};
+
+const TRAVEL_TEXT = {
+  ja: (dir, km, country) => `${dir}へ約${km}キロ移動しました。${country ? `ここは${country}です。` : ''}`,
+  en: (dir, km, country) => `We traveled about ${km} kilometers ${dir}.${country ? ` Welcome to ${country}.` : ''}`,
+  zh: (dir, km, country) => `向${dir}移动了约${km}公里。${country ? `这里是${country}。` : ''}`,
+  es: (dir, km, country) => `Hemos viajado unos ${km} kilómetros hacia el ${dir}.${country ? ` Bienvenidos a ${country}.` : ''}`,
+  fr: (dir, km, country) => `Nous avons parcouru environ ${km} kilomètres vers le ${dir}.${country ? ` Destination : ${country}.` : ''}`,
+};
+
+// 距離は読みやすく丸める (120km → 120, 1234km → 1200)
+const roundKm = (km) => (km < 100 ? Math.max(1, Math.round(km)) : km < 1000 ? Math.round(km / 10) * 10 : Math.round(km / 100) * 100);
+
+/**
+ * 前の停留所からの移動を一言で (国が変わったときだけ国名も)。近すぎる移動は読まない
+ *   travel: { distanceKm, bearing, countryChanged }  country: 表示言語での国名
+ */
+export const travelNarration = (travel, lang, country) => {
+  if (!travel || travel.distanceKm < 1) return '';
+  const text = TRAVEL_TEXT[lang] || TRAVEL_TEXT.en;
+  const dir = (COMPASS[lang] || COMPASS.en)[Math.round(travel.bearing / 45) % 8];
+  return text(dir, roundKm(travel.distanceKm).toLocaleString(lang), travel.countryChanged ? country : '');
+};
@@ -1,32 +1,24 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
-import { createClient } from "@supabase/supabase-js";
 import dotenv from "dotenv";
+import { createRepositories } from "../../tools/lib/repositories.js";
+import { createLlm } from "../ai/llm.js";
+import { generateJson } from "../ai/responses.js";
+import { GENERATED_SPOTS_SCHEMA } from "../ai/schemas.js";
 
 // .envファイルを読み込む
 dotenv.config();
 
-// 設定確認
-const GEMINI_KEY = process.env.VITE_GEMINI_API_KEY;
-const SUPABASE_URL = process.env.VITE_SUPABASE_URL;
-const SUPABASE_KEY = process.env.VITE_SUPABASE_KEY; // 安全のため本来はService Role Keyが好ましいですが、開発中はこれでOK
-
-if (!GEMINI_KEY || !SUPABASE_URL || !SUPABASE_KEY) {
-  console.error("エラー: .env に APIキーが設定されていません。");
-  process.exit(1);
-}
-
-// クライアント初期化
-const genAI = new GoogleGenerativeAI(GEMINI_KEY);
-const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+// クライアント初期化 (モデルは .env の LLM_MODEL_GENERATE で切り替え)
+const llm = createLlm(process.env);
+const { spots: spotRepository } = createRepositories();
 
 // ★ここを変えると、生成される場所が変わります！
 const TARGET_THEME = "イタリアのルネサンス期の隠れた名所"; 
 
 async function main() {
-  console.log(`🤖 Gemini 2.5 Flash に「${TARGET_THEME}」について聞いています...`);
+  const { provider, model: modelName } = llm.assignments.find(a => a.task === 'generate');
+  console.log(`🤖 ${provider}:${modelName} に「${TARGET_THEME}」について聞いています...`);
 
-  // モデルの指定 (最新のGemini 2.5 Flashを使用)
-  const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
+  const model = llm.model('generate');
 
   // プロンプト（命令文）
   const prompt = `
@@ -46,27 +38,14 @@ async function main() {
   `;
 
   try {
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    let text = response.text();
-
-    // JSONの前後に余計な文字がついている場合のクリーニング
-    text = text.replace(/```json/g, "").replace(/```/g, "").trim();
-
+    // JSONの取り出し・座標チェック・不正時の修復依頼まで generateJson がやる
     console.log("📦 データを解析中...");
-    const spots = JSON.parse(text);
+    const spots = await generateJson(model, prompt, GENERATED_SPOTS_SCHEMA);
 
-    console.log("🚀 Supabaseに保存中...");
+    console.log("🚀 データベースに保存中...");
     
     // データベースに保存
-    const { data, error } = await supabase
-      .from('spots')
-      .insert(spots)
-      .select();
-
-    if (error) {
-      throw error;
-    }
+    const data = await spotRepository.insertSpots(spots);
 
     console.log(`✅ 成功！ ${data.length} 件のスポットを追加しました。`);
     console.log(data.map(s => ` - ${s.name}`).join("\n"));
@@ -0,0 +1,94 @@
+// src/search/normalize.js
+// 検索用の文字列の正規化。表記ゆれを吸収して同じキーにそろえる
+//   - 全角/半角・大文字/小文字・アクセント記号 (é → e)
+//   - カタカナ → ひらがな、かな → ローマ字 (「きんかくじ」で Kinkaku-ji が引ける)
+//   - 中国語の繁体字 → 簡体字 (地名によく出る字だけ。日本の新字体もできるだけ同じ字に寄せる)
+// tools/ (Node) からも import するので、ブラウザ専用のものは使わない
+
+// 繁体字 (と日本の字体) → 簡体字。2文字ずつ [元, 先]
+const HANZI_PAIRS = (
+  '國国島岛東东門门廟庙樓楼園园灣湾館馆橋桥臺台龍龙鳳凤華华萬万長长區区縣县県县會会遺遗產产' +
+  '馬马魚鱼鳥鸟雲云漢汉亞亚歐欧紀纪體体藝艺術术學学師师與与陽阳陰阴開开關关陳陈劉刘張张' +
+  '楊杨黃黄趙赵吳吴鄭郑廣广広广戰战車车鐵铁鉄铁電电際际蘭兰羅罗維维爾尔薩萨聖圣寶宝宮宫' +
+  '觀观観观場场莊庄灘滩濱滨浜滨澤泽沢泽陸陆嶺岭嶼屿巖岩礦矿運运邊边辺边紅红綠绿緑绿藍蓝' +
+  '銀银錦锦樂乐楽乐劇剧劍剑剣剑傳传伝传說说説说記记歷历歴历時时來来對对対对爲为為为無无' +
+  '氣气気气豐丰豊丰廳厅庁厅鎮镇郵邮築筑燈灯壇坛墳坟牆墙畫画舊旧將将廈厦'
+).match(/../g);
+const HANZI_MAP = new Map(HANZI_PAIRS.map(([from, to]) => [from, to]));
+
+const toSimplified = (text) => text.replace(/[\u3400-\u9fff]/g, ch => HANZI_MAP.get(ch) || ch);
+
+// カタカナ → ひらがな (ヴ・ヵ・ヶ も含む)
+const toHiragana = (text) => text.replace(/[ァ-ヶ]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0x60));
+
+/**
+ * 比較用の基本形。記号は空白にまとめる (漢字・かな・英数字だけ残す)
+ */
+export const normalizeText = (text) => toSimplified(toHiragana(
+  String(text ?? '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '').normalize('NFC') // アクセント記号だけ落とす (濁点は残す)
+))
+  .replace(/[^\p{L}\p{N}ー]+/gu, ' ')
+  .trim();
+
+// ---- かな → ローマ字 (ヘボン式) ----
+const KANA_ROMAJI = {
+  あ: 'a', い: 'i', う: 'u', え: 'e', お: 'o',
+  か: 'ka', き: 'ki', く: 'ku', け: 'ke', こ: 'ko', が: 'ga', ぎ: 'gi', ぐ: 'gu', げ: 'ge', ご: 'go',
+  さ: 'sa', し: 'shi', す: 'su', せ: 'se', そ: 'so', ざ: 'za', じ: 'ji', ず: 'zu', ぜ: 'ze', ぞ: 'zo',
+  た: 'ta', ち: 'chi', つ: 'tsu', て: 'te', と: 'to', だ: 'da', ぢ: 'ji', づ: 'zu', で: 'de', ど: 'do',
+  な: 'na', に: 'ni', ぬ: 'nu', ね: 'ne', の: 'no',
+  は: 'ha', ひ: 'hi', ふ: 'fu', へ: 'he', ほ: 'ho', ば: 'ba', び: 'bi', ぶ: 'bu', べ: 'be', ぼ: 'bo',
+  ぱ: 'pa', ぴ: 'pi', ぷ: 'pu', ぺ: 'pe', ぽ: 'po',
+  ま: 'ma', み: 'mi', む: 'mu', め: 'me', も: 'mo',
+  や: 'ya', ゆ: 'yu', よ: 'yo',
+  ら: 'ra', り: 'ri', る: 'ru', れ: 're', ろ: 'ro',
+  わ: 'wa', ゐ: 'i', ゑ: 'e', を: 'o', ん: 'n', ゔ: 'vu',
+  ぁ: 'a', ぃ: 'i', ぅ: 'u', ぇ: 'e', ぉ: 'o', ゃ: 'ya', ゅ: 'yu', ょ: 'yo', ゎ: 'wa', ゕ: 'ka', ゖ: 'ke',
+};
+const SMALL_YOON = { ゃ: 'a', ゅ: 'u', ょ: 'o', ぁ: 'a', ぃ: 'i', ぅ: 'u', ぇ: 'e', ぉ: 'o' };
+
+const kanaToRomaji = (text) => {
+  let out = '';
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    const next = text[i + 1];
+    if (ch === 'っ') { // 促音: 次の子音を重ねる
+      const following = KANA_ROMAJI[next];
+      if (following) out += following.startsWith('ch') ? 't' : following[0];
+      continue;
+    }
+    if (ch === 'ー') continue; // 長音は下の foldRomaji で母音1つにそろえるので落としてよい
+    const base = KANA_ROMAJI[ch];
+    if (!base) { out += ch; continue; }
+    if (next && SMALL_YOON[next] && base.length > 1 && base.endsWith('i')) {
+      // きゃ → kya, しゃ → sha, ちゃ → cha, ふぁ → fa (拗音)
+      const stem = base.slice(0, -1);
+      out += (/^(sh|ch|j)$/.test(stem) ? stem : `${stem}y`) + SMALL_YOON[next];
+      i++;
+      continue;
+    }
+    if (next && SMALL_YOON[next] && base === 'fu') { out += `f${SMALL_YOON[next]}`; i++; continue; }
+    out += base;
+  }
+  return out;
+};
+
+// ローマ字の書き方の違いをそろえる (訓令式・長音の書き方)。両方の側に同じ変換をかけるので英語の単語が崩れても問題ない
+const foldRomaji = (text) => text
+  .replace(/si/g, 'shi').replace(/ti/g, 'chi').replace(/tu/g, 'tsu').replace(/(^|[^sc])hu/g, '$1fu').replace(/zi/g, 'ji')
+  .replace(/sy([aueo])/g, 'sh$1').replace(/ty([aueo])/g, 'ch$1').replace(/zy([aueo])/g, 'j$1').replace(/jy([aueo])/g, 'j$1')
+  .replace(/([aeiou])h(?=[^aeiouy]|$)/g, '$1') // Ōhashi → ohashi, oh → o
+  .replace(/ou|oo/g, 'o').replace(/uu/g, 'u').replace(/aa/g, 'a').replace(/ii/g, 'i').replace(/ee/g, 'e')
+  .replace(/m(?=[bmp])/g, 'n'); // nihombashi → nihonbashi
+
+/**
+ * 空白・かなを取り除いたローマ字の比較キー (「きょうと」「Kyōto」「kyoto」→ kyoto)
+ * 漢字はそのまま残るので、漢字の名前同士は normalizeText と同じように比べられる
+ */
+export const romajiKey = (normalized) => foldRomaji(kanaToRomaji(normalized.replace(/ /g, '')));
+
+// 単語に分ける (中国語・日本語は空白がないので、そのまま1語になる)
+export const tokenize = (normalized) => normalized.split(' ').filter(Boolean);
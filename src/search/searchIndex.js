@@ -0,0 +1,64 @@
+// src/search/searchIndex.js
+// 検索タブで使う索引。言語ごとに初回だけ読み込み (spotBundle.js の loadSearchDocuments)、以後はメモリ上で検索する。
+// 検索バンドルがないときは全件を読まずに、入力のたびに DB (search_key。spotSearch.js) で候補を引いてから順位をつける
+// search / suggest はどちらの場合も Promise を返す
+
+import { spotRepository } from '../repositories';
+import { loadSearchDocuments } from '../repositories/spotBundle';
+import { createSpotSearchIndex, toSearchDocument, searchSourceFields } from './spotSearch';
+import { normalizeText } from './normalize';
+
+const REMOTE_CANDIDATE_LIMIT = 100;
+
+const indexes = {};
+
+const createLocalSearchIndex = (documents) => {
+  const index = createSpotSearchIndex(documents);
+  return {
+    search: async (query, options) => index.search(query, options),
+    suggest: async (query, options) => index.suggest(query, options),
+    add: index.add,
+  };
+};
+
+// DB で候補を引く (かな・ローマ字・繁体字・綴り間違い・解説・カテゴリ名も search_key で当たる) → 候補だけの索引で順位付け
+const createRemoteSearchIndex = (repository, lang) => {
+  const candidates = async (query) => {
+    const spots = await repository.searchSpots({ text: query, fields: searchSourceFields(lang), limit: REMOTE_CANDIDATE_LIMIT });
+    return createSpotSearchIndex(spots.filter(s => s.name).map(s => toSearchDocument(s, lang)));
+  };
+  return {
+    search: async (query, options) => (await candidates(query)).search(query, options),
+    suggest: async (query, options) => (await candidates(query)).suggest(query, options),
+    add: () => {}, // 追加したスポットは DB にあるので次の検索で引ける
+  };
+};
+
+export const getSearchIndex = (lang) => {
+  indexes[lang] ||= loadSearchDocuments(spotRepository, lang)
+    .then(documents => {
+      if (!documents) {
+        console.log(`🔍 search index (${lang}): no bundle, searching the database`);
+        return createRemoteSearchIndex(spotRepository, lang);
+      }
+      console.log(`🔍 search index (${lang}): ${documents.length} spots`);
+      return createLocalSearchIndex(documents);
+    })
+    .catch(e => { delete indexes[lang]; throw e; }); // 失敗したら次に開いたときに読み直す
+  return indexes[lang];
+};
+
+// AI生成などで増えたスポットを、読み込み済みの索引に足す
+export const addToSearchIndexes = (spots) => {
+  Object.entries(indexes).forEach(([lang, promise]) => {
+    promise.then(index => index.add(spots.map(s => toSearchDocument(s, lang)))).catch(() => {});
+  });
+};
+
+// 名前 (どの言語でも、#タグなし) が一致するスポットのID。組み込みツアーの停留所を引くのに使う
+export const findSpotIdByName = async (name) => {
+  const index = await getSearchIndex('ja');
+  const key = normalizeText(name);
+  const hit = (await index.search(name, { limit: 5 })).find(r => r.names.some(n => normalizeText(n) === key));
+  return hit ? hit.id : null;
+};
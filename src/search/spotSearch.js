@@ -0,0 +1,225 @@
+// src/search/spotSearch.js
+// 既存スポットの検索 (ブラウザ内の全文検索)。
+// 名前は全言語分 (name, name_ja, name_en ...)、国名・カテゴリ、解説は表示中の言語の冒頭だけを対象にする。
+// 表記ゆれは normalize.js でそろえ、綴りの間違いは編集距離で許す (ローマ字・英字のみ)
+// 検索バンドルがないときに DB 側で候補を引くための search_key もここで作る (末尾)
+// tools/ (Node) からも import するので、ブラウザ専用のものは使わない
+
+import { LANGUAGES } from '../data/languages.js';
+import { normalizeText, romajiKey, tokenize } from './normalize.js';
+
+export const SEARCH_DESCRIPTION_LENGTH = 200; // 解説はこの文字数までを索引に入れる
+
+const WEIGHTS = { name: 10, country: 4, category: 3, description: 1 };
+
+// カテゴリ名でも引けるように (「自然」「museum」などで絞り込める)
+const CATEGORY_KEYWORDS = {
+  history: ['history', '歴史', '世界遺産', 'historia', 'histoire', 'heritage'],
+  landmark: ['landmark', '観光', '観光名所', '名所', '地标', 'monumento', 'monument'],
+  nature: ['nature', '自然', '自然遺産', 'naturaleza', 'naturel'],
+  modern: ['modern', '現代', '近代', 'moderno', 'moderne'],
+  science: ['science', '科学', 'ciencia'],
+  art: ['art', '芸術', 'アート', '美術', 'museum', '艺术', 'arte'],
+};
+
+const stripTag = (name) => String(name || '').split('#')[0].trim();
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+/**
+ * スポット (DBの行) → 言語ごとの検索用ドキュメント。表示用の name / country はその言語のもの
+ */
+export const toSearchDocument = (spot, lang) => {
+  const description = spot[`description_${lang}`] || spot.description || '';
+  return {
+    id: spot.id,
+    name: stripTag(spot[`name_${lang}`] || spot.name),
+    country: (lang === 'ja' ? spot.country_ja : spot[`country_${lang}`] || spot.country) || '',
+    category: spot.category || 'history',
+    year: spot.year ?? null,
+    names: unique([spot.name, ...Object.keys(LANGUAGES).map(l => spot[`name_${l}`])].map(stripTag)),
+    countries: unique([spot.country, spot.country_ja, ...Object.keys(LANGUAGES).map(l => spot[`country_${l}`])]),
+    description: description.replace(/\s+/g, ' ').trim().slice(0, SEARCH_DESCRIPTION_LENGTH),
+  };
+};
+
+// 名前・国名の列 (全言語分)
+export const SEARCH_MATCH_COLUMNS = [
+  'name', ...Object.keys(LANGUAGES).map(l => `name_${l}`),
+  'country', ...Object.keys(LANGUAGES).map(l => `country_${l}`),
+];
+
+// 検索用ドキュメントを作るのに必要な列 (バンドル後に追加されたスポットや、バンドルがないときに DB から取る)
+export const searchSourceFields = (lang) =>
+  `id, ${SEARCH_MATCH_COLUMNS.join(', ')}, category, year, description, description_${lang}`;
+
+// ---- 照合 ----
+
+const isLatin = (text) => /^[a-z0-9]+$/.test(text);
+
+// 許す綴り間違いの数 (短い語ほど厳しく)
+const typoAllowance = (length) => (length >= 8 ? 2 : length >= 4 ? 1 : 0);
+
+// 編集距離 (隣り合う文字の入れ替えも1回と数える)。max を超えたら打ち切って max + 1 を返す
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, prev2[j - 2] + 1);
+      row.push(d);
+      rowMin = Math.min(rowMin, d);
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = row;
+  }
+  return prev[b.length];
+};
+
+const prepareText = (text) => {
+  const norm = normalizeText(text);
+  return {
+    norm,
+    roma: romajiKey(norm),
+    tokens: tokenize(norm).map(t => ({ norm: t, roma: romajiKey(t) })),
+  };
+};
+
+// 1語 (または語句) と1つの値の一致度 0〜1
+const matchScore = (query, value, { fuzzy = true } = {}) => {
+  if (!query.norm || !value.norm) return 0;
+  if (value.norm === query.norm || value.roma === query.roma) return 1;
+  if (value.norm.startsWith(query.norm) || value.roma.startsWith(query.roma)) return 0.85;
+  let best = 0;
+  for (const token of value.tokens) {
+    if (token.norm === query.norm || token.roma === query.roma) return 0.8;
+    if (token.norm.startsWith(query.norm) || token.roma.startsWith(query.roma)) best = Math.max(best, 0.7);
+  }
+  if (best) return best;
+  if ([...query.norm].length >= 2 && (value.norm.includes(query.norm) || value.roma.includes(query.roma))) return 0.5;
+
+  // 綴り間違い: 単語全体か、入力途中として単語の先頭部分と比べる
+  const allowance = typoAllowance(query.roma.length);
+  if (!fuzzy || allowance === 0 || !isLatin(query.roma)) return 0;
+  let distance = allowance + 1;
+  for (const candidate of [value.roma, ...value.tokens.map(t => t.roma)]) {
+    if (!isLatin(candidate)) continue;
+    distance = Math.min(distance, editDistance(query.roma, candidate, allowance));
+    if (candidate.length > query.roma.length) distance = Math.min(distance, editDistance(query.roma, candidate.slice(0, query.roma.length), allowance));
+    if (distance === 0) break;
+  }
+  return distance <= allowance ? 0.45 - 0.1 * distance : 0;
+};
+
+const prepareDocument = (doc) => ({
+  doc,
+  fields: [
+    ...doc.names.map(name => ({ kind: 'name', ...prepareText(name) })),
+    ...doc.countries.map(country => ({ kind: 'country', ...prepareText(country) })),
+    ...[doc.category, ...(CATEGORY_KEYWORDS[doc.category] || [])].map(keyword => ({ kind: 'category', ...prepareText(keyword) })),
+  ],
+  description: normalizeText(doc.description),
+});
+
+/**
+ * 検索用ドキュメントの一覧から索引を作る。
+ *   search(query)  → 順位付きの結果 [{ ...doc, score }]。全部の語がどこかに当たったものだけ
+ *   suggest(query) → 入力途中の候補 (名前だけを前方一致・綴り間違い込みで)
+ */
+export const createSpotSearchIndex = (documents = []) => {
+  const entries = new Map();
+  const add = (docs) => docs.forEach(doc => entries.set(String(doc.id), prepareDocument(doc)));
+  add(documents);
+
+  const scoreEntry = (entry, terms, phrase, { namesOnly }) => {
+    // 語句全体が名前に当たる場合 (「kinkaku ji」→ Kinkaku-ji)
+    let phraseScore = 0;
+    for (const field of entry.fields) {
+      if (field.kind === 'name') phraseScore = Math.max(phraseScore, matchScore(phrase, field));
+    }
+
+    let total = 0;
+    for (const term of terms) {
+      let best = 0;
+      for (const field of entry.fields) {
+        if (namesOnly && field.kind !== 'name') continue;
+        best = Math.max(best, WEIGHTS[field.kind] * matchScore(term, field, { fuzzy: field.kind === 'name' }));
+      }
+      if (!namesOnly && term.norm.length >= 2 && entry.description.includes(term.norm)) best = Math.max(best, WEIGHTS.description * 0.5);
+      if (best === 0) { total = 0; break; }
+      total += best;
+    }
+    return Math.max(total, WEIGHTS.name * phraseScore * terms.length);
+  };
+
+  const run = (query, { limit, namesOnly }) => {
+    const phrase = prepareText(query);
+    const terms = phrase.tokens;
+    if (terms.length === 0) return [];
+    const results = [];
+    entries.forEach(entry => {
+      const score = scoreEntry(entry, terms, phrase, { namesOnly });
+      if (score > 0) results.push({ ...entry.doc, score });
+    });
+    // 同点なら名前の短いもの (より直接的な一致) を先に
+    results.sort((a, b) => b.score - a.score || a.name.length - b.name.length || String(a.id).localeCompare(String(b.id)));
+    return results.slice(0, limit);
+  };
+
+  return {
+    search: (query, { limit = 30 } = {}) => run(query, { limit, namesOnly: false }),
+    suggest: (query, { limit = 6 } = {}) => run(query, { limit, namesOnly: true }),
+    add,
+    get size() { return entries.size; },
+  };
+};
+
+// ---- DB 側の検索 (検索バンドルがないとき) ----
+// spots.search_key: 名前・国名・カテゴリ名はローマ字キーも並べ、解説 (全言語) と合わせて normalizeText でそろえたもの。
+// リポジトリが書き込みのたびに付け直し (既存の行は geovoice update search-keys)、
+// search_spots (supabase/migrations/20261018000600) が部分一致と pg_trgm の類似度 (綴り間違い) で候補を引く
+
+const DESCRIPTION_COLUMNS = ['description', ...Object.keys(LANGUAGES).map(l => `description_${l}`)];
+
+// search_key を作るのに使う列
+export const SEARCH_KEY_FIELDS = [...SEARCH_MATCH_COLUMNS, 'category', ...DESCRIPTION_COLUMNS];
+
+export const touchesSearchKey = (patch) => SEARCH_KEY_FIELDS.some(f => f in patch);
+
+export const spotSearchKey = (spot) => {
+  const category = spot.category || 'history';
+  const labels = [
+    ...[spot.name, ...Object.keys(LANGUAGES).map(l => spot[`name_${l}`])].map(stripTag),
+    spot.country, ...Object.keys(LANGUAGES).map(l => spot[`country_${l}`]),
+    category, ...(CATEGORY_KEYWORDS[category] || []),
+  ].filter(Boolean);
+  const words = labels.flatMap(label => {
+    const norm = normalizeText(label);
+    return [norm, romajiKey(norm), ...tokenize(norm).map(romajiKey)];
+  });
+  const descriptions = DESCRIPTION_COLUMNS.map(c => normalizeText(String(spot[c] || '').slice(0, SEARCH_DESCRIPTION_LENGTH)));
+  return unique([...words, ...descriptions]).join(' ');
+};
+
+// 入力 → search_key と照らす語 (正規化した語とそのローマ字キー)
+export const searchKeyTerms = (query) =>
+  unique(tokenize(normalizeText(query)).flatMap(t => [t, romajiKey(t)]));
+
+/**
+ * search_key に当たった語の数 (ローカルの DB 用。search_spots と同じく、部分一致か綴り間違いの範囲内なら当たり)
+ */
+export const countSearchKeyHits = (key, terms) => {
+  const words = key.split(' ');
+  return terms.filter(term => {
+    if (key.includes(term)) return true;
+    const allowance = typoAllowance(term.length);
+    if (allowance === 0 || !isLatin(term)) return false;
+    return words.some(w => isLatin(w) && (editDistance(term, w, allowance) <= allowance
+      || (w.length > term.length && editDistance(term, w.slice(0, term.length), allowance) <= allowance)));
+  }).length;
+};
@@ -3,4 +3,5 @@ import { createClient } from '@supabase/supabase-js';
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
 const supabaseKey = import.meta.env.VITE_SUPABASE_KEY;
 
-export const supabase = createClient(supabaseUrl, supabaseKey);
\ No newline at end of file
+// ローカルバックエンド(VITE_DATA_BACKEND=local)ではURL未設定のことがあるのでnullにしておく
+export const supabase = supabaseUrl ? createClient(supabaseUrl, supabaseKey) : null;
@@ -0,0 +1,23 @@
+// src/tours/tourStore.js
+// ユーザーが作ったツアーの保存先 (この端末の localStorage)
+
+const STORAGE_KEY = 'geovoice-tours';
+
+export const listUserTours = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+  } catch (e) {
+    console.warn('Tour load error', e);
+    return [];
+  }
+};
+
+const saveAll = (tours) => localStorage.setItem(STORAGE_KEY, JSON.stringify(tours));
+
+export const saveUserTour = (tour) => {
+  const tours = listUserTours().filter(t => t.id !== tour.id);
+  saveAll([tour, ...tours]);
+  return tour;
+};
+
+export const deleteUserTour = (id) => saveAll(listUserTours().filter(t => t.id !== id));
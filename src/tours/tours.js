@@ -0,0 +1,49 @@
+// src/tours/tours.js
+// ツアー: 順番の決まった複数スポットを、読み上げながら巡るルート
+//   { id, title, description, premium, camera, stops: [{ spotId | spotName, narration, camera }] }
+//   - title / description / narration は文字列か言語別 ({ ja, en, ... })。narration がない停留所はスポットの解説を読む
+//   - spotName は組み込みツアー用 (IDはDBごとに違うので名前で引く)
+//   - camera: { zoom, pitch, bearing, dwell }。dwell は読み上げ後に次へ進むまでの秒数。ツアー全体の既定 → 停留所ごとの順に上書き
+//     指定のない zoom / pitch / bearing はライドのカメラワーク (src/camera/choreography.js) に任せる
+
+import { BUILT_IN_TOURS } from '../data/tours.js';
+
+export const DEFAULT_STOP_CAMERA = { dwell: 3 };
+
+export const stopCamera = (tour, stop) => ({ ...DEFAULT_STOP_CAMERA, ...tour.camera, ...stop.camera });
+
+export const localizedText = (value, lang) => {
+  if (!value) return '';
+  if (typeof value === 'string') return value;
+  return value[lang] || value.ja || Object.values(value)[0] || '';
+};
+
+// 表示言語の差し替えがなければスポットの解説を読む (ほかの言語の文を別の言語の声で読まないように)
+export const stopNarration = (stop, lang) =>
+  (typeof stop.narration === 'string' ? stop.narration : stop.narration?.[lang]) || null;
+
+export const isBuiltInTour = (id) => BUILT_IN_TOURS.some(t => t.id === id);
+
+export const findTour = (id, userTours = []) =>
+  BUILT_IN_TOURS.find(t => t.id === id) || userTours.find(t => t.id === id) || null;
+
+/**
+ * 停留所のスポットIDを決める。名前で書かれた停留所は findSpotIdByName で引き、見つからないものは飛ばす
+ */
+export const resolveTourStops = async (tour, findSpotIdByName) => {
+  const stops = await Promise.all(tour.stops.map(async (stop) => {
+    if (stop.spotId != null) return stop;
+    const spotId = await findSpotIdByName(stop.spotName).catch(() => null);
+    if (spotId == null) console.warn(`Tour stop not found: ${stop.spotName}`);
+    return spotId == null ? null : { ...stop, spotId };
+  }));
+  return { ...tour, stops: stops.filter(Boolean) };
+};
+
+// お気に入りなどのスポット一覧から、その順番で回るツアーを作る
+export const createTourFromSpots = (spots, { title }) => ({
+  id: `user-${Date.now().toString(36)}`,
+  title,
+  createdAt: new Date().toISOString(),
+  stops: spots.map(s => ({ spotId: s.id })),
+});
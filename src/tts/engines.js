@@ -0,0 +1,191 @@
+// src/tts/engines.js
+// 読み上げエンジン。どれも同じ形で、narrator.js から切り替えて使う
+//   id / label
+//   listVoices(lang) → [{ id, label }]  (設定で言語ごとに選ぶ声)
+//   speak(text, { lang, voice, volume, cacheKey, connect }, { onStart, onEnd, onError }) → { pause, resume, cancel }
+//     connect(audioElement): 音声ファイルを鳴らす <audio> をミキサー (src/audio/audioEngine.js) につなぐ。つないだら volume は使わない
+//       戻り値の関数 (切り離し) は、鳴らし終わり・エラー・cancel のときに呼ぶ
+//     onError(code): 'not-allowed' は自動再生がブロックされたとき (タップで再生し直す)
+//
+//   webspeech : 端末の音声 (window.speechSynthesis)
+//   neural    : サーバーで合成した音声ファイル (server/ の /narrate)。cacheKey があればスポット+言語ごとに保存して使い回す
+//   silent    : 音を出さず、読み上げたのと同じくらい待つだけ (字幕だけで見る・音声のない端末・開発用)
+// 前もって作った音声ファイル (geovoice render narration の audio_url_<lang>) は playRecording で直接鳴らす
+
+import { LANGUAGES, estimateSpeechSeconds } from '../data/languages.js';
+import { listNarrationVoices, narrate } from '../api/geovoiceApi.js';
+import { getCachedNarration, putCachedNarration } from './narrationCache.js';
+
+const speechLocale = (lang) => (LANGUAGES[lang] || LANGUAGES.ja).locale.replace('_', '-');
+
+// ---- 端末の音声 ----
+
+// ブラウザによっては長い文を途中で打ち切るので、文の切れ目で短く分けて順に読む
+const MAX_CHUNK = 160;
+
+export const splitSentences = (text) => {
+  const sentences = text.match(/.+?(?:[。！？]|[.!?](?=\s|$)|$)\s*/gs) || [];
+  const chunks = [];
+  for (const sentence of sentences) {
+    // 1文が長すぎるときは読点で、それでも長ければ文字数で切る
+    const parts = sentence.length <= MAX_CHUNK ? [sentence] : sentence.match(new RegExp(`.{1,${MAX_CHUNK}}(?:[、,]\\s*|$)|.{1,${MAX_CHUNK}}`, 'gs'));
+    for (const part of parts) {
+      const last = chunks.length - 1;
+      if (last >= 0 && chunks[last].length + part.length <= MAX_CHUNK) chunks[last] += part;
+      else chunks.push(part);
+    }
+  }
+  return chunks.map(c => c.trim()).filter(Boolean);
+};
+
+// getVoices() は最初は空のことがあるので voiceschanged を少し待つ
+const loadSystemVoices = () => new Promise((resolve) => {
+  const voices = window.speechSynthesis?.getVoices() || [];
+  if (voices.length > 0 || !window.speechSynthesis) return resolve(voices);
+  const timer = setTimeout(() => resolve(window.speechSynthesis.getVoices()), 1500);
+  window.speechSynthesis.addEventListener('voiceschanged', () => { clearTimeout(timer); resolve(window.speechSynthesis.getVoices()); }, { once: true });
+});
+
+export const createWebSpeechEngine = () => ({
+  id: 'webspeech',
+  label: '端末の音声',
+  listVoices: async (lang) => {
+    const prefix = lang === 'zh' ? 'zh' : lang;
+    return (await loadSystemVoices())
+      .filter(v => v.lang.replace('_', '-').toLowerCase().startsWith(prefix))
+      .map(v => ({ id: v.voiceURI, label: `${v.name}${v.localService ? '' : ' (オンライン)'}` }));
+  },
+  speak: (text, { lang, voice, volume = 1 }, { onStart, onEnd, onError }) => {
+    const synth = window.speechSynthesis;
+    const systemVoice = voice ? synth.getVoices().find(v => v.voiceURI === voice) : null;
+    const chunks = splitSentences(text);
+    let cancelled = false;
+
+    const speakChunk = (index) => {
+      if (cancelled) return;
+      if (index >= chunks.length) { onEnd(); return; }
+      const utterance = new SpeechSynthesisUtterance(chunks[index]);
+      utterance.lang = speechLocale(lang);
+      if (systemVoice) utterance.voice = systemVoice;
+      utterance.volume = volume;
+      if (index === 0) utterance.onstart = () => onStart();
+      utterance.onend = () => speakChunk(index + 1);
+      // cancel() で止めたときの 'interrupted' / 'canceled' は失敗扱いしない
+      utterance.onerror = (e) => { if (!cancelled) { cancelled = true; onError(e.error); } };
+      synth.speak(utterance);
+    };
+
+    synth.cancel();
+    if (chunks.length === 0) { setTimeout(onEnd, 0); return { pause() {}, resume() {}, cancel() {} }; }
+    speakChunk(0);
+    return {
+      pause: () => synth.pause(),
+      resume: () => synth.resume(),
+      cancel: () => { cancelled = true; synth.cancel(); },
+    };
+  },
+});
+
+// ---- 音声ファイルの再生 ----
+
+// load() で Blob (か URL) を用意してから <audio> で鳴らす。用意している間に cancel されたら鳴らさない
+const playAudio = (load, { volume = 1, connect = null }, { onStart, onEnd, onError }) => {
+  let audio = null;
+  let url = null;
+  let cancelled = false;
+  let paused = false;
+  let disconnect = null;
+  const release = () => {
+    if (url) URL.revokeObjectURL(url);
+    url = null;
+    disconnect?.();
+    disconnect = null;
+  };
+
+  load().then(source => {
+    if (cancelled) return;
+    if (typeof source !== 'string') url = URL.createObjectURL(source);
+    audio = new Audio();
+    // 別オリジン (CDN) の音声は CORS で読まないと、ミキサーにつないだときに無音になる。src より先に設定する
+    audio.crossOrigin = 'anonymous';
+    audio.src = url || source;
+    disconnect = connect?.(audio) || null;
+    if (!disconnect) audio.volume = volume;
+    audio.onended = () => { release(); if (!cancelled) onEnd(); };
+    audio.onerror = () => { release(); if (!cancelled) onError('audio'); };
+    if (paused) return;
+    audio.play().then(() => { if (!cancelled) onStart(); }).catch(e => {
+      release();
+      if (!cancelled) onError(e.name === 'NotAllowedError' ? 'not-allowed' : 'audio');
+    });
+  }).catch(e => {
+    if (cancelled) return;
+    console.warn('Narration error', e);
+    onError('synthesis');
+  });
+
+  return {
+    pause: () => { paused = true; audio?.pause(); },
+    resume: () => { paused = false; audio?.play().catch(() => {}); },
+    cancel: () => { cancelled = true; audio?.pause(); release(); },
+  };
+};
+
+// 前もって作った音声ファイルをそのまま (ストリーミングで) 鳴らす
+export const playRecording = (audioUrl, options, handlers) => playAudio(async () => audioUrl, options, handlers);
+
+const base64ToBlob = (base64, mimeType) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new Blob([bytes], { type: mimeType });
+};
+
+// ---- サーバーで合成した音声 ----
+
+export const createNeuralEngine = ({ synthesize = narrate, listVoices = listNarrationVoices } = {}) => {
+  const voiceLists = {};
+  return {
+    id: 'neural',
+    label: '高音質 (オンライン)',
+    listVoices: (lang) => {
+      voiceLists[lang] ||= listVoices(lang)
+        .then(({ voices }) => voices.map(v => ({ id: v, label: v })))
+        .catch(e => { delete voiceLists[lang]; throw e; });
+      return voiceLists[lang];
+    },
+    speak: (text, { lang, voice, volume, cacheKey, connect }, handlers) => playAudio(async () => {
+      const meta = { text, engine: 'neural', voice };
+      const cached = cacheKey ? await getCachedNarration(cacheKey, meta) : null;
+      if (cached) return cached;
+      const { audio, mimeType } = await synthesize(text, lang, voice);
+      const blob = base64ToBlob(audio, mimeType);
+      if (cacheKey) putCachedNarration(cacheKey, blob, meta);
+      return blob;
+    }, { volume, connect }, handlers),
+  };
+};
+
+// ---- 音声なし ----
+
+export const createSilentEngine = () => ({
+  id: 'silent',
+  label: '音声なし (字幕のみ)',
+  listVoices: async () => [],
+  speak: (text, { lang }, { onStart, onEnd }) => {
+    let remaining = estimateSpeechSeconds(text, lang) * 1000;
+    let startedAt = 0;
+    let timer = null;
+    const run = () => { startedAt = Date.now(); timer = setTimeout(onEnd, remaining); };
+    timer = setTimeout(() => { onStart(); run(); }, 0);
+    return {
+      pause: () => { clearTimeout(timer); if (startedAt) remaining -= Date.now() - startedAt; },
+      resume: () => run(),
+      cancel: () => clearTimeout(timer),
+    };
+  },
+});
+
+export const TTS_ENGINES = [createWebSpeechEngine(), createNeuralEngine(), createSilentEngine()];
+
+export const findEngine = (id) => TTS_ENGINES.find(e => e.id === id) || TTS_ENGINES[0];
@@ -0,0 +1,34 @@
+// src/tts/narrationCache.js
+// 合成した読み上げ音声の保存先 (IndexedDB の narration)。
+// スポット+言語ごとに1件だけ持ち、文・エンジン・声のどれかが変わっていたら作り直す
+
+import { getItem, putItem, count, clearStore } from '../offline/db.js';
+
+// 文の指紋 (FNV-1a)。保存済みの音声が今の文のものか確かめる用
+export const textHash = (text) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) h = Math.imul(h ^ text.charCodeAt(i), 0x01000193) >>> 0;
+  return h.toString(16).padStart(8, '0');
+};
+
+export const narrationKey = (spotId, lang) => `${spotId}:${lang}`;
+
+// 使える音声があれば Blob、なければ null
+export const getCachedNarration = async (key, { text, engine, voice }) => {
+  try {
+    const entry = await getItem('narration', key);
+    if (!entry || entry.hash !== textHash(text) || entry.engine !== engine || entry.voice !== (voice || null)) return null;
+    return entry.blob;
+  } catch (e) {
+    console.warn('Narration cache error', e);
+    return null;
+  }
+};
+
+export const putCachedNarration = (key, blob, { text, engine, voice }) =>
+  putItem('narration', { key, hash: textHash(text), engine, voice: voice || null, blob, savedAt: Date.now() })
+    .catch(e => console.warn('Narration cache error', e));
+
+export const countCachedNarration = () => count('narration');
+
+export const clearCachedNarration = () => clearStore('narration');
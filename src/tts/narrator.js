@@ -0,0 +1,71 @@
+// src/tts/narrator.js
+// 読み上げの再生係。同時に読むのは1つだけで、新しく読み始めたら前のものは止める
+//   speech: 文字列か [{ text, cacheKey, audioUrl }] (ライドの移動の一言 + 解説 のように分けて渡すと、解説だけ保存して使い回せる)
+//           audioUrl があれば (geovoice render narration で作った音声) エンジンより優先して鳴らす
+//   prefs : src/tts/voicePrefs.js の設定 (エンジンと言語ごとの声)
+//   connect: 音声ファイルの <audio> をミキサーにつなぐ関数 (src/tts/engines.js)
+
+import { findEngine, playRecording } from './engines.js';
+import { voiceFor } from './voicePrefs.js';
+
+const RECORDED = 'recorded';
+
+export const createNarrator = () => {
+  let current = null; // { playback, paused }
+
+  const cancel = () => {
+    current?.playback?.cancel();
+    current = null;
+  };
+
+  const speak = (speech, { lang, prefs, volume, connect }, { onStart, onEnd, onError }) => {
+    cancel();
+    const segments = (typeof speech === 'string' ? [{ text: speech }] : speech).filter(s => s?.text);
+    const session = { playback: null, paused: false, started: false };
+    current = session;
+    const preferred = findEngine(prefs.engine);
+
+    // engine を省くと、音声ファイルがあればそれ (RECORDED)、なければ設定のエンジンで読む
+    const play = (index, engine = null) => {
+      if (current !== session) return;
+      if (index >= segments.length) { current = null; onEnd(); return; }
+      const { text, cacheKey, audioUrl } = segments[index];
+      const using = engine || (audioUrl && preferred.id !== 'silent' ? RECORDED : preferred);
+      const handlers = {
+        onStart: () => {
+          if (current !== session || session.started) return;
+          session.started = true;
+          onStart();
+        },
+        onEnd: () => play(index + 1),
+        onError: (code) => {
+          if (current !== session) return;
+          // 音声ファイルが取れない・高音質の音声が使えない (未ログイン・オフライン・上限など) ときは、次の手段で読み直す
+          const fallback = using === RECORDED ? preferred : using.id === 'neural' ? findEngine('webspeech') : null;
+          if (code !== 'not-allowed' && fallback) {
+            console.warn(`🔈 ${using === RECORDED ? 'recorded' : using.id} narration unavailable (${code}), falling back to ${fallback.id}`);
+            play(index, fallback);
+            return;
+          }
+          current = null;
+          onError(code);
+        },
+      };
+      session.playback = using === RECORDED
+        ? playRecording(audioUrl, { volume, connect }, handlers)
+        : using.speak(text, { lang, voice: voiceFor(prefs, using.id, lang), volume, cacheKey, connect }, handlers);
+    };
+
+    if (segments.length === 0) { current = null; onEnd(); return; }
+    play(0);
+  };
+
+  return {
+    speak,
+    cancel,
+    pause: () => { if (!current) return; current.paused = true; current.playback?.pause(); },
+    resume: () => { if (!current) return; current.paused = false; current.playback?.resume(); },
+    isSpeaking: () => current !== null,
+    isPaused: () => Boolean(current?.paused),
+  };
+};
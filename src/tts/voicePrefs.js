@@ -0,0 +1,29 @@
+// src/tts/voicePrefs.js
+// 読み上げの設定 (この端末の localStorage)
+//   { engine: 'webspeech' | 'neural' | 'silent', voices: { [engine]: { [lang]: 声のID } } }
+
+const STORAGE_KEY = 'geovoice-voice';
+
+export const DEFAULT_VOICE_PREFS = { engine: 'webspeech', voices: {} };
+
+export const loadVoicePrefs = () => {
+  try {
+    return { ...DEFAULT_VOICE_PREFS, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') };
+  } catch (e) {
+    console.warn('Voice prefs load error', e);
+    return DEFAULT_VOICE_PREFS;
+  }
+};
+
+export const saveVoicePrefs = (prefs) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(prefs));
+  return prefs;
+};
+
+export const voiceFor = (prefs, engine, lang) => prefs.voices?.[engine]?.[lang] || null;
+
+// 言語ごとの声を変えた設定を返す (保存はしない)
+export const withVoice = (prefs, engine, lang, voice) => ({
+  ...prefs,
+  voices: { ...prefs.voices, [engine]: { ...prefs.voices?.[engine], [lang]: voice || undefined } },
+});
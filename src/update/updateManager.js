@@ -0,0 +1,48 @@
+// src/update/updateManager.js
+// 新しいバージョン (Service Worker) を適用するときの調整役。
+// Globe が「今は再生中・ライド中」かどうかと、画面の状態 (スナップショット) を登録し、
+// UpdatePrompt が更新のタイミングを決める。リロード前に状態を sessionStorage に退避し、リロード後に Globe が復元する
+
+const RESTORE_KEY = 'geovoice-restore';
+const RESTORE_MAX_AGE_MS = 10 * 60 * 1000; // 古すぎる退避データは使わない
+
+let busy = false;
+const busyListeners = new Set();
+let snapshotProvider = null;
+
+// 読み上げ・ライド・BGM のどれかが動いている間は true
+export const reportBusy = (value) => {
+  if (busy === value) return;
+  busy = value;
+  busyListeners.forEach(cb => cb(busy));
+};
+
+export const isAppBusy = () => busy;
+
+export const onBusyChange = (callback) => {
+  busyListeners.add(callback);
+  return () => busyListeners.delete(callback);
+};
+
+export const registerSnapshot = (provider) => {
+  snapshotProvider = provider;
+  return () => { if (snapshotProvider === provider) snapshotProvider = null; };
+};
+
+export const saveSnapshotForReload = () => {
+  if (!snapshotProvider) return;
+  try {
+    sessionStorage.setItem(RESTORE_KEY, JSON.stringify({ ...snapshotProvider(), savedAt: Date.now() }));
+  } catch (e) { console.warn('Snapshot save error', e); }
+};
+
+// 一度読んだら消す (通常のリロードでは復元しない)
+export const takeRestoredSnapshot = () => {
+  try {
+    const raw = sessionStorage.getItem(RESTORE_KEY);
+    if (!raw) return null;
+    sessionStorage.removeItem(RESTORE_KEY);
+    const snapshot = JSON.parse(raw);
+    return Date.now() - snapshot.savedAt < RESTORE_MAX_AGE_MS ? snapshot : null;
+  } catch { return null; }
+};
@@ -0,0 +1,10 @@
+-- spots への書き込みを server/ と tools/ (サービスロールキー) だけにする。
+-- サービスロールは RLS を通らないので、ブラウザ (匿名キー・ログインユーザー) には読み取りだけを許す
+
+alter table public.spots enable row level security;
+
+drop policy if exists "spots_select_all" on public.spots;
+create policy "spots_select_all" on public.spots for select to anon, authenticated using (true);
+
+-- 以前の「誰でも書ける」ポリシーが残っていても効かないよう、権限そのものを外す
+revoke insert, update, delete on table public.spots from anon, authenticated;
@@ -0,0 +1,7 @@
+-- geovoice check coords が書く列。hidden のスポットは地球儀・ライド・検索に出さない
+alter table public.spots
+  add column if not exists hidden boolean not null default false,
+  add column if not exists coord_issue text;
+
+-- 地球儀の表示範囲の読み込み (listSpotsInBounds) 用
+create index if not exists spots_lat_lon_idx on public.spots (lat, lon);
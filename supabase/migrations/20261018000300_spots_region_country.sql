@@ -0,0 +1,8 @@
+-- gen landmarks が書く region と、geovoice update countries が書く国コード・各言語の国名
+alter table public.spots
+  add column if not exists region text,
+  add column if not exists country_code text,
+  add column if not exists country_en text,
+  add column if not exists country_zh text,
+  add column if not exists country_es text,
+  add column if not exists country_fr text;
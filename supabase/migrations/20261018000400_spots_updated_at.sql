@@ -0,0 +1,46 @@
+-- スポット一覧のバンドル (geovoice export spots) を書き出した後の変更を、アプリが差分で取れるようにする。
+-- updated_at は更新のたびにトリガーで進め、削除したスポットは spot_deletions に残す
+
+alter table public.spots
+  add column if not exists updated_at timestamptz not null default now();
+
+create index if not exists spots_updated_at_idx on public.spots (updated_at);
+
+create or replace function public.spots_touch_updated_at() returns trigger
+language plpgsql as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists spots_touch_updated_at on public.spots;
+create trigger spots_touch_updated_at before update on public.spots
+  for each row execute function public.spots_touch_updated_at();
+
+create table if not exists public.spot_deletions (
+  id bigint primary key,
+  deleted_at timestamptz not null default now()
+);
+
+create index if not exists spot_deletions_deleted_at_idx on public.spot_deletions (deleted_at);
+
+alter table public.spot_deletions enable row level security;
+
+drop policy if exists "spot_deletions_select_all" on public.spot_deletions;
+create policy "spot_deletions_select_all" on public.spot_deletions for select to anon, authenticated using (true);
+
+revoke insert, update, delete on table public.spot_deletions from anon, authenticated;
+
+create or replace function public.spots_record_deletion() returns trigger
+language plpgsql security definer set search_path = public as $$
+begin
+  insert into public.spot_deletions (id) values (old.id)
+    on conflict (id) do update set deleted_at = now();
+  return old;
+end;
+$$;
+
+drop trigger if exists spots_record_deletion on public.spots;
+create trigger spots_record_deletion after delete on public.spots
+  for each row execute function public.spots_record_deletion();
@@ -0,0 +1,12 @@
+-- geovoice render narration が書く、前もって作った読み上げ音声の URL と長さ (秒)。言語ごと
+alter table public.spots
+  add column if not exists audio_url_ja text,
+  add column if not exists audio_url_en text,
+  add column if not exists audio_url_zh text,
+  add column if not exists audio_url_es text,
+  add column if not exists audio_url_fr text,
+  add column if not exists audio_duration_ja real,
+  add column if not exists audio_duration_en real,
+  add column if not exists audio_duration_zh real,
+  add column if not exists audio_duration_es real,
+  add column if not exists audio_duration_fr real;
@@ -0,0 +1,29 @@
+-- 検索タブ (検索バンドルがないとき) の DB 検索。
+-- search_key はアプリと tools/ が src/search/spotSearch.js の spotSearchKey で作って書き込む
+-- (かな → ローマ字・繁体字 → 簡体字などの正規化は JS 側。既存の行は geovoice update search-keys で付ける)
+
+create extension if not exists pg_trgm;
+
+alter table public.spots
+  add column if not exists search_key text;
+
+create index if not exists spots_search_key_trgm_idx on public.spots using gin (search_key gin_trgm_ops);
+
+-- terms (正規化した語とそのローマ字キー) のどれかが、部分一致か綴り間違いの範囲 (word_similarity) で当たるスポット。
+-- 当たりのよい順に max_rows 件。順位は呼び出し側 (createSpotSearchIndex) で付け直す
+create or replace function public.search_spots(terms text[], max_rows integer default 100)
+returns setof public.spots
+language sql stable as $$
+  select s.*
+  from public.spots s
+  where s.hidden is not true
+    and s.search_key is not null
+    and exists (
+      select 1 from unnest(terms) t
+      where s.search_key like '%' || t || '%' or t <% s.search_key
+    )
+  order by (select sum(word_similarity(t, s.search_key)) from unnest(terms) t) desc, s.id
+  limit max_rows;
+$$;
+
+grant execute on function public.search_spots(text[], integer) to anon, authenticated;
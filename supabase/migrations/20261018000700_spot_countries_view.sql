@@ -0,0 +1,8 @@
+-- ヒストリーライドの国の選択肢 (listCountryNames)。全件を読まずに、表示中のスポットの country_ja だけを重複なしで返す
+create or replace view public.spot_countries
+with (security_invoker = true) as
+  select distinct country_ja
+  from public.spots
+  where hidden is not true and country_ja is not null;
+
+grant select on public.spot_countries to anon, authenticated;
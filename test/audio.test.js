@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { audioDuration, mimeTypeOfFile } from "../tools/lib/audio.js";
+import { pruneNarrationFiles } from "../tools/commands/render-narration.js";
+
+// 16bit モノラル 8000Hz の WAV (byteRate 16000)
+function wav(dataBytes) {
+  const bytes = new Uint8Array(44 + dataBytes);
+  const view = new DataView(bytes.buffer);
+  const ascii = (offset, text) => [...text].forEach((ch, i) => { bytes[offset + i] = ch.charCodeAt(0); });
+  ascii(0, "RIFF"); view.setUint32(4, 36 + dataBytes, true); ascii(8, "WAVE");
+  ascii(12, "fmt "); view.setUint32(16, 16, true); view.setUint16(20, 1, true); view.setUint16(22, 1, true);
+  view.setUint32(24, 8000, true); view.setUint32(28, 16000, true); view.setUint16(32, 2, true); view.setUint16(34, 16, true);
+  ascii(36, "data"); view.setUint32(40, dataBytes, true);
+  return bytes;
+}
+
+test("WAV の長さはヘッダーから求める", () => {
+  assert.equal(audioDuration(wav(32000), "audio/wav"), 2);
+});
+
+test("MP3 の長さは最初のフレームのビットレートから求める", () => {
+  // MPEG-1 Layer III 128kbps のフレームヘッダー + 合計 32000 バイト → 2秒
+  const bytes = new Uint8Array(32000);
+  bytes.set([0xff, 0xfb, 0x90, 0x00]);
+  assert.equal(audioDuration(bytes, "audio/mpeg"), 2);
+});
+
+test("知らない形式・読めないデータは null", () => {
+  assert.equal(audioDuration(new Uint8Array(100), "audio/ogg"), null);
+  assert.equal(audioDuration(new Uint8Array(100), "audio/mpeg"), null);
+});
+
+test("mimeTypeOfFile は拡張子から", () => {
+  assert.equal(mimeTypeOfFile("1-ja-abc.mp3"), "audio/mpeg");
+  assert.equal(mimeTypeOfFile("1-ja-abc.WAV"), "audio/wav");
+  assert.equal(mimeTypeOfFile("1-ja-abc.ogg"), null);
+});
+
+test("どのスポットも指していない音声ファイルだけを消す", () => {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), "narration-"));
+  try {
+    const files = ["0123456789abcdef.mp3", "fedcba9876543210.mp3", "1111111111111111.wav", "README.txt"];
+    fs.mkdirSync(path.join(outDir, "ja"));
+    files.forEach(name => fs.writeFileSync(path.join(outDir, "ja", name), ""));
+    const spots = [
+      { id: 1, audio_url_ja: "/narration/ja/0123456789abcdef.mp3" },
+      { id: 2, audio_url_ja: "/narration/ja/1111111111111111.wav" },
+      { id: 3, audio_url_ja: null },
+    ];
+    assert.equal(pruneNarrationFiles({ outDir, baseUrl: "/narration", langs: ["ja", "en"], spots }), 1);
+    assert.deepEqual(fs.readdirSync(path.join(outDir, "ja")).sort(), ["0123456789abcdef.mp3", "1111111111111111.wav", "README.txt"]);
+  } finally {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  }
+});
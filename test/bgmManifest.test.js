@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { validateBgmManifest } from "../src/audio/bgmManifest.js";
+import { spotMusicProfile } from "../src/audio/bgmSelector.js";
+
+const track = { id: "a", title: "A", artist: "X", genre: "Chill", url: "/bgm/a.mp3", mood: "calm", tempo: 90, energy: 0.3 };
+
+test("正しい一覧はエラーなし", () => {
+  assert.deepEqual(validateBgmManifest({ tracks: [track] }), []);
+});
+
+test("同梱の src/data/bgm.json は形式が正しい", () => {
+  const manifest = JSON.parse(readFileSync(new URL("../src/data/bgm.json", import.meta.url), "utf8"));
+  assert.deepEqual(validateBgmManifest(manifest), []);
+});
+
+test("必須項目の欠け・id の重複・範囲外の値を見つける", () => {
+  const errors = validateBgmManifest({
+    tracks: [track, { ...track }, { ...track, id: "b", url: "bgm/b.mp3" }, { ...track, id: "c", mood: "sad", energy: 2 }, { id: "d" }],
+  });
+  assert.equal(errors.length, 5);
+  assert.match(errors[0], /id が重複/);
+  assert.match(errors[1], /\/bgm\//);
+  assert.match(errors[2], /mood/);
+  assert.match(errors[3], /energy/);
+  assert.match(errors[4], /title, artist, genre, url/);
+});
+
+test("fileExists で public/ にないファイルを見つける", () => {
+  const errors = validateBgmManifest({ tracks: [track] }, { fileExists: () => false });
+  assert.deepEqual(errors, ["tracks[0] (a): ファイルがありません (public/bgm/a.mp3)"]);
+  assert.deepEqual(validateBgmManifest({}), ["tracks がありません"]);
+});
+
+test("おまかせ選曲の好みは同梱の曲にあるジャンル・mood だけを使う", () => {
+  const { tracks } = JSON.parse(readFileSync(new URL("../src/data/bgm.json", import.meta.url), "utf8"));
+  const genres = new Set(tracks.map(t => t.genre));
+  const moods = new Set(tracks.map(t => t.mood));
+  const places = [{ lat: 35, lon: 135, country_ja: "日本" }, { lat: 40, lon: -100 }, { lat: 48, lon: 2 }, { lat: 0, lon: 30 }, { lat: -30, lon: 150 }];
+  const spots = ["nature", "history", "landmark", "modern", "science", "art"].flatMap(category =>
+    places.flatMap(place => [300, 1600, 1900, 2000].map(year => ({ ...place, category, year, name: "棚田の village" }))));
+  [null, ...spots].forEach(spot => {
+    const profile = spotMusicProfile(spot);
+    Object.keys(profile.genres).forEach(genre => assert.ok(genres.has(genre), genre));
+    profile.moods.forEach(mood => assert.ok(moods.has(mood), mood));
+  });
+});
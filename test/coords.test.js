@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createCountryLocator } from "../tools/lib/countries.js";
+import { checkSpotCoordinates, computeRegionCenters } from "../tools/lib/coords.js";
+
+const locator = createCountryLocator();
+const check = (spot, regionCenters = new Map()) => checkSpotCoordinates(spot, { locator, regionCenters });
+const types = (result) => result.issues.map(i => i.type);
+
+test("正しい座標は問題なし", () => {
+  assert.deepEqual(check({ lat: 35.0394, lon: 135.7292, country_ja: "日本" }).issues, []);
+});
+
+test("緯度と経度が逆なら直した座標を添える", () => {
+  const result = check({ lat: 135.7292, lon: 35.0394, country_ja: "日本" });
+  assert.deepEqual(types(result), ["swapped"]);
+  assert.deepEqual(result.issues[0].suggestion, { lat: 35.0394, lon: 135.7292 });
+});
+
+test("海の上は error。自然スポットは warning", () => {
+  const atlantic = { lat: 30, lon: -40, country: "Spain" };
+  assert.deepEqual(check(atlantic).issues.map(i => [i.type, i.severity]), [["ocean", "error"]]);
+  assert.deepEqual(check({ ...atlantic, category: "nature" }).issues.map(i => [i.type, i.severity]), [["ocean", "warning"]]);
+});
+
+test("宣言された国の外なら country_mismatch", () => {
+  const result = check({ lat: 48.8584, lon: 2.2945, country_ja: "日本" }); // パリ
+  assert.deepEqual(types(result), ["country_mismatch"]);
+  assert.equal(result.issues[0].severity, "error");
+});
+
+test("同じ region のスポット群から離れていれば region_outlier", () => {
+  const kyoto = [
+    { lat: 35.0394, lon: 135.7292 }, { lat: 34.9949, lon: 135.785 }, { lat: 35.0345, lon: 135.7182 },
+  ].map(s => ({ ...s, country: "Japan", region: "Kansai" }));
+  const sapporo = { lat: 43.0618, lon: 141.3545, country: "Japan", region: "Kansai" };
+  const centers = computeRegionCenters([...kyoto, sapporo]);
+  const result = check(sapporo, centers);
+  assert.deepEqual(result.issues.map(i => [i.type, i.severity]), [["region_outlier", "warning"]]);
+  assert.deepEqual(check(kyoto[0], centers).issues, []);
+});
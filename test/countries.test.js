@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createCountryLocator, existingJapaneseNames, countryFields, UNKNOWN_COUNTRY_JA } from "../tools/lib/countries.js";
+
+const locator = createCountryLocator();
+
+test("日本語の国名は通称 (ロシア連邦ではなくロシア)", () => {
+  assert.equal(locator.locate(55.75, 37.62).names.ja, "ロシア"); // モスクワ
+  assert.equal(locator.locate(40.71, -74.0).names.ja, "アメリカ"); // ニューヨーク
+});
+
+test("国名はどの言語・略称でも国コードになる", () => {
+  assert.equal(locator.codeForName("Japan"), "JP");
+  assert.equal(locator.codeForName("日本"), "JP");
+  assert.equal(locator.codeForName("米国"), "US");
+  assert.equal(locator.codeForName("アメリカ合衆国"), "US");
+  assert.equal(locator.codeForName(""), null);
+});
+
+test("existingJapaneseNames は国ごとに一番多い表記を選ぶ", () => {
+  const spots = [
+    { country_ja: "アメリカ合衆国" }, { country_ja: "アメリカ合衆国" }, { country_ja: "アメリカ" },
+    { country_ja: UNKNOWN_COUNTRY_JA }, { country_ja: null },
+  ];
+  const names = existingJapaneseNames(spots, locator.codeForName);
+  assert.equal(names.get("US"), "アメリカ合衆国");
+  assert.equal(names.size, 1);
+});
+
+test("countryFields: 国が決まらなければ国名の列をすべて空にする", () => {
+  assert.deepEqual(countryFields(null), {
+    country: null, country_ja: UNKNOWN_COUNTRY_JA, country_code: null,
+    country_en: null, country_zh: null, country_es: null, country_fr: null,
+  });
+});
+
+test("countryFields: 既存の日本語表記があればそれを使う", () => {
+  const match = locator.locate(40.71, -74.0);
+  const fields = countryFields(match, { namesJa: new Map([["US", "アメリカ合衆国"]]) });
+  assert.equal(fields.country_ja, "アメリカ合衆国");
+  assert.equal(fields.country_code, "US");
+  assert.equal(fields.country_en, fields.country);
+  assert.equal(countryFields(match).country_ja, "アメリカ");
+});
@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeName, findDuplicateClusters, chooseSurvivor, buildMergePatch } from "../tools/lib/dedup.js";
+
+test("normalizeName はタグ・記号・カタカナの違いをそろえる", () => {
+  assert.equal(normalizeName("金閣寺 #世界遺産"), "金閣寺");
+  assert.equal(normalizeName("エッフェル塔"), normalizeName("えっふぇる塔"));
+  assert.equal(normalizeName("Kinkaku-ji"), "kinkakuji");
+});
+
+test("近くにある似た名前のスポットを1つのクラスタにする", () => {
+  const spots = [
+    { id: 1, name: "Kinkaku-ji", lat: 35.0394, lon: 135.7292 },
+    { id: 2, name: "Kinkakuji Temple", lat: 35.0395, lon: 135.7293 },
+    { id: 3, name: "Ryoan-ji", lat: 35.0345, lon: 135.7182 },
+    { id: 4, name: "Kinkaku-ji", lat: 43.0, lon: 141.0 }, // 同名でも遠い
+  ];
+  const clusters = findDuplicateClusters(spots);
+  assert.equal(clusters.length, 1);
+  assert.deepEqual(clusters[0].members.map(m => m.id).sort(), [1, 2]);
+  assert.equal(clusters[0].confidence, "high");
+});
+
+test("残すのは情報の多いスポット。空欄は他から埋め、解説は長い方を使う", () => {
+  const rich = { id: 2, name: "金閣寺", description: "短い", image_url: "a.jpg", name_en: "Kinkaku-ji" };
+  const poor = { id: 1, name: "金閣寺", description: "こちらの方が長い解説", year: 1397 };
+  const survivor = chooseSurvivor([poor, rich]);
+  assert.equal(survivor.id, 2);
+  assert.deepEqual(buildMergePatch(survivor, [poor]), { description: "こちらの方が長い解説", year: 1397 });
+});
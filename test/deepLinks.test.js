@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spotPath, cameraPath, historyTourPath, tourPath, parseDeepLink } from "../src/links/deepLinks.js";
+
+const parse = (url) => {
+  const { pathname, search } = new URL(url, "https://geovoice.example");
+  return parseDeepLink({ pathname, search });
+};
+
+test("組み立てた URL を読み戻すと同じ状態になる", () => {
+  assert.deepEqual(parse(spotPath(12, "en")), { lang: "en", spotId: 12, camera: null, historyTour: null, tourId: null });
+  assert.equal(parse(spotPath(12, "ja")).spotId, 12);
+  assert.deepEqual(parse(cameraPath({ latitude: 35.012345, longitude: 135.765432, zoom: 6.5 }, "ja")).camera, { latitude: 35.0123, longitude: 135.7654, zoom: 6.5 });
+  assert.deepEqual(parse(historyTourPath({ year: "1600", era: "AD", country: "日本" })).historyTour, { year: "1600", era: "AD", country: "日本" });
+  assert.equal(parse(tourPath("japan-highlights", "fr")).tourId, "japan-highlights");
+});
+
+test("対応していない言語は無視する (継承プロパティ名も)", () => {
+  assert.equal(parse("/spot/1?lang=xx").lang, null);
+  assert.equal(parse("/spot/1?lang=constructor").lang, null);
+  assert.equal(parse("/spot/1?lang=__proto__").lang, null);
+  assert.equal(parse("/de/spot/1").lang, null);
+});
+
+test("範囲外の座標・おかしな年は捨てる", () => {
+  assert.equal(parse("/@95,10,3z").camera, null);
+  assert.equal(parse("/tour/history?year=abc&era=XX").historyTour.year, "");
+  assert.equal(parse("/tour/history?era=XX").historyTour.era, "AD");
+});
+
+test("壊れたパーセントエンコードでも例外にせずその部分を無視する", () => {
+  assert.deepEqual(parse("/x%E0%A4%A"), { lang: null, spotId: null, camera: null, historyTour: null, tourId: null });
+  assert.deepEqual(parse("/en/spot/%E0%A4%A"), { lang: "en", spotId: null, camera: null, historyTour: null, tourId: null });
+  assert.equal(parse("/spot/%E0%A4%A").spotId, null);
+  assert.equal(parse("/tour/%E0%A4%A?lang=fr").tourId, null);
+  assert.equal(parse("/tour/%E0%A4%A?lang=fr").lang, "fr");
+});
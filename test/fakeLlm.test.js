@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createLlm } from "../src/ai/llm.js";
+import { generateJson } from "../src/ai/responses.js";
+import { REGION_LIST_SCHEMA, LANDMARK_SPOTS_SCHEMA, HERITAGE_TRANSLATION_SCHEMA, TRANSLATION_SCHEMA } from "../src/ai/schemas.js";
+
+const llm = createLlm({ LLM_PROVIDER: "fake" });
+
+test("fake プロバイダーは呼び出しのスキーマに合った応答を返す", async () => {
+  const model = llm.model("generate");
+  assert.deepEqual(await generateJson(model, "areas", REGION_LIST_SCHEMA), ["Fake Region"]);
+  const [spot] = await generateJson(model, "landmarks", LANDMARK_SPOTS_SCHEMA);
+  assert.equal(spot.name, "Fake Spot");
+  assert.deepEqual(Object.keys(await generateJson(llm.model("translate"), "translate", TRANSLATION_SCHEMA)).sort(), ["description", "name"]);
+});
+
+test("プロンプトの ID ごとに翻訳を返す", async () => {
+  const rows = await generateJson(llm.model("translate"), "ID: 3\nName: A\n\nID: 7\nName: B", HERITAGE_TRANSLATION_SCHEMA);
+  assert.deepEqual(rows.map(r => r.id), [3, 7]);
+});
+
+test("サーバー用の設定は VITE_ なしで読む (旧名も読める)", () => {
+  assert.equal(createLlm({ LLM_PROVIDER: "fake", LLM_MODEL_YEAR: "gemini:gemini-2.5-flash" }).assignments.find(a => a.task === "year").provider, "gemini");
+  assert.equal(createLlm({ VITE_LLM_PROVIDER: "fake" }).assignments[0].provider, "fake");
+});
@@ -0,0 +1,18 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Buffer } from "node:buffer";
+import { Readable } from "node:stream";
+import { readJson } from "../server/lib/http.js";
+
+const request = (text) => Readable.from(text === "" ? [] : [Buffer.from(text)]);
+
+test("JSON のオブジェクトはそのまま、空の本文は {} になる", async () => {
+  assert.deepEqual(await readJson(request('{"theme":"城"}')), { theme: "城" });
+  assert.deepEqual(await readJson(request("")), {});
+});
+
+test("オブジェクト以外の本文や壊れた JSON は 400", async () => {
+  for (const text of ["null", "[]", "42", '"text"', "true", "{"]) {
+    await assert.rejects(readJson(request(text)), { status: 400 }, text);
+  }
+});
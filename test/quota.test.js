@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createQuota } from "../server/lib/quota.js";
+
+const user = { id: "u1", email: "someone@example.com" };
+
+test("上限に達したら 429。払い戻すと枠が戻る", () => {
+  const quota = createQuota({ generate: 2 });
+  quota.reserve(user, "generate");
+  const refund = quota.reserve(user, "generate");
+  assert.throws(() => quota.reserve(user, "generate"), { status: 429 });
+  refund();
+  refund(); // 2回呼んでも1回分だけ
+  assert.equal(quota.remaining(user, "generate"), 1);
+});
+
+test("期間が過ぎた分は数えない", () => {
+  let now = 0;
+  const quota = createQuota({ translate: 1 }, { windowMs: 1000, now: () => now });
+  quota.reserve(user, "translate");
+  assert.equal(quota.remaining(user, "translate"), 0);
+  now = 1001;
+  assert.equal(quota.remaining(user, "translate"), 1);
+});
+
+test("VIP ユーザーは無制限", () => {
+  const quota = createQuota({ generate: 0 });
+  assert.doesNotThrow(() => quota.reserve({ id: "v", email: "admin@example.com" }, "generate"));
+  assert.equal(quota.remaining({ id: "v", email: "admin@example.com" }, "generate"), null);
+});
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { planRoute, planNextStops, haversineKm } from "../src/rides/rideRouting.js";
+import { createLocalStore, createLocalSpotRepository } from "../src/repositories/localRepository.js";
+
+const CATEGORIES = ["history", "landmark", "nature", "modern", "science", "art"];
+const tokyo = { lat: 35.68, lon: 139.77, country_ja: "日本" };
+
+const catalogOf = (spots) => createLocalSpotRepository(createLocalStore({ spots }));
+const plan = (catalog, options) =>
+  planNextStops(catalog, tokyo, { mode: "nearest", categories: CATEGORIES, visited: new Set(), fields: "*", ...options });
+
+test("planRoute は上限を超える移動をしない", () => {
+  const far = { id: 1, lat: 34.69, lon: 135.5 }; // 大阪 (約400km)
+  assert.deepEqual(planRoute(tokyo, [far], { mode: "nearest", maxHopKm: 300 }), []);
+  assert.deepEqual(planRoute(tokyo, [far], { mode: "nearest", maxHopKm: 1000 }).map(s => s.id), [1]);
+});
+
+test("範囲内に候補がなければ空 (上限を広げない)", async () => {
+  const catalog = catalogOf([{ id: 1, lat: 34.69, lon: 135.5, category: "history" }]);
+  assert.deepEqual(await plan(catalog, { maxHopKm: 300 }), []);
+});
+
+test("id 順の上限で打ち切られる密集地でも近いスポットから選ぶ", async () => {
+  // id の小さい方に遠いスポット (上限 500 件を超える数) を、最後に近いスポットを置く
+  const spots = Array.from({ length: 600 }, (_, i) => ({ id: i + 1, lat: 35.68 + 0.3 + (i % 30) * 0.001, lon: 139.77 + Math.floor(i / 30) * 0.001, category: "history" }));
+  spots.push({ id: 999, lat: 35.681, lon: 139.771, category: "history" });
+  const [first] = await plan(catalogOf(spots), { maxHopKm: 1000 });
+  assert.equal(first.id, 999);
+});
+
+test("近くが全部訪問済みでも上限の範囲内なら遠くのスポットを見つける", async () => {
+  const spots = Array.from({ length: 600 }, (_, i) => ({ id: i + 1, lat: 35.68 + (i % 30) * 0.001, lon: 139.77 + Math.floor(i / 30) * 0.001, category: "history" }));
+  spots.push({ id: 999, lat: 34.69, lon: 135.5, category: "history" });
+  const visited = new Set(spots.filter(s => s.id !== 999).map(s => String(s.id)));
+  const route = await plan(catalogOf(spots), { maxHopKm: 1000, visited });
+  assert.deepEqual(route.map(s => s.id), [999]);
+  assert.ok(haversineKm(tokyo, route[0]) <= 1000);
+});
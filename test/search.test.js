@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeText, romajiKey } from "../src/search/normalize.js";
+import { createSpotSearchIndex, toSearchDocument, searchSourceFields, spotSearchKey, searchKeyTerms, countSearchKeyHits } from "../src/search/spotSearch.js";
+import { createLocalStore, createLocalSpotRepository } from "../src/repositories/localRepository.js";
+
+test("normalizeText は全角・大文字・アクセント・カタカナ・繁体字をそろえる", () => {
+  assert.equal(normalizeText("ＫＹＯＴＯ"), "kyoto");
+  assert.equal(normalizeText("Kyōto"), "kyoto");
+  assert.equal(normalizeText("キョウト"), "きようと".replace("よ", "ょ"));
+  assert.equal(normalizeText("臺灣"), "台湾");
+  assert.equal(normalizeText("Kinkaku-ji"), "kinkaku ji");
+});
+
+test("romajiKey でかなとローマ字を同じキーにする", () => {
+  assert.equal(romajiKey(normalizeText("きょうと")), romajiKey(normalizeText("Kyoto")));
+  assert.equal(romajiKey(normalizeText("にほんばし")), romajiKey(normalizeText("Nihombashi")));
+});
+
+const spots = [
+  { id: 1, name: "金閣寺 #世界遺産", name_en: "Kinkaku-ji", country_ja: "日本", country: "Japan", country_fr: "Japon", category: "history", description: "京都の寺院" },
+  { id: 2, name: "Eiffel Tower", name_ja: "エッフェル塔", country_ja: "フランス", country: "France", category: "landmark" },
+];
+const index = createSpotSearchIndex(spots.map(s => toSearchDocument(s, "en")));
+
+test("全言語の名前・綴り間違い・かなで引ける", () => {
+  assert.equal(index.search("kinkaku ji")[0].id, 1);
+  assert.equal(index.search("Eifel")[0].id, 2);
+  assert.equal(index.search("えっふぇる")[0].id, 2);
+});
+
+test("国名はどの言語の列でも引ける", () => {
+  assert.deepEqual(index.search("Japon").map(r => r.id), [1]);
+  assert.deepEqual(index.search("フランス").map(r => r.id), [2]);
+});
+
+test("表示用の名前はタグを落とした表示言語のもの", () => {
+  const [doc] = index.suggest("金閣寺");
+  assert.equal(doc.name, "Kinkaku-ji");
+  assert.ok(doc.names.includes("金閣寺"));
+});
+
+test("DB から取る列に全言語の国名が入っている", () => {
+  const fields = searchSourceFields("en").split(", ");
+  ["country", "country_ja", "country_en", "country_zh", "country_es", "country_fr", "description_en"].forEach(f => assert.ok(fields.includes(f), f));
+});
+
+test("search_key はローマ字キー・カテゴリ名・全言語の解説を含む", () => {
+  const key = spotSearchKey(spots[0]);
+  assert.ok(key.includes("kinkakuji"));
+  assert.ok(key.includes(normalizeText("世界遺産"))); // タグは落とすが、history のカテゴリ名として入る
+  assert.ok(key.includes(normalizeText("京都の寺院")));
+  const hits = (query) => countSearchKeyHits(key, searchKeyTerms(query));
+  assert.ok(hits("きんかくじ") > 0);
+  assert.ok(hits("Kinkakyji") > 0); // 綴り間違い
+  assert.equal(hits("Eiffel"), 0);
+});
+
+test("バンドルがないときの DB 検索 (ローカル) も、かな・繁体字・綴り間違い・解説・カテゴリで引ける", async () => {
+  const repository = createLocalSpotRepository(createLocalStore({
+    spots: [...structuredClone(spots), { id: 3, name: "台北101 #世界一", name_zh: "臺北101", country_ja: "台湾", category: "modern", hidden: false }, { id: 4, name: "隠した金閣寺", hidden: true }],
+  }));
+  const ids = async (text) => (await repository.searchSpots({ text, fields: "id" })).map(s => s.id);
+  assert.deepEqual(await ids("えっふぇる"), [2]);
+  assert.deepEqual(await ids("Eifel"), [2]);
+  assert.deepEqual(await ids("臺北"), [3]);
+  assert.deepEqual(await ids("寺院"), [1]);
+  assert.deepEqual(await ids("monument"), [2]);
+  assert.deepEqual(await ids("金閣寺"), [1]); // hidden は除く
+  assert.deepEqual(await ids(""), []);
+});
@@ -0,0 +1,58 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { loadSpotCatalog, loadSearchDocuments, spotToFeature } from "../src/repositories/spotBundle.js";
+import { createLocalStore, createLocalSpotRepository } from "../src/repositories/localRepository.js";
+import { toSearchDocument } from "../src/search/spotSearch.js";
+
+const exportedAt = "2026-01-01T00:00:00.000Z";
+const before = "2025-12-01T00:00:00.000Z";
+const spots = [
+  { id: 1, name: "金閣寺", name_en: "Kinkaku-ji", lat: 35.04, lon: 135.73, category: "history", created_at: before, updated_at: before },
+  { id: 2, name: "東京タワー", name_en: "Tokyo Tower", lat: 35.66, lon: 139.75, category: "modern", created_at: before, updated_at: before },
+  { id: 3, name: "富士山", name_en: "Mount Fuji", lat: 35.36, lon: 138.73, category: "nature", created_at: before, updated_at: before },
+];
+
+// public/spots/ の代わり
+const serveBundle = () => {
+  const files = {
+    "/spots/manifest.json": { version: "test", createdAt: exportedAt, categories: { all: { file: "all.geojson" } }, search: { en: { file: "search.en.json" } } },
+    "/spots/all.geojson": { type: "FeatureCollection", features: spots.map(spotToFeature) },
+    "/spots/search.en.json": spots.map(s => toSearchDocument(s, "en")),
+  };
+  globalThis.fetch = async (url) => (files[url]
+    ? { ok: true, json: async () => structuredClone(files[url]) }
+    : { ok: false, status: 404 });
+};
+
+const originalFetch = globalThis.fetch;
+afterEach(() => { globalThis.fetch = originalFetch; });
+
+// 書き出し後に 1 を改名、2 を非表示、3 を削除、4 を追加した DB
+const changedRepository = async () => {
+  const repository = createLocalSpotRepository(createLocalStore({ spots: structuredClone(spots) }));
+  await repository.updateSpot(1, { name: "金閣寺 (鹿苑寺)", name_en: "Rokuon-ji" });
+  await repository.updateSpot(2, { hidden: true });
+  await repository.deleteSpots([3]);
+  await repository.insertSpots([{ name: "清水寺", name_en: "Kiyomizu-dera", lat: 34.99, lon: 135.78, category: "history" }]);
+  return repository;
+};
+
+test("地球儀のバンドルに書き出し後の更新・非表示・削除・追加を反映する", async () => {
+  serveBundle();
+  const catalog = await loadSpotCatalog(await changedRepository());
+  const rows = await catalog.listSpots({ fields: "id, name" });
+  assert.deepEqual(rows.map(r => [r.id, r.name]), [[1, "金閣寺 (鹿苑寺)"], [4, "清水寺"]]);
+});
+
+test("検索用ドキュメントにも同じ変更を反映する", async () => {
+  serveBundle();
+  const documents = await loadSearchDocuments(await changedRepository(), "en");
+  assert.deepEqual(documents.map(d => [d.id, d.name]), [[1, "Rokuon-ji"], [4, "Kiyomizu-dera"]]);
+});
+
+test("バンドルがなければ地球儀は DB をそのまま使い、検索は null (DB で検索する)", async () => {
+  globalThis.fetch = async () => ({ ok: false, status: 404 });
+  const repository = createLocalSpotRepository(createLocalStore({ spots: structuredClone(spots) }));
+  assert.equal(await loadSpotCatalog(repository), repository);
+  assert.equal(await loadSearchDocuments(repository, "en"), null);
+});
@@ -0,0 +1,92 @@
+import fs from "fs";
+import path from "path";
+import { createCountryLocator } from "../lib/countries.js";
+import { checkSpotCoordinates, computeRegionCenters } from "../lib/coords.js";
+
+// ※ Supabase の spots には coord_issue / hidden (--queue / --hide 用) と、gen landmarks が書く region の列が必要
+//   (supabase/migrations/ の 20261018000200_spots_hidden_coord_issue.sql と 20261018000300_spots_region_country.sql)
+
+const REPORT_PATH = path.join(".geovoice", "coords-report.json");
+
+export default {
+  name: "check coords",
+  description: "座標のおかしいスポット（国外・海上・緯度経度の逆転・地域から離れすぎ）を洗い出す",
+  options: {
+    "fix-swapped": { type: "boolean", default: false }, // 緯度経度の逆転は自動で直す
+    queue: { type: "boolean", default: false },          // coord_issue 列に問題を書いて修正待ちにする
+    hide: { type: "boolean", default: false },           // error のスポットを地球儀から隠す (hidden = true)
+    "border-km": { type: "string", default: "25" },    // 国境からこの距離以内のずれは warning 扱い
+    "region-km": { type: "string", default: "300" },   // 同じ region の中心からこの距離以上で warning
+  },
+  async run(ctx) {
+    const borderKm = Number(ctx.flags["border-km"]);
+    const regionKm = Number(ctx.flags["region-km"]);
+    if (!(borderKm >= 0) || !(regionKm > 0)) throw new Error("--border-km / --region-km は正の数で指定してください");
+
+    // 海岸線ぎりぎりの灯台・港などを海上扱いしないよう 5km までは陸に寄せる
+    const locator = createCountryLocator({ snapKm: 5 });
+
+    console.log("🧭 スポットの座標をチェック中...");
+    const spots = await ctx.selectSpots({ fields: "id, name, lat, lon, category, country, country_ja, country_code, region, coord_issue, hidden" });
+    const regionCenters = computeRegionCenters(spots);
+
+    const results = spots.map(spot => ({ spot, ...checkSpotCoordinates(spot, { locator, regionCenters, borderKm, regionKm }) }));
+    const flagged = results.filter(r => r.issues.length > 0);
+
+    // --- レポート ---
+    const counts = {};
+    flagged.forEach(r => r.issues.forEach(i => { counts[i.type] = (counts[i.type] || 0) + 1; }));
+    flagged.slice(0, 50).forEach(r => {
+      const mark = r.issues.some(i => i.severity === "error") ? "❌" : "⚠️";
+      console.log(`${mark} [${r.spot.id}] ${r.spot.name.split("#")[0].trim()} (${r.spot.lat}, ${r.spot.lon}) : ${r.issues.map(i => i.message).join(" / ")}`);
+    });
+    if (flagged.length > 50) console.log(`   ...ほか ${flagged.length - 50} 件 (レポートを参照)`);
+    console.log("---------------------------------------------------");
+    console.log(`📋 ${spots.length}件中 ${flagged.length}件に問題: ${Object.entries(counts).map(([t, n]) => `${t} ${n}`).join(" / ") || "なし"}`);
+
+    fs.mkdirSync(path.dirname(REPORT_PATH), { recursive: true });
+    fs.writeFileSync(REPORT_PATH, JSON.stringify({
+      createdAt: new Date().toISOString(),
+      total: spots.length,
+      counts,
+      spots: flagged.map(r => ({
+        id: r.spot.id, name: r.spot.name, lat: r.spot.lat, lon: r.spot.lon,
+        declared: r.spot.country_ja || r.spot.country || null,
+        located: r.located?.names.ja || null,
+        issues: r.issues,
+      })),
+    }, null, 2));
+    console.log(`💾 レポート: ${REPORT_PATH}`);
+
+    const { queue, hide } = ctx.flags;
+    const fixSwapped = ctx.flags["fix-swapped"];
+    if (!queue && !hide && !fixSwapped) {
+      console.log("👉 --fix-swapped / --queue / --hide を付けるとDBに反映します。");
+      return;
+    }
+
+    // --- DBへの反映 ---
+    // 問題が解消したスポット (以前 coord_issue が付いていたもの) は印を外して表示に戻す
+    const updates = results.map(r => {
+      const patch = {};
+      const swapped = r.issues.find(i => i.type === "swapped");
+      const remaining = fixSwapped && swapped ? r.issues.filter(i => i !== swapped) : r.issues;
+      if (fixSwapped && swapped) Object.assign(patch, swapped.suggestion);
+      const issue = remaining.map(i => i.type).join(",") || null;
+      // --hide でも coord_issue は書く (次回、解消したときに表示へ戻すための印)
+      if ((queue || hide) && (r.spot.coord_issue || null) !== issue) patch.coord_issue = issue;
+      if (hide) {
+        const shouldHide = remaining.some(i => i.severity === "error");
+        if (Boolean(r.spot.hidden) !== shouldHide && (shouldHide || r.spot.coord_issue)) patch.hidden = shouldHide;
+      }
+      return { spot: r.spot, patch };
+    }).filter(u => Object.keys(u.patch).length > 0);
+
+    const summary = await ctx.runBatch(updates, async ({ spot, patch }) => {
+      await ctx.spots.updateSpot(spot.id, patch);
+      return { status: "updated", message: Object.entries(patch).map(([k, v]) => `${k}=${v}`).join(" ") };
+    }, { describe: ({ spot }) => `ID ${spot.id}`, key: ({ spot }) => spot.id });
+
+    ctx.printSummary(summary);
+  },
+};
@@ -0,0 +1,34 @@
+export default {
+  name: "check models",
+  description: "タスクごとのモデル割り当てと、各プロバイダーで利用できるモデルを一覧表示する",
+  async run(ctx) {
+    const { assignments } = ctx.llm;
+
+    console.log("🧭 === タスクごとのモデル割り当て ===");
+    assignments.forEach(a => console.log(`  ${a.task.padEnd(10)} → ${a.provider}:${a.model}`));
+
+    for (const provider of ctx.llm.providers()) {
+      console.log(`\n🔍 [${provider.name}] 利用可能なモデルを問い合わせ中...`);
+      let models;
+      try {
+        models = await provider.listModels();
+      } catch (e) {
+        console.error(`❌ [${provider.name}] 取得できませんでした: ${e.message}`);
+        continue;
+      }
+
+      console.log(`✅ === ${provider.name} で利用可能なモデル一覧 (${models.length}件) ===`);
+      const used = assignments.filter(a => a.provider === provider.name);
+      models.forEach(model => {
+        const tasks = used.filter(a => a.model === model).map(a => a.task);
+        console.log(`Model: ${model}${tasks.length > 0 ? `  ← ${tasks.join(", ")}` : ""}`);
+      });
+      // 割り当てたのに一覧にないモデルは設定ミスの可能性が高い
+      used.filter(a => !models.includes(a.model)).forEach(a => {
+        console.warn(`⚠️ ${a.task} に割り当てた ${a.model} は ${provider.name} の一覧にありません`);
+      });
+    }
+
+    console.log("\n💡 ヒント: .env の LLM_MODEL_<TASK> (例: LLM_MODEL_TRANSLATE=gemini-2.5-flash) で切り替えられます。");
+  },
+};
@@ -0,0 +1,60 @@
+import fs from "fs";
+import { ask } from "../lib/cli.js";
+import { buildMergePatch } from "../lib/dedup.js";
+import { DEFAULT_REPORT_PATH } from "./dedup-scan.js";
+
+export default {
+  name: "dedup merge",
+  description: "dedup scan のレポートに従って重複スポットを統合する（お気に入りは残す側へ付け替え）",
+  options: {
+    report: { type: "string", default: DEFAULT_REPORT_PATH },
+    yes: { type: "boolean", default: false }, // 確認を省略する（スクリプト用）
+  },
+  async run(ctx) {
+    if (!fs.existsSync(ctx.flags.report)) {
+      throw new Error(`レポートがありません: ${ctx.flags.report} (先に 'geovoice dedup scan' を実行してください)`);
+    }
+    const report = JSON.parse(fs.readFileSync(ctx.flags.report, "utf8"));
+    const targets = report.clusters.filter(c => c.merge);
+    const removeCount = targets.reduce((sum, c) => sum + c.duplicates.length, 0);
+    console.log(`📋 レポート (${report.createdAt}) から ${targets.length}グループ / ${removeCount}件を統合します。`);
+    if (targets.length === 0) return;
+
+    if (!ctx.flags.dryRun && !ctx.flags.yes) {
+      const answer = await ask("⚠️  統合された側のスポットは削除されます。実行しますか？ (yes/no): ");
+      if (answer.toLowerCase() !== "yes") {
+        console.log("キャンセルしました。");
+        return;
+      }
+    }
+
+    const summary = await ctx.runBatch(targets, async (cluster) => {
+      // レポート作成後に変わっているかもしれないので、最新の内容を取り直す
+      const ids = [cluster.survivor.id, ...cluster.duplicates.map(d => d.id)];
+      const spots = await ctx.spots.listSpots({ ids });
+      const survivor = spots.find(s => s.id === cluster.survivor.id);
+      if (!survivor) return { status: "failed", message: `残す側 [${cluster.survivor.id}] が見つかりません` };
+      const duplicates = spots.filter(s => s.id !== survivor.id);
+      if (duplicates.length === 0) return { status: "skipped", message: "統合済み" };
+
+      // 1. 空欄・短い解説を重複側の内容で補う
+      const patch = buildMergePatch(survivor, duplicates);
+      if (Object.keys(patch).length > 0) await ctx.spots.updateSpot(survivor.id, patch);
+
+      // 2. お気に入りを付け替えてから 3. 重複側を削除 (先に消すとお気に入りも消えるため)
+      const duplicateIds = duplicates.map(d => d.id);
+      const moved = await ctx.users.moveFavorites(duplicateIds, survivor.id);
+      await ctx.spots.deleteSpots(duplicateIds);
+
+      return {
+        status: "updated",
+        message: `[${survivor.id}] ← ${duplicateIds.join(",")} (補完 ${Object.keys(patch).length}項目 / お気に入り ${moved}件)`,
+      };
+    }, {
+      describe: (cluster) => cluster.survivor.name.substring(0, 15),
+      key: (cluster) => [cluster.survivor.id, ...cluster.duplicates.map(d => d.id)].join(","),
+    });
+
+    ctx.printSummary(summary);
+  },
+};
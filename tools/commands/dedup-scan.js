@@ -0,0 +1,68 @@
+import fs from "fs";
+import path from "path";
+import { findDuplicateClusters, chooseSurvivor, distanceKm, spotSimilarity, NAME_FIELDS } from "../lib/dedup.js";
+
+export const DEFAULT_REPORT_PATH = path.join(".geovoice", "dedup-report.json");
+
+// 一覧表示用に名前をまとめる ("姫路城 / Himeji Castle")
+const label = (spot) => [...new Set(NAME_FIELDS.map(f => spot[f]).filter(Boolean))].slice(0, 2).join(" / ");
+
+export default {
+  name: "dedup scan",
+  description: "近くにある似た名前のスポットを重複候補としてレポートに書き出す",
+  options: {
+    radius: { type: "string", default: "2" },       // 候補にする距離 (km)
+    threshold: { type: "string", default: "0.6" },  // 名前の類似度のしきい値 (0〜1)
+    report: { type: "string", default: DEFAULT_REPORT_PATH },
+  },
+  async run(ctx) {
+    const radiusKm = Number(ctx.flags.radius);
+    const threshold = Number(ctx.flags.threshold);
+    if (!(radiusKm > 0)) throw new Error(`--radius は正の数で指定してください: ${ctx.flags.radius}`);
+    if (!(threshold >= 0 && threshold <= 1)) throw new Error(`--threshold は 0〜1 で指定してください: ${ctx.flags.threshold}`);
+
+    console.log("🔍 重複候補をスキャン中...");
+    // 残すスポットは埋まっている列・解説の長さ (dedup.js の richness) で選ぶので、全列を取る
+    const spots = await ctx.selectSpots();
+    const clusters = findDuplicateClusters(spots, { radiusKm, threshold });
+
+    const report = {
+      createdAt: new Date().toISOString(),
+      radiusKm,
+      threshold,
+      // merge: false にしたクラスタは dedup merge で統合しない (確信度 low は最初から false)
+      clusters: clusters.map(({ members, confidence }, i) => {
+        const survivor = chooseSurvivor(members);
+        return {
+          cluster: i + 1,
+          merge: confidence === "high",
+          confidence,
+          survivor: { id: survivor.id, name: label(survivor) },
+          duplicates: members.filter(m => m.id !== survivor.id).map(m => ({
+            id: m.id,
+            name: label(m),
+            distanceKm: Math.round(distanceKm(survivor, m) * 100) / 100,
+            similarity: Math.round(spotSimilarity(survivor, m) * 100) / 100,
+          })),
+        };
+      }),
+    };
+
+    // --- レビュー用の一覧 ---
+    report.clusters.forEach(c => {
+      const mark = c.confidence === "high" ? "🟢" : "🟡要確認";
+      console.log(`\n#${c.cluster} ${mark}  ★ [${c.survivor.id}] ${c.survivor.name}`);
+      c.duplicates.forEach(d => console.log(`     ↳ [${d.id}] ${d.name}  (${d.distanceKm}km, 類似度 ${d.similarity})`));
+    });
+
+    const high = report.clusters.filter(c => c.merge).length;
+    const duplicateCount = report.clusters.reduce((sum, c) => sum + c.duplicates.length, 0);
+    console.log("\n---------------------------------------------------");
+    console.log(`📋 ${spots.length}件中 ${report.clusters.length}グループ (重複 ${duplicateCount}件) / うち自動統合対象 ${high}グループ`);
+
+    fs.mkdirSync(path.dirname(ctx.flags.report), { recursive: true });
+    fs.writeFileSync(ctx.flags.report, JSON.stringify(report, null, 2));
+    console.log(`💾 レポート: ${ctx.flags.report}`);
+    console.log("👉 内容を確認し、統合したくないグループは \"merge\": false、統合したい🟡は true にしてから 'geovoice dedup merge' を実行してください。");
+  },
+};
@@ -0,0 +1,66 @@
+import fs from "fs";
+import path from "path";
+import process from "process";
+import { renderSpotPage, renderSitemap, availableLanguages } from "../lib/spotPages.js";
+import { spotPath } from "../../src/links/deepLinks.js";
+
+// ビルド後 (npm run build の後) に実行する。dist/ にスポットごとのページと sitemap.xml を追加する
+//   dist/spot/123/index.html     (日本語)
+//   dist/en/spot/123/index.html  (英語など。訳がある言語だけ)
+// ※ Service Worker が入った後はアプリ本体 (index.html) が返るので、これは主に初回アクセス・SNS・検索エンジン向け
+
+const SITEMAP_MAX_URLS = 50000; // sitemap 1ファイルの上限
+
+export default {
+  name: "export pages",
+  description: "スポットごとの静的ページ (OGP・hreflang付き) と sitemap.xml をビルド済みの dist/ に書き出す",
+  options: {
+    dist: { type: "string", default: "dist" },
+    "site-url": { type: "string", default: process.env.SITE_URL || "" }, // 例: https://geovoice.example.com
+  },
+  async run(ctx) {
+    const siteUrl = ctx.flags["site-url"].replace(/\/+$/, "");
+    if (!/^https?:\/\//.test(siteUrl)) throw new Error("--site-url (または環境変数 SITE_URL) に公開URLを指定してください (OGP は絶対URLが必要です)");
+    const templatePath = path.join(ctx.flags.dist, "index.html");
+    if (!fs.existsSync(templatePath)) throw new Error(`${templatePath} がありません。先に npm run build を実行してください`);
+    const template = fs.readFileSync(templatePath, "utf8");
+
+    console.log("📄 スポットを取得中...");
+    const spots = (await ctx.spots.listSpots({
+      onProgress: (n) => process.stdout.write(`\r📥 データ読み込み中... ${n}件`),
+    })).filter(s => s.lat !== null && s.lon !== null && !s.hidden && s.name);
+    process.stdout.write("\n");
+
+    const entries = spots.map(spot => ({ spot, langs: availableLanguages(spot) }));
+    const pageCount = entries.reduce((sum, e) => sum + e.langs.length, 0);
+    console.log(`📋 ${spots.length}スポット / ${pageCount}ページ`);
+
+    if (ctx.flags.dryRun) {
+      const sample = entries[0];
+      if (sample) console.log(`🧪 --dry-run: 例 ${sample.langs.map(l => spotPath(sample.spot.id, l)).join(" ")}`);
+      return;
+    }
+
+    let written = 0;
+    entries.forEach(({ spot, langs }) => langs.forEach(lang => {
+      const dir = path.join(ctx.flags.dist, ...spotPath(spot.id, lang).split("/").filter(Boolean));
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, "index.html"), renderSpotPage(template, spot, lang, { siteUrl }));
+      written++;
+      if (written % 500 === 0) process.stdout.write(`\r💾 ${written}/${pageCount}`);
+    }));
+    process.stdout.write("\n");
+
+    if (pageCount > SITEMAP_MAX_URLS) console.warn(`⚠️ ページ数が sitemap の上限 (${SITEMAP_MAX_URLS}) を超えています。先頭の分だけ載せます`);
+    let remaining = SITEMAP_MAX_URLS;
+    const sitemapEntries = entries.map(e => {
+      const langs = e.langs.slice(0, Math.max(remaining, 0));
+      remaining -= langs.length;
+      return { ...e, langs };
+    }).filter(e => e.langs.length > 0);
+    fs.writeFileSync(path.join(ctx.flags.dist, "sitemap.xml"), renderSitemap(sitemapEntries, { siteUrl }));
+    fs.writeFileSync(path.join(ctx.flags.dist, "robots.txt"), `User-agent: *\nAllow: /\nSitemap: ${siteUrl}/sitemap.xml\n`);
+
+    console.log(`✅ ${written}ページ + sitemap.xml / robots.txt を ${ctx.flags.dist}/ に書き出しました`);
+  },
+};
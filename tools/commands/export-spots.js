@@ -0,0 +1,83 @@
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import process from "process";
+import { Buffer } from "buffer";
+import { createHash } from "crypto";
+import { BUNDLE_DIR, BUNDLE_MANIFEST, spotToFeature } from "../../src/repositories/spotBundle.js";
+import { toSearchDocument } from "../../src/search/spotSearch.js";
+import { LANGUAGES } from "../../src/data/languages.js";
+
+// 地球儀が起動時に読む静的なスポット一覧を書き出す (public/spots/)。
+// ファイル名に内容のハッシュを入れるので、中身が変わらないカテゴリはブラウザ/PWAのキャッシュがそのまま使われる
+// 検索タブ用のドキュメント (全言語の名前・国名 + その言語の解説の冒頭) も言語別に書き出す
+
+const hashOf = (text) => createHash("sha1").update(text).digest("hex").slice(0, 10);
+const kb = (bytes) => `${(bytes / 1024).toFixed(1)}KB`;
+
+export default {
+  name: "export spots",
+  description: "地球儀用の軽量スポット一覧 (カテゴリ別 GeoJSON) と検索用データ (言語別 JSON) を public/spots/ に書き出す",
+  options: {
+    out: { type: "string", default: path.join("public", BUNDLE_DIR) },
+  },
+  async run(ctx) {
+    console.log("📦 スポットを取得中...");
+    // アプリはこの時刻以降の変更 (updated_at / spot_deletions) をバンドルに重ねるので、読み込みを始める前の時刻にする
+    const createdAt = new Date().toISOString();
+    // --ids / --since で一部だけ書き出すと欠けたバンドルになるので selectSpots は使わない
+    // 検索用に全言語の名前・解説も使うので全列を取る
+    const spots = await ctx.spots.listSpots({
+      onProgress: (n) => process.stdout.write(`\r📥 データ読み込み中... ${n}件`),
+    });
+    process.stdout.write("\n");
+
+    const valid = spots.filter(s => s.lat !== null && s.lon !== null && s.lat !== 0 && s.lon !== 0 && !s.hidden);
+    const byCategory = {};
+    valid.forEach(s => {
+      const category = s.category || "history";
+      (byCategory[category] ||= []).push(spotToFeature({ ...s, category }));
+    });
+
+    const files = Object.keys(byCategory).sort().map(category => {
+      const body = JSON.stringify({ type: "FeatureCollection", features: byCategory[category] });
+      return { category, file: `${category}.${hashOf(body)}.geojson`, body, count: byCategory[category].length };
+    });
+    const searchable = valid.filter(s => s.name);
+    const searchFiles = Object.keys(LANGUAGES).map(lang => {
+      const body = JSON.stringify(searchable.map(s => toSearchDocument(s, lang)));
+      return { lang, file: `search.${lang}.${hashOf(body)}.json`, body, count: searchable.length };
+    });
+    const manifest = {
+      version: hashOf([...files, ...searchFiles].map(f => f.file).join(",")),
+      createdAt,
+      total: valid.length,
+      categories: Object.fromEntries(files.map(f => [f.category, { file: f.file, count: f.count, bytes: Buffer.byteLength(f.body) }])),
+      search: Object.fromEntries(searchFiles.map(f => [f.lang, { file: f.file, bytes: Buffer.byteLength(f.body) }])),
+    };
+
+    [...files, ...searchFiles].forEach(f => {
+      const gzip = zlib.gzipSync(f.body).length;
+      console.log(`   ${(f.category || `search:${f.lang}`).padEnd(9)} ${String(f.count).padStart(6)}件  ${kb(Buffer.byteLength(f.body))} (gzip ${kb(gzip)})  ${f.file}`);
+    });
+    console.log(`📋 ${spots.length}件中 ${valid.length}件を書き出し (除外: 座標なし・非表示 ${spots.length - valid.length}件)`);
+
+    if (ctx.flags.dryRun) {
+      console.log("🧪 --dry-run のためファイルは書き出しません。");
+      return;
+    }
+
+    const outDir = ctx.flags.out;
+    fs.mkdirSync(outDir, { recursive: true });
+    [...files, ...searchFiles].forEach(f => fs.writeFileSync(path.join(outDir, f.file), f.body));
+    fs.writeFileSync(path.join(outDir, BUNDLE_MANIFEST), JSON.stringify(manifest, null, 2));
+
+    // 前回までのバージョンのファイルを掃除
+    const current = new Set([BUNDLE_MANIFEST, ...files.map(f => f.file), ...searchFiles.map(f => f.file)]);
+    const stale = fs.readdirSync(outDir).filter(name => (name.endsWith(".geojson") || /^search\..+\.json$/.test(name)) && !current.has(name));
+    stale.forEach(name => fs.unlinkSync(path.join(outDir, name)));
+
+    console.log(`💾 ${outDir}/${BUNDLE_MANIFEST} (version ${manifest.version})${stale.length ? ` / 古いファイル ${stale.length}件を削除` : ""}`);
+    console.log("👉 デプロイ前に実行してください。書き出し後の追加・更新・削除はアプリ側でDBから反映します。");
+  },
+};
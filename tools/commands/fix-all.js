@@ -0,0 +1,100 @@
+import { isRateLimitError } from "../lib/batch.js";
+import { findSpotImage } from "../lib/images.js";
+import { generateJson } from "../../src/ai/responses.js";
+import { SPOT_ENRICHMENT_SCHEMA } from "../../src/ai/schemas.js";
+
+// API制限対策のための待機時間
+const SLEEP_MS = 2000;
+
+export default {
+  name: "fix all",
+  description: "画像・カテゴリ・5言語の解説をまとめて補完する",
+  async run(ctx) {
+    console.log("🛠️ 全スポットのデータ完全修復プロセスを開始します...");
+    const model = ctx.model("translate");
+    const allSpots = await ctx.selectSpots();
+    console.log(`📋 合計 ${allSpots.length} 件を処理します。`);
+
+    const summary = await ctx.runBatch(allSpots, async (spot) => {
+      let updates = {};
+      let statusLog = "";
+      let hasFailure = false; // 画像なし・翻訳失敗は --retry-failed の対象にする
+
+      // --- 1. 画像処理 ---
+      if (!spot.image_url) {
+        const image = await findSpotImage(spot);
+        if (image) {
+          updates.image_url = image.url;
+          statusLog += "📸画像GET ";
+        } else {
+          statusLog += "❌画像なし ";
+          hasFailure = true;
+        }
+      } else {
+        statusLog += "✅画像済 ";
+      }
+
+      // --- 2. 翻訳・解説生成 ---
+      // 解説が極端に短い、または他言語が欠けている場合に実行
+      const needsTranslation =
+        !spot.description_ja || spot.description_ja.length < 20 ||
+        !spot.description_en ||
+        !spot.description_zh ||
+        !spot.description_es ||
+        !spot.description_fr;
+
+      if (needsTranslation) {
+        try {
+          const prompt = `
+            Tourism Guide Task.
+            Spot Name: "${spot.name}"
+
+            1. Determine category: "landmark", "nature", "history", "modern", "science", or "art".
+            2. Generate interesting descriptions (100-150 chars) in 5 languages.
+
+            Output JSON ONLY:
+            {
+              "category": "category_name",
+              "ja": { "name": "日本語名", "desc": "解説" },
+              "en": { "name": "English Name", "desc": "Description" },
+              "zh": { "name": "中文名", "desc": "说明" },
+              "es": { "name": "Nombre", "desc": "Descripción" },
+              "fr": { "name": "Nom", "desc": "Description" }
+            }
+          `;
+
+          const json = await generateJson(model, prompt, SPOT_ENRICHMENT_SCHEMA);
+
+          updates = {
+            ...updates,
+            category: json.category, // カテゴリも補正
+            name_ja: json.ja.name, description_ja: json.ja.desc,
+            name_en: json.en.name, description_en: json.en.desc,
+            name_zh: json.zh.name, description_zh: json.zh.desc,
+            name_es: json.es.name, description_es: json.es.desc,
+            name_fr: json.fr.name, description_fr: json.fr.desc,
+          };
+          statusLog += "🌍翻訳完了 ";
+        } catch (e) {
+          if (isRateLimitError(e)) throw e; // 待機してこのスポットをやり直す
+          statusLog += "⚠️翻訳失敗 ";
+          hasFailure = true;
+        }
+      } else {
+        statusLog += "✅翻訳済 ";
+      }
+
+      // --- 3. 保存処理 ---
+      if (Object.keys(updates).length > 0) {
+        await ctx.spots.updateSpot(spot.id, updates);
+        statusLog += "💾保存";
+      } else {
+        statusLog += "✨更新なし";
+      }
+      if (hasFailure) return { status: "failed", message: statusLog };
+      return { status: Object.keys(updates).length > 0 ? "updated" : "skipped", message: statusLog };
+    }, { intervalMs: SLEEP_MS, describe: (spot) => spot.name.substring(0, 10) });
+
+    ctx.printSummary(summary);
+  },
+};
@@ -0,0 +1,42 @@
+// API制限対策: 少しゆっくり回す
+const INTERVAL_MS = 1000;
+
+export default {
+  name: "fix category",
+  description: "全スポットを「自然 / 歴史」にAIで分類し直す",
+  async run(ctx) {
+    console.log("🌲 全スポットの「自然 vs 歴史」判定を開始します...");
+    const model = ctx.model("categorize");
+
+    // 1. 全データを取得
+    const allSpots = await ctx.selectSpots({ fields: 'id, name, description' });
+    console.log(`📋 合計 ${allSpots.length} 件の判定を開始します`);
+
+    // 2. AI判定 & 更新
+    const summary = await ctx.runBatch(allSpots, async (item) => {
+      // 判定プロンプト
+      const prompt = `
+        Classify this tourism spot into "nature" or "history".
+        Name: "${item.name}"
+        Description: "${item.description}"
+
+        Rules:
+        - "nature": Mountains, Lakes, Forests, Oceans, Islands, National Parks, Animals, Reefs.
+        - "history": Temples, Castles, Ruins, Cities, Towers, Museums, Statues.
+
+        Output ONLY one word: "nature" or "history".
+      `;
+
+      const result = await model.generateContent(prompt);
+      const category = result.response.text().trim().toLowerCase().includes("nature") ? "nature" : "history";
+
+      // DB更新
+      await ctx.spots.updateSpot(item.id, { category: category });
+
+      const mark = category === 'nature' ? '🌲' : '🏛️';
+      return { status: "updated", message: `${mark} ${category.toUpperCase()}` };
+    }, { intervalMs: INTERVAL_MS, describe: (item) => item.name.substring(0, 15) });
+
+    ctx.printSummary(summary);
+  },
+};
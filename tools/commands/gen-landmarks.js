@@ -0,0 +1,105 @@
+import { sleep, isRateLimitError } from "../lib/batch.js";
+import { generateJson } from "../../src/ai/responses.js";
+import { REGION_LIST_SCHEMA, LANDMARK_SPOTS_SCHEMA } from "../../src/ai/schemas.js";
+
+// ★攻略対象の国リスト（ここを増やせば全世界いけます）
+const TARGET_COUNTRIES = [
+  // アジア
+  "Japan", "China", "South Korea", "Thailand", "Vietnam", "India", "Indonesia", "Singapore", "Malaysia",
+  // ヨーロッパ
+  "France", "Italy", "Spain", "United Kingdom", "Germany", "Greece", "Switzerland", "Netherlands", "Turkey",
+  // 北米・南米
+  "United States", "Canada", "Mexico", "Brazil", "Argentina", "Peru",
+  // オセアニア・その他
+  "Australia", "New Zealand", "Egypt", "South Africa", "United Arab Emirates"
+];
+
+// 1エリアあたりに取得するスポット数
+const SPOTS_PER_REGION = 12;
+
+async function getRegions(model, country) {
+  const prompt = `
+    List 10 to 15 distinct major tourist regions, cities, or prefectures in "${country}" to cover the WHOLE country evenly.
+    Output JSON list of strings only.
+    Example: ["Region A", "City B", "Province C"]
+  `;
+  return generateJson(model, prompt, REGION_LIST_SCHEMA);
+}
+
+async function getSpotsForRegion(model, country, region) {
+  const prompt = `
+    List ${SPOTS_PER_REGION} popular tourist landmarks in "${region}, ${country}".
+
+    Rules:
+    1. Specific tourist spots only (Buildings, Temples, Parks, Museums, Markets).
+    2. NO broad areas like "Downtown". Point locations only.
+    3. Category must be "landmark".
+    4. Coordinates are rough estimates.
+
+    Output JSON:
+    [
+      {
+        "name": "Name in English",
+        "name_ja": "日本語名",
+        "description_ja": "日本語の魅力的な解説(80-100文字)",
+        "category": "landmark",
+        "country": "${country}",
+        "lat": 0.0,
+        "lon": 0.0
+      }
+    ]
+  `;
+  return generateJson(model, prompt, LANDMARK_SPOTS_SCHEMA);
+}
+
+export default {
+  name: "gen landmarks",
+  description: "国ごとにエリアを分けて観光名所をAIで生成して追加する",
+  options: {
+    country: { type: "string" }, // カンマ区切りで対象国を指定 (例: Japan,France)
+  },
+  async run(ctx) {
+    console.log("🚀 世界観光名所 100本ノック・プロジェクト始動...\n");
+    const model = ctx.model("generate");
+    const countries = ctx.flags.country ? ctx.flags.country.split(",").map(c => c.trim()) : TARGET_COUNTRIES;
+
+    const summary = await ctx.runBatch(countries, async (country) => {
+      // 1. その国のエリア・都市をリストアップさせる
+      const regions = await getRegions(model, country);
+
+      // 2. エリアごとにスポットを取得して保存
+      let countryTotal = 0;
+      for (const region of regions) {
+        let spots = [];
+        try {
+          spots = await getSpotsForRegion(model, country, region);
+        } catch (e) {
+          if (isRateLimitError(e)) throw e;
+          console.error(`\n  ⚠️ スポット取得エラー (${region}):`, e.message);
+        }
+
+        for (const spot of spots) {
+          // 重複チェック
+          const existing = await ctx.spots.findSpotByName(spot.name).catch(() => null);
+          if (existing) continue;
+          // 座標0.0やカテゴリ違いは LANDMARK_SPOTS_SCHEMA の時点で弾かれている
+          try {
+            // region は check coords が「地域から離れすぎ」を判定するのに使う
+            await ctx.spots.insertSpots({ ...spot, region });
+            countryTotal++;
+          } catch {
+            // 保存失敗は飛ばして次へ
+          }
+        }
+        // API制限対策: エリアごとに少し休憩
+        await sleep(2000);
+      }
+      return countryTotal === 0
+        ? { status: "skipped", message: "新規なし" }
+        : { status: "updated", message: `${regions.length}エリア / ${countryTotal}件追加` };
+    }, { describe: (country) => country });
+
+    ctx.printSummary(summary);
+    console.log("👉 次に 'geovoice fix all' を実行して、画像取得と翻訳の仕上げを行ってください。");
+  },
+};
@@ -0,0 +1,70 @@
+import { generateJson } from "../../src/ai/responses.js";
+import { REGION_SPOTS_SCHEMA } from "../../src/ai/schemas.js";
+
+// 世界の地域リスト（網羅的に）
+const REGIONS = [
+  "North America", "South America", "Europe", "Africa",
+  "Southeast Asia", "East Asia", "Central Asia", "Middle East", "Oceania"
+];
+
+export default {
+  name: "gen nature",
+  description: "地域ごとに自然遺産スポットをAIで生成して追加する",
+  async run(ctx) {
+    console.log("🌲 自然遺産データを生成中...");
+    const model = ctx.model("generate");
+
+    // 重複チェック用：既存のスポット名を取得
+    const existingSpots = await ctx.spots.listSpots({ fields: 'name' });
+    const existingNames = new Set(existingSpots.map(s => s.name));
+
+    const summary = await ctx.runBatch(REGIONS, async (region) => {
+      const prompt = `
+        You are a nature guide. List 15 famous "Natural World Heritage Sites" (UNESCO) in ${region}.
+        Focus on landscapes, mountains, oceans, forests, and animals.
+        Strictly exclude cultural sites (temples, buildings).
+
+        Output JSON format ONLY:
+        [
+          {
+            "name": "Name (in English)",
+            "name_ja": "Name (in Japanese)",
+            "lat": 0.0,
+            "lon": 0.0,
+            "description_ja": "Japanese Description (digestible, interesting, 100 chars)",
+            "description_en": "English Description",
+            "country_ja": "Country Name in Japanese"
+          }
+        ]
+      `;
+
+      const newSpots = await generateJson(model, prompt, REGION_SPOTS_SCHEMA);
+
+      let count = 0;
+      for (const spot of newSpots) {
+        // 名前重複チェック
+        if (existingNames.has(spot.name) || existingNames.has(spot.name_ja)) continue;
+
+        // DB追加（category: 'nature' を指定）
+        await ctx.spots.insertSpots({
+          name: spot.name, // デフォルト英語
+          name_ja: spot.name_ja,
+          name_en: spot.name,
+          lat: spot.lat,
+          lon: spot.lon,
+          description: spot.description_en,
+          description_ja: spot.description_ja,
+          description_en: spot.description_en,
+          country_ja: spot.country_ja,
+          category: 'nature' // ★ここで「自然」カテゴリーを設定！
+        });
+        count++;
+        existingNames.add(spot.name);
+      }
+      return count === 0 ? { status: "skipped", message: "新規なし" } : { status: "updated", message: `${count}件追加` };
+    }, { intervalMs: 2000, describe: (region) => region });
+
+    ctx.printSummary(summary);
+    console.log("💡 続けて 'geovoice update images' を実行すると画像が入ります。");
+  },
+};
@@ -0,0 +1,92 @@
+import { generateJson } from "../../src/ai/responses.js";
+import { REGION_SPOTS_SCHEMA } from "../../src/ai/schemas.js";
+
+// 生成したいカテゴリと、AIへの命令
+const TARGETS = [
+  {
+    id: "modern",
+    label: "Modern Landmarks",
+    prompt: "List 10 famous 'Modern Landmarks' (Iconic structures built after 1850). Examples: Eiffel Tower, Statue of Liberty, Sydney Opera House, Burj Khalifa. Exclude generic office skyscrapers."
+  },
+  {
+    id: "science",
+    label: "Space & Science",
+    prompt: "List 10 famous 'Space & Science facilities'. Examples: Kennedy Space Center, CERN, Mauna Kea Observatories, Baikonur Cosmodrome."
+  },
+  {
+    id: "art",
+    label: "Museums & Art",
+    prompt: "List 10 famous 'Art Museums'. Examples: Louvre Museum, The British Museum, Metropolitan Museum of Art, Vatican Museums."
+  }
+];
+
+// 地域リスト（偏りを防ぐため）
+const REGIONS = ["Europe", "North America", "Asia", "South America", "Oceania", "Middle East"];
+
+export default {
+  name: "gen special",
+  description: "現代建築・宇宙科学・美術館カテゴリのスポットをAIで生成して追加する",
+  options: {
+    category: { type: "string" }, // modern / science / art のどれかだけ生成
+  },
+  async run(ctx) {
+    console.log("✨ 新カテゴリーのスポットを生成中...");
+    const model = ctx.model("generate");
+
+    const targets = ctx.flags.category ? TARGETS.filter(t => t.id === ctx.flags.category) : TARGETS;
+    if (targets.length === 0) throw new Error(`未知のカテゴリ: ${ctx.flags.category}`);
+
+    // 重複チェック用
+    const existingSpots = await ctx.spots.listSpots({ fields: 'name' });
+    const existingNames = new Set(existingSpots.map(s => s.name));
+
+    // カテゴリ × 地域 の組み合わせを1件ずつ処理
+    const jobs = targets.flatMap(target => REGIONS.map(region => ({ target, region })));
+
+    const summary = await ctx.runBatch(jobs, async ({ target, region }) => {
+      const prompt = `
+        You are a travel guide. ${target.prompt}
+        Location: ${region}.
+
+        Output JSON format ONLY:
+        [
+          {
+            "name": "Name (English)",
+            "name_ja": "Name (Japanese)",
+            "lat": 0.0,
+            "lon": 0.0,
+            "description_en": "Description (English)",
+            "description_ja": "Description (Japanese, 100 chars)",
+            "country_ja": "Country Name (Japanese)"
+          }
+        ]
+      `;
+
+      const newSpots = await generateJson(model, prompt, REGION_SPOTS_SCHEMA);
+
+      let count = 0;
+      for (const spot of newSpots) {
+        if (existingNames.has(spot.name) || existingNames.has(spot.name_ja)) continue;
+
+        await ctx.spots.insertSpots({
+          name: spot.name,
+          name_ja: spot.name_ja,
+          name_en: spot.name,
+          lat: spot.lat,
+          lon: spot.lon,
+          description: spot.description_en,
+          description_ja: spot.description_ja,
+          description_en: spot.description_en,
+          country_ja: spot.country_ja,
+          category: target.id // ★ここで 'modern', 'science', 'art' を保存
+        });
+        count++;
+        existingNames.add(spot.name);
+      }
+      return count === 0 ? { status: "skipped", message: "新規なし" } : { status: "updated", message: `${count}件追加` };
+    }, { intervalMs: 1500, describe: ({ target, region }) => `[${target.id}] ${region}`, key: ({ target, region }) => `${target.id}:${region}` });
+
+    ctx.printSummary(summary);
+    console.log("💡 'geovoice update images' を実行して画像を取得してください。");
+  },
+};
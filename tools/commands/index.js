@@ -0,0 +1,32 @@
+// geovoice CLI のサブコマンド一覧 (ヘルプの表示順)
+import fixAll from "./fix-all.js";
+import fixCategory from "./fix-category.js";
+import genNature from "./gen-nature.js";
+import genSpecial from "./gen-special.js";
+import genLandmarks from "./gen-landmarks.js";
+import importHeritage from "./import-heritage.js";
+import updateImages from "./update-images.js";
+import updateCountries from "./update-countries.js";
+import updateYears from "./update-years.js";
+import updateSearchKeys from "./update-search-keys.js";
+import checkCoords from "./check-coords.js";
+import translateAll from "./translate-all.js";
+import translateMissing from "./translate-missing.js";
+import dedupScan from "./dedup-scan.js";
+import dedupMerge from "./dedup-merge.js";
+import exportSpots from "./export-spots.js";
+import exportPages from "./export-pages.js";
+import renderNarration from "./render-narration.js";
+import resetSpots from "./reset-spots.js";
+import checkModels from "./check-models.js";
+import jobsList from "./jobs-list.js";
+
+export const COMMANDS = [
+  fixAll, fixCategory,
+  genNature, genSpecial, genLandmarks, importHeritage,
+  updateImages, updateCountries, updateYears, updateSearchKeys, checkCoords,
+  translateAll, translateMissing,
+  dedupScan, dedupMerge,
+  exportSpots, exportPages, renderNarration,
+  resetSpots, checkModels, jobsList,
+];
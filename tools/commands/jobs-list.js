@@ -0,0 +1,19 @@
+import { listCheckpoints } from "../lib/checkpoint.js";
+
+export default {
+  name: "jobs list",
+  description: "バッチ処理のチェックポイント（進捗・失敗件数）を一覧表示する",
+  async run() {
+    const checkpoints = listCheckpoints();
+    if (checkpoints.length === 0) {
+      console.log("チェックポイントはありません。");
+      return;
+    }
+    checkpoints.forEach(cp => {
+      const items = Object.values(cp.items);
+      const failed = items.filter(i => i.status === "failed").length;
+      const state = cp.finished ? "✅ 完了" : "⏸ 未完了";
+      console.log(`${state}  ${cp.job.padEnd(20)} 処理済み ${items.length} 件 / 失敗 ${failed} 件  (最終: ${cp.updatedAt || "-"}, 最後のID: ${cp.lastKey ?? "-"})`);
+    });
+  },
+};
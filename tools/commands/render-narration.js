@@ -0,0 +1,124 @@
+import fs from "fs";
+import path from "path";
+import process from "process";
+import { createHash } from "crypto";
+import { LANGUAGES, isLanguage } from "../../src/data/languages.js";
+import { AUDIO_EXTENSIONS, audioDuration, mimeTypeOfFile } from "../lib/audio.js";
+
+// 解説の読み上げ音声を前もって作る (public/narration/<言語>/<ハッシュ>.<拡張子>)。
+// ファイル名は「プロバイダー + 声 + 文」のハッシュなので、解説や声が変わったところだけ作り直す。
+// スポットには audio_url_<lang> と audio_duration_<lang> (秒) を記録する (spots テーブルにこの列が必要。supabase/migrations/)
+// 全件を処理したとき (--dry-run / --limit / --ids / --since なし・失敗なし) は、どのスポットも指していないファイルを消す
+// 声は言語ごとに TTS_VOICE_JA / TTS_VOICE_EN ... で指定 (なければプロバイダーの既定)
+// --base-url で CDN など別オリジンに置くときは、配信元で Access-Control-Allow-Origin (アプリのオリジン) を返すこと
+// (アプリは音声をミキサーにつなぐため CORS で読む。ヘッダーがないと再生できない)
+
+// アプリが読み上げる解説と同じ文 (日本語は description_ja がなければ description)
+export const narrationText = (spot, lang) =>
+  ((lang === "ja" ? spot.description_ja || spot.description : spot[`description_${lang}`]) || "").trim();
+
+const hashOf = (text) => createHash("sha1").update(text).digest("hex").slice(0, 16);
+const HASHED_FILE = /^[0-9a-f]{16}\./;
+
+/**
+ * outDir/<lang>/ のうち、どのスポットの audio_url_<lang> も指していないファイルを消す (解説や声を変える前の音声)。
+ * 消すのはこのコマンドが書いたハッシュ名のファイルだけ。消した数を返す
+ */
+export const pruneNarrationFiles = ({ outDir, baseUrl, langs, spots }) => {
+  let removed = 0;
+  for (const lang of langs) {
+    const dir = path.join(outDir, lang);
+    if (!fs.existsSync(dir)) continue;
+    const prefix = `${baseUrl}/${lang}/`;
+    const used = new Set(spots.map(s => s[`audio_url_${lang}`]).filter(url => url?.startsWith(prefix)).map(url => url.slice(prefix.length)));
+    for (const name of fs.readdirSync(dir)) {
+      if (used.has(name) || !HASHED_FILE.test(name)) continue;
+      fs.unlinkSync(path.join(dir, name));
+      removed++;
+    }
+  }
+  return removed;
+};
+
+export default {
+  name: "render narration",
+  description: "全スポットの解説 (description_<lang>) を読み上げ音声にして public/narration/ に書き出し、audio_url_<lang> を記録する",
+  options: {
+    out: { type: "string", default: path.join("public", "narration") },
+    "base-url": { type: "string", default: "/narration" }, // CDN などに置くときの公開URL
+    langs: { type: "string" },                             // 例: ja,en (既定: 全言語)
+    force: { type: "boolean", default: false },            // 変わっていなくても作り直す
+  },
+  async run(ctx) {
+    const langs = ctx.flags.langs ? ctx.flags.langs.split(",").map(s => s.trim()) : Object.keys(LANGUAGES);
+    const unknown = langs.filter(l => !isLanguage(l));
+    if (unknown.length > 0) throw new Error(`未知の言語: ${unknown.join(", ")} (${Object.keys(LANGUAGES).join(" / ")})`);
+
+    const tts = ctx.tts;
+    const outDir = ctx.flags.out;
+    const baseUrl = ctx.flags["base-url"].replace(/\/+$/, "");
+    const voiceOf = (lang) => process.env[`TTS_VOICE_${lang.toUpperCase()}`] || null;
+    console.log(`🔊 TTS: ${tts.name} / 言語: ${langs.map(l => `${l}${voiceOf(l) ? `(${voiceOf(l)})` : ""}`).join(", ")}`);
+
+    const spots = await ctx.selectSpots();
+    const targets = spots.filter(s => langs.some(lang => narrationText(s, lang)));
+    console.log(`📋 解説のあるスポット ${targets.length} 件 (全 ${spots.length} 件)`);
+
+    // 同じハッシュのファイルがあればそれを使う (同じ文のスポット・前回の実行分)
+    // 言語ごとのフォルダは最初に1回だけ読み、書き出したファイルは後から足す
+    const filesByLang = new Map(); // lang → Map(ハッシュ → ファイル名)
+    const filesOf = (lang) => {
+      if (!filesByLang.has(lang)) {
+        const dir = path.join(outDir, lang);
+        const names = fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+        filesByLang.set(lang, new Map(names.map(name => [name.slice(0, name.indexOf(".")), name])));
+      }
+      return filesByLang.get(lang);
+    };
+    const existingFile = (lang, hash) => filesOf(lang).get(hash) || null;
+
+    const summary = await ctx.runBatch(targets, async (spot) => {
+      const patch = {};
+      const rendered = [];
+      for (const lang of langs) {
+        const text = narrationText(spot, lang);
+        if (!text) continue;
+        const voice = voiceOf(lang);
+        const hash = hashOf(`${tts.name}\n${voice || ""}\n${text}`);
+        const currentUrl = spot[`audio_url_${lang}`];
+        let file = ctx.flags.force ? null : existingFile(lang, hash);
+        if (file && currentUrl === `${baseUrl}/${lang}/${file}` && (spot[`audio_duration_${lang}`] || !mimeTypeOfFile(file))) continue; // 変わっていない
+
+        if (!file) {
+          if (ctx.flags.dryRun) { rendered.push(`${lang}(予定)`); continue; }
+          const { audio, mimeType } = await tts.synthesize(text, { lang, voice });
+          file = `${hash}.${AUDIO_EXTENSIONS[mimeType] || "bin"}`;
+          fs.mkdirSync(path.join(outDir, lang), { recursive: true });
+          fs.writeFileSync(path.join(outDir, lang, file), audio);
+          filesOf(lang).set(hash, file);
+          rendered.push(lang);
+        }
+        // 長さを測れない形式 (.bin など) は null のまま (アプリは文字数から見積もる)
+        const mimeType = mimeTypeOfFile(file);
+        patch[`audio_url_${lang}`] = `${baseUrl}/${lang}/${file}`;
+        patch[`audio_duration_${lang}`] = mimeType ? audioDuration(new Uint8Array(fs.readFileSync(path.join(outDir, lang, file))), mimeType) : null;
+      }
+      if (Object.keys(patch).length === 0 && rendered.length === 0) return { status: "skipped", message: "変更なし" };
+      if (Object.keys(patch).length > 0) await ctx.spots.updateSpot(spot.id, patch);
+      return { status: "updated", message: rendered.length > 0 ? `🎙️ ${rendered.join(",")}` : "URLを更新" };
+    }, { describe: (spot) => (spot.name || String(spot.id)).substring(0, 10) });
+
+    ctx.printSummary(summary);
+    if (ctx.flags.dryRun) return;
+
+    // 一部だけ処理したときは、処理していないスポットがまだ古いファイルを使っているかもしれないので消さない
+    const partial = ctx.flags.limit || ctx.flags.ids.length > 0 || ctx.flags.since;
+    if (!partial && summary.failed === 0) {
+      // 今回飛ばしたスポット (前回の実行で処理済み) の URL も見るため、記録した URL を DB から読み直す
+      const current = await ctx.selectSpots({ fields: ["id", ...langs.map(l => `audio_url_${l}`)].join(", ") });
+      const removed = pruneNarrationFiles({ outDir, baseUrl, langs, spots: current });
+      if (removed > 0) console.log(`🧹 使われなくなった音声ファイルを ${removed} 件削除しました`);
+    }
+    console.log(`💾 ${outDir}/ に書き出しました。デプロイ時に一緒に公開してください。`);
+  },
+};
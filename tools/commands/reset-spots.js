@@ -0,0 +1,22 @@
+import { ask } from "../lib/cli.js";
+
+export default {
+  name: "reset spots",
+  description: "データベース上の全スポットを削除する（取り消し不可）",
+  options: {
+    yes: { type: "boolean", default: false }, // 確認を省略する（スクリプト用）
+  },
+  async run(ctx) {
+    console.log("⚠️  警告: この操作はデータベース上の全てのスポットデータを削除します。");
+    console.log("⚠️  この操作は取り消せません。");
+
+    const answer = ctx.flags.yes ? "yes" : await ask("本当に実行しますか？ (yes/no): ");
+    if (answer.toLowerCase() !== 'yes') {
+      console.log("キャンセルしました。");
+      return;
+    }
+    console.log("🗑️  全データを削除中...");
+    await ctx.spots.deleteAllSpots();
+    console.log("✅ 全削除が完了しました。");
+  },
+};
@@ -0,0 +1,49 @@
+import { generateJson } from "../../src/ai/responses.js";
+import { FIVE_LANGUAGE_SCHEMA } from "../../src/ai/schemas.js";
+
+// API制限対策: 4秒に1回ペース
+const INTERVAL_MS = 4000;
+
+export default {
+  name: "translate all",
+  description: "全スポットの名前と解説を5言語で書き直す",
+  async run(ctx) {
+    console.log("🌍 全スポットデータを取得中...");
+    const model = ctx.model("translate");
+    const allSpots = await ctx.selectSpots();
+
+    console.log(`📋 合計 ${allSpots.length} 件の翻訳チェックを開始します`);
+    console.log("🚀 開始します (中断するには Ctrl+C)...");
+
+    const summary = await ctx.runBatch(allSpots, async (item) => {
+      const prompt = `
+        You are a travel guide. Translate/Rewrite this location info into 5 languages.
+        Input Name: "${item.name}"
+        Input Desc: "${item.description}"
+
+        Output JSON ONLY format:
+        {
+          "ja": { "name": "名前", "desc": "解説(100文字程度)" },
+          "en": { "name": "Name", "desc": "Description(150 chars)" },
+          "zh": { "name": "名称", "desc": "说明" },
+          "es": { "name": "Nombre", "desc": "Descripción" },
+          "fr": { "name": "Nom", "desc": "Description" }
+        }
+      `;
+
+      const json = await generateJson(model, prompt, FIVE_LANGUAGE_SCHEMA);
+
+      // DB更新
+      await ctx.spots.updateSpot(item.id, {
+        name_ja: json.ja.name, description_ja: json.ja.desc,
+        name_en: json.en.name, description_en: json.en.desc,
+        name_zh: json.zh.name, description_zh: json.zh.desc,
+        name_es: json.es.name, description_es: json.es.desc,
+        name_fr: json.fr.name, description_fr: json.fr.desc,
+      });
+      return { status: "updated", message: json.ja.name };
+    }, { intervalMs: INTERVAL_MS, describe: (item) => `ID ${item.id}` });
+
+    ctx.printSummary(summary);
+  },
+};
@@ -0,0 +1,54 @@
+import { generateJson } from "../../src/ai/responses.js";
+import { HERITAGE_TRANSLATION_SCHEMA } from "../../src/ai/schemas.js";
+
+// 1件ずつ、5秒間隔で進む（安全第一）
+const INTERVAL_MS = 5000;
+
+export default {
+  name: "translate missing",
+  description: "英語の解説がまだないスポット（世界遺産の取り込み直後など）を4言語に翻訳する",
+  async run(ctx) {
+    console.log("🔍 翻訳対象をスキャン中...");
+    const model = ctx.model("translate");
+
+    // まだ英語が入っていないデータを抽出
+    const spots = await ctx.selectSpots();
+    const targetSpots = spots.filter(s => !s.description_en || s.description_en === "World Heritage Site");
+
+    console.log(`📋 残り ${targetSpots.length} 件の翻訳を行います。`);
+    console.log("🐢 止まらないようにゆっくり進みます (5秒間隔)...");
+
+    const summary = await ctx.runBatch(targetSpots, async (item) => {
+      const prompt = `
+        You are a translator. Translate this location data into English, Chinese (Simplified), Spanish, and French.
+
+        Input:
+        ID: ${item.id}
+        Name: ${item.name.split('#')[0].trim()}
+        Description: ${item.description}
+
+        Output JSON format ONLY:
+        [{"id": ${item.id}, "name_en": "...", "desc_en": "...", "name_zh": "...", "desc_zh": "...", "name_es": "...", "desc_es": "...", "name_fr": "...", "desc_fr": "..."}]
+
+        Rules:
+        1. Names: Append tags " #WorldHeritage" (en), " #世界遗产" (zh), " #PatrimonioMundial" (es), " #PatrimoineMondial" (fr).
+        2. Desc: Concise (under 200 chars).
+      `;
+
+      const translations = await generateJson(model, prompt, HERITAGE_TRANSLATION_SCHEMA);
+
+      // 別のスポットのIDが返ってきても上書きしない
+      for (const t of translations.filter(t => t.id === item.id)) {
+        await ctx.spots.updateSpot(t.id, {
+          name_en: t.name_en, description_en: t.desc_en,
+          name_zh: t.name_zh, description_zh: t.desc_zh,
+          name_es: t.name_es, description_es: t.desc_es,
+          name_fr: t.name_fr, description_fr: t.desc_fr
+        });
+      }
+      return { status: "updated" };
+    }, { intervalMs: INTERVAL_MS, describe: (item) => item.name.substring(0, 10) });
+
+    ctx.printSummary(summary);
+  },
+};
@@ -0,0 +1,42 @@
+import { createCountryLocator, countryFields, existingJapaneseNames, UNKNOWN_COUNTRY_JA } from "../lib/countries.js";
+
+// ※ Supabase の spots には country_code / country_en / country_zh / country_es / country_fr の列が必要
+//   (supabase/migrations/20261018000300_spots_region_country.sql)
+
+export default {
+  name: "update countries",
+  description: "同梱の国境データ (Natural Earth) で座標から国名・国コードを付ける（オフライン）",
+  options: {
+    all: { type: "boolean", default: false },         // 国名が入っているスポットも判定し直す
+    "snap-km": { type: "string", default: "30" },    // 海上の点を何kmまで最寄りの国に寄せるか
+  },
+  async run(ctx) {
+    const snapKm = Number(ctx.flags["snap-km"]);
+    if (!(snapKm >= 0)) throw new Error(`--snap-km は0以上の数で指定してください: ${ctx.flags["snap-km"]}`);
+    const { locate, codeForName } = createCountryLocator({ snapKm });
+
+    console.log("🌍 スポット情報を取得中...");
+    // 既定は国名がまだないデータ (日本語国名がないもの、または前回「その他」になったもの) が対象
+    const allSpots = await ctx.selectSpots({ fields: 'id, lat, lon, name, country_ja, country_code' });
+    const spots = ctx.flags.all ? allSpots : allSpots.filter(s => !s.country_ja || s.country_ja === UNKNOWN_COUNTRY_JA);
+    // 日本語の国名は、データで既に使っている表記にそろえる
+    const namesJa = existingJapaneseNames(allSpots, codeForName);
+    console.log(`📋 ${spots.length} 件の国判定を開始します...`);
+
+    const summary = await ctx.runBatch(spots, async (spot) => {
+      const match = locate(spot.lat, spot.lon);
+      const fields = countryFields(match, { namesJa });
+      if (spot.country_ja === fields.country_ja && spot.country_code === fields.country_code) {
+        return { status: "skipped", message: `変更なし (${fields.country_ja})` };
+      }
+      await ctx.spots.updateSpot(spot.id, fields);
+      // 海の上などで国がない場合は「その他」
+      if (!match) return { status: "skipped", message: "国不明 → その他" };
+      const snapped = match.snappedKm > 0 ? ` (海岸まで${match.snappedKm}km)` : "";
+      const before = spot.country_ja && spot.country_ja !== fields.country_ja ? `${spot.country_ja} → ` : "";
+      return { status: "updated", message: `${before}${fields.country_ja}${snapped}` };
+    }, { describe: (spot) => spot.name.split('#')[0] });
+
+    ctx.printSummary(summary);
+  },
+};
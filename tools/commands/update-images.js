@@ -0,0 +1,23 @@
+import { findSpotImage } from "../lib/images.js";
+
+export default {
+  name: "update images",
+  description: "Wikipedia / Pixabay からスポット画像を取得する",
+  options: {
+    missing: { type: "boolean", default: false }, // 画像がまだないスポットだけ対象にする
+  },
+  async run(ctx) {
+    console.log("🔄 全データを取得中...");
+    const allSpots = await ctx.selectSpots(ctx.flags.missing ? { isNull: ['image_url'] } : {});
+    console.log(`📋 合計 ${allSpots.length} 件の画像チェックを開始します`);
+
+    const summary = await ctx.runBatch(allSpots, async (spot) => {
+      const image = await findSpotImage(spot);
+      if (!image) return { status: "failed", message: "画像なし" };
+      await ctx.spots.updateSpot(spot.id, { image_url: image.url });
+      return { status: "updated", message: `GET! (${image.source})` };
+    }, { intervalMs: 200, describe: (spot) => spot.name.substring(0, 10) });
+
+    ctx.printSummary(summary);
+  },
+};
@@ -0,0 +1,28 @@
+import { SEARCH_KEY_FIELDS, spotSearchKey } from "../../src/search/spotSearch.js";
+
+// ※ Supabase の spots には search_key の列と search_spots 関数が必要
+//   (supabase/migrations/20261018000600_spots_search_key.sql)
+//   以後の追加・更新はリポジトリが search_key を付け直すので、流すのは列を足したときと正規化を変えたときだけでよい
+
+export default {
+  name: "update search-keys",
+  description: "検索タブの DB 検索 (検索バンドルがないとき) が使う search_key を付ける（オフライン）",
+  options: {
+    all: { type: "boolean", default: false }, // search_key が入っているスポットも作り直す
+  },
+  async run(ctx) {
+    console.log("🔍 スポット情報を取得中...");
+    const allSpots = await ctx.selectSpots({ fields: `id, ${SEARCH_KEY_FIELDS.join(", ")}, search_key` });
+    const spots = ctx.flags.all ? allSpots : allSpots.filter(s => !s.search_key);
+    console.log(`📋 ${spots.length} 件の search_key を作ります...`);
+
+    const summary = await ctx.runBatch(spots, async (spot) => {
+      const searchKey = spotSearchKey(spot);
+      if (spot.search_key === searchKey) return { status: "skipped", message: "変更なし" };
+      await ctx.spots.updateSpot(spot.id, { search_key: searchKey });
+      return { status: "updated", message: `${searchKey.length}文字` };
+    }, { describe: (spot) => spot.name.split('#')[0] });
+
+    ctx.printSummary(summary);
+  },
+};
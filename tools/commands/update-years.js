@@ -0,0 +1,47 @@
+import { generateJson } from "../../src/ai/responses.js";
+import { YEAR_MAP_SCHEMA } from "../../src/ai/schemas.js";
+
+// AI処理のバッチサイズ (10件ずつ)
+const AI_BATCH_SIZE = 10;
+
+export default {
+  name: "update years",
+  description: "年代が未設定のスポットに建造・創設年をAIで付ける",
+  async run(ctx) {
+    console.log("⏳ 歴史データ（年代）の全件付与プロセスを開始します...");
+    const model = ctx.model("year");
+
+    // 年代が未設定(null)のデータをまとめて取得
+    // ※AIが年代不明と答えたものはnullのまま残るので、一覧は最初に1回だけ取る
+    const spots = await ctx.selectSpots({ isNull: ['year'] });
+    console.log(`📄 対象: ${spots.length} 件`);
+
+    // 再開の記録はスポット1件ごと (処理済みを除いてから10件ずつにまとめるので、一覧が変わってもずれない)
+    const summary = await ctx.runBatch(spots, async (batch) => {
+      const prompt = `
+        Identify the construction year or founding year (approximate AD/BC year) for these locations.
+        Return JSON object where key is ID and value is Year (integer). Use negative numbers for BC.
+        If unknown, exclude from JSON.
+        Example: {"123": 1603, "124": -2500}
+
+        Targets:
+        ${batch.map(s => `${s.id}: ${s.name} (${s.country || ''})`).join("\n")}
+      `;
+
+      // 範囲外・整数でない年は YEAR_MAP_SCHEMA で除外済み
+      const yearMap = await generateJson(model, prompt, YEAR_MAP_SCHEMA);
+      const batchIds = new Set(batch.map(s => String(s.id)));
+
+      const statuses = Object.fromEntries(batch.map(s => [s.id, "skipped"])); // 年代不明は skipped
+      for (const [id, year] of Object.entries(yearMap)) {
+        if (!batchIds.has(id)) continue; // 頼んでいないIDは無視
+        await ctx.spots.updateSpot(id, { year });
+        statuses[id] = "updated";
+      }
+      const count = Object.values(statuses).filter(status => status === "updated").length;
+      return { statuses, message: `${count}/${batch.length}件に年代を付与` };
+    }, { batchSize: AI_BATCH_SIZE, intervalMs: 2000, describe: (batch) => `ID ${batch[0].id}〜${batch[batch.length - 1].id}` }); // APIレート制限回避
+
+    ctx.printSummary(summary);
+  },
+};
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+// GeoVoice メンテナンス用CLI
+// 使い方: node tools/geovoice.js <グループ> <コマンド> [--dry-run] [--limit N] [--ids 1,2,3] [--since 2025-01-31]
+// 途中で止まったバッチは同じコマンドをもう一度実行すると続きから再開する (.geovoice/jobs/)
+import dotenv from "dotenv";
+import process from "process";
+import { COMMANDS } from "./commands/index.js";
+import { parseFlags, createContext } from "./lib/cli.js";
+
+dotenv.config({ quiet: true });
+
+const USAGE = `
+使い方: geovoice <コマンド> [オプション]
+
+共通オプション:
+  --dry-run        DBに書き込まずに実行内容だけ表示
+  --limit <N>      処理件数の上限
+  --ids <1,2,3>    指定IDのスポットだけ処理
+  --since <日付>   指定日以降に追加されたスポットだけ処理
+  --fresh          前回のチェックポイントを捨てて最初から処理
+  --retry-failed   前回失敗した項目だけやり直す
+  -h, --help       ヘルプを表示
+
+コマンド:
+${COMMANDS.map(c => `  ${c.name.padEnd(20)} ${c.description}`).join("\n")}
+`;
+
+function findCommand(argv) {
+  // "fix all" のように2語のコマンド名と一致させる
+  const words = argv.filter(a => !a.startsWith("-")).slice(0, 2).join(" ");
+  return COMMANDS.find(c => c.name === words);
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const command = findCommand(argv);
+  if (!command) {
+    console.log(USAGE);
+    process.exit(argv.length === 0 || argv.includes("--help") || argv.includes("-h") ? 0 : 1);
+  }
+
+  let flags;
+  try {
+    flags = parseFlags(argv, command.options);
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+  if (flags.help) {
+    const extra = Object.keys(command.options || {}).map(o => `  --${o}`).join("\n");
+    console.log(`geovoice ${command.name}\n  ${command.description}\n${extra ? `\n固有オプション:\n${extra}\n` : ""}${USAGE.split("コマンド:")[0]}`);
+    return;
+  }
+
+  try {
+    await command.run(createContext(flags, command.name));
+  } catch (e) {
+    console.error(`\n❌ ${command.name} が失敗しました:`, e.message);
+    process.exit(1);
+  }
+}
+
+main();
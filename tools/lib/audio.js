@@ -0,0 +1,51 @@
+// 音声ファイルの長さ (秒)。ライドが停留所ごとの正確な長さを使えるように DB に記録する
+// WAV はヘッダーから正確に、MP3 は最初のフレームのビットレートから求める (固定ビットレート前提)
+
+// Layer III のビットレート表 (MPEG-1 / MPEG-2・2.5)
+const MP3_BITRATES_KBPS = {
+  mpeg1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  mpeg2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+
+function wavDuration(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let byteRate = null;
+  // チャンクを順に読む ("fmt " のバイトレートと "data" の大きさ)
+  for (let offset = 12; offset + 8 <= bytes.length;) {
+    const id = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    const size = view.getUint32(offset + 4, true);
+    if (id === "fmt ") byteRate = view.getUint32(offset + 16, true);
+    // ストリーム出力などで大きさが 0 / 0xFFFFFFFF のときは残り全部を data とみなす
+    if (id === "data" && byteRate) return (size && size !== 0xffffffff ? Math.min(size, bytes.length - offset - 8) : bytes.length - offset - 8) / byteRate;
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+}
+
+function mp3Duration(bytes) {
+  let offset = 0;
+  // ID3v2 タグを飛ばす
+  if (bytes[0] === 0x49 && bytes[1] === 0x44 && bytes[2] === 0x33) {
+    offset = 10 + ((bytes[6] & 0x7f) << 21 | (bytes[7] & 0x7f) << 14 | (bytes[8] & 0x7f) << 7 | (bytes[9] & 0x7f));
+  }
+  for (; offset + 4 <= bytes.length; offset++) {
+    if (bytes[offset] !== 0xff || (bytes[offset + 1] & 0xe0) !== 0xe0) continue;
+    const table = ((bytes[offset + 1] >> 3) & 0x03) === 0x03 ? MP3_BITRATES_KBPS.mpeg1 : MP3_BITRATES_KBPS.mpeg2;
+    const kbps = table[bytes[offset + 2] >> 4];
+    if (kbps) return ((bytes.length - offset) * 8) / (kbps * 1000);
+  }
+  return null;
+}
+
+export function audioDuration(bytes, mimeType) {
+  const seconds = mimeType === "audio/wav" ? wavDuration(bytes) : mimeType === "audio/mpeg" ? mp3Duration(bytes) : null;
+  return seconds === null ? null : Math.round(seconds * 10) / 10;
+}
+
+export const AUDIO_EXTENSIONS = { "audio/wav": "wav", "audio/mpeg": "mp3" };
+
+// ファイル名の拡張子から mimeType (AUDIO_EXTENSIONS にないものは null)
+export function mimeTypeOfFile(file) {
+  const ext = file.slice(file.lastIndexOf(".") + 1).toLowerCase();
+  return Object.keys(AUDIO_EXTENSIONS).find(type => AUDIO_EXTENSIONS[type] === ext) || null;
+}
@@ -0,0 +1,101 @@
+import process from "process";
+
+// バッチ処理の共通部品 (待機・リトライ・進捗表示・集計)
+
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Gemini / 各種APIのレート制限エラーか？
+export const isRateLimitError = (e) =>
+  /429|quota|rate limit|too many requests/i.test(e?.message || "");
+
+// レート制限のときだけ待ってやり直す (待機時間は 30秒 → 60秒 → 120秒 ...)
+export async function withRetry(fn, { retries = 4, baseDelayMs = 30000, onRetry } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (e) {
+      if (!isRateLimitError(e) || attempt >= retries) throw e;
+      const delay = baseDelayMs * 2 ** attempt;
+      if (onRetry) onRetry(e, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+// 1行上書きの進捗バー
+export function createProgress(total, label = "") {
+  const update = (done, text = "") => {
+    const percent = total ? Math.round((done / total) * 100) : 100;
+    process.stdout.write(`\r[${percent}%] (${done}/${total}) ${label}${text}      `);
+  };
+  const log = (msg) => process.stdout.write(`\n${msg}\n`);
+  return { update, log };
+}
+
+/**
+ * items を1件ずつ handler に渡して処理する。
+ * handler は { status: 'updated' | 'skipped' | 'failed', message } を返す（何も返さなければ updated 扱い）。
+ * 例外は failed として記録し、レート制限だけは待ってから同じ item をやり直す。
+ * checkpoint を渡すと key(item) ごとの結果を記録し、処理済みの item は飛ばす。limit は飛ばした後の件数に効く。
+ * batchSize を指定すると、飛ばした後の item を batchSize 件ずつの配列にして handler に渡す (記録・集計は1件ずつ)。
+ * このとき handler は statuses: { [key]: status } で1件ごとの結果を返してもよい (ないものは status)
+ */
+export async function runBatch(items, handler, {
+  label = "", intervalMs = 0, describe = (item) => String(item.id ?? item), key = (item) => item.id ?? item, checkpoint = null, limit = null,
+  batchSize = null,
+} = {}) {
+  const pending = checkpoint ? items.filter(item => checkpoint.shouldProcess(key(item))) : items;
+  const limited = limit ? pending.slice(0, limit) : pending;
+  const targets = [];
+  if (batchSize) for (let i = 0; i < limited.length; i += batchSize) targets.push(limited.slice(i, i + batchSize));
+  else targets.push(...limited);
+  const summary = {
+    total: limited.length, updated: 0, skipped: 0, failed: 0, failures: [], startedAt: Date.now(),
+    alreadyDone: checkpoint && checkpoint.mode !== "retry-failed" ? items.length - pending.length : 0,
+  };
+  if (summary.alreadyDone > 0) console.log(`⏩ 前回の続きから再開します (処理済み ${summary.alreadyDone} 件をスキップ)`);
+  if (checkpoint?.mode === "retry-failed") console.log(`🔁 前回失敗した ${limited.length} 件だけをやり直します`);
+
+  const progress = createProgress(targets.length, label);
+  const onInterrupt = () => {
+    progress.log(checkpoint ? `🛑 中断しました。次回は続きから再開します (${checkpoint.file})` : "🛑 中断しました。");
+    process.exit(130);
+  };
+  process.once("SIGINT", onInterrupt);
+
+  for (let i = 0; i < targets.length; i++) {
+    const item = targets[i];
+    let result;
+    try {
+      result = await withRetry(() => handler(item, i), {
+        onRetry: (e, delay) => progress.log(`🛑 API制限検知。${delay / 1000}秒待機してリトライします...`),
+      });
+    } catch (e) {
+      result = { status: "failed", message: e.message };
+    }
+    const status = result?.status || "updated";
+    if (status === "failed") summary.failures.push({ item: describe(item), message: result.message });
+    (batchSize ? item : [item]).forEach(one => {
+      const oneStatus = result?.statuses?.[key(one)] || status;
+      summary[oneStatus]++;
+      if (checkpoint) checkpoint.record(key(one), oneStatus, result?.message);
+    });
+    progress.update(i + 1, `${describe(item)} : ${result?.message || status}`);
+
+    if (intervalMs && i < targets.length - 1) await sleep(intervalMs);
+  }
+  process.removeListener("SIGINT", onInterrupt);
+  if (checkpoint) checkpoint.finish();
+  process.stdout.write("\n");
+  return summary;
+}
+
+export function printSummary(summary, { dryRun = false } = {}) {
+  const seconds = Math.round((Date.now() - summary.startedAt) / 1000);
+  console.log("---------------------------------------------------");
+  console.log(`🎉 完了${dryRun ? " (dry-run: DBは変更していません)" : ""}  ${seconds}秒`);
+  console.log(`総数: ${summary.total} / 更新: ${summary.updated} / スキップ: ${summary.skipped} / 失敗: ${summary.failed}`);
+  summary.failures.slice(0, 20).forEach(f => console.log(`  ❌ ${f.item}: ${f.message}`));
+  if (summary.failures.length > 20) console.log(`  ...ほか ${summary.failures.length - 20} 件`);
+  if (summary.failed > 0 && !dryRun) console.log("💡 失敗した分だけやり直すには --retry-failed を付けて再実行してください。");
+}
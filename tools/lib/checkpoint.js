@@ -0,0 +1,65 @@
+import fs from "fs";
+import path from "path";
+
+// バッチ処理のチェックポイント (.geovoice/jobs/<ジョブ名>.json)
+// 1件処理するたびに書き出すので、途中で止まっても次回は続きから再開できる
+
+export const JOBS_DIR = path.resolve(".geovoice", "jobs");
+
+const jobFile = (jobName) => path.join(JOBS_DIR, `${jobName.replace(/\s+/g, "-")}.json`);
+
+const emptyState = (jobName) => ({
+  job: jobName, startedAt: new Date().toISOString(), updatedAt: null, finished: false, lastKey: null, items: {},
+});
+
+export function listCheckpoints() {
+  if (!fs.existsSync(JOBS_DIR)) return [];
+  return fs.readdirSync(JOBS_DIR)
+    .filter(f => f.endsWith(".json"))
+    .map(f => JSON.parse(fs.readFileSync(path.join(JOBS_DIR, f), "utf8")));
+}
+
+/**
+ * mode:
+ *   'resume'       前回が未完了なら処理済みの item を飛ばす（完了済みなら最初から）
+ *   'fresh'        前回の記録を捨てて最初から
+ *   'retry-failed' 前回失敗した item だけやり直す
+ * persist=false (dry-run) のときはファイルに書かない
+ * partial=true のときは最後まで処理しても完了扱いにしない（次回も続きから）
+ */
+export function openCheckpoint(jobName, { mode = "resume", persist = true, partial = false } = {}) {
+  const file = jobFile(jobName);
+  const saved = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+
+  if (mode === "retry-failed" && !saved) throw new Error(`チェックポイントがありません: ${file}`);
+
+  let state;
+  if (mode === "fresh" || !saved) state = emptyState(jobName);
+  else if (mode === "resume" && saved.finished) state = emptyState(jobName);
+  else state = { ...saved, finished: false };
+
+  const save = () => {
+    if (!persist) return;
+    state.updatedAt = new Date().toISOString();
+    fs.mkdirSync(JOBS_DIR, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(state, null, 2));
+  };
+
+  const statusOf = (key) => state.items[String(key)]?.status;
+
+  return {
+    mode,
+    file,
+    // このランで処理すべきか
+    shouldProcess: (key) => (mode === "retry-failed" ? statusOf(key) === "failed" : statusOf(key) === undefined),
+    record(key, status, message = "") {
+      state.items[String(key)] = { status, message, at: new Date().toISOString() };
+      state.lastKey = key;
+      save();
+    },
+    finish() {
+      state.finished = !partial;
+      save();
+    },
+  };
+}
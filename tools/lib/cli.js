@@ -0,0 +1,126 @@
+import process from "process";
+import readline from "readline";
+import { parseArgs } from "util";
+import { createRepositories } from "./repositories.js";
+import { runBatch, printSummary } from "./batch.js";
+import { openCheckpoint } from "./checkpoint.js";
+import { createLlm } from "../../src/ai/llm.js";
+import { createTts } from "../../src/ai/tts.js";
+import { createCommandTtsProvider } from "./commandTts.js";
+
+// 全コマンド共通のフラグ
+export const COMMON_OPTIONS = {
+  "dry-run": { type: "boolean", default: false },
+  limit: { type: "string" },
+  ids: { type: "string" },
+  since: { type: "string" },
+  fresh: { type: "boolean", default: false },
+  "retry-failed": { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+export function parseFlags(argv, options = {}) {
+  const { values, positionals } = parseArgs({ args: argv, options: { ...COMMON_OPTIONS, ...options }, allowPositionals: true });
+  const limit = values.limit ? parseInt(values.limit, 10) : null;
+  if (values.limit && (!Number.isInteger(limit) || limit <= 0)) throw new Error(`--limit は正の整数で指定してください: ${values.limit}`);
+  if (values.since && isNaN(Date.parse(values.since))) throw new Error(`--since は日付で指定してください (例: 2025-01-31): ${values.since}`);
+  if (values.fresh && values["retry-failed"]) throw new Error("--fresh と --retry-failed は同時に指定できません");
+  return {
+    ...values,
+    dryRun: values["dry-run"],
+    retryFailed: values["retry-failed"],
+    limit,
+    ids: values.ids ? values.ids.split(",").map(s => s.trim()).filter(Boolean).map(s => (isNaN(s) ? s : Number(s))) : [],
+    positionals,
+  };
+}
+
+// --dry-run 時は書き込み系を握りつぶしてログだけ出す
+function createDryRunSpotRepository(repo) {
+  const skip = (label) => async (...args) => {
+    console.log(`\n🧪 [dry-run] ${label}`, JSON.stringify(args).slice(0, 200));
+    return label === "insertSpots" ? [].concat(args[0]) : undefined;
+  };
+  return {
+    ...repo,
+    insertSpots: skip("insertSpots"),
+    updateSpot: skip("updateSpot"),
+    updateTranslations: skip("updateTranslations"),
+    deleteSpots: skip("deleteSpots"),
+    deleteAllSpots: skip("deleteAllSpots"),
+  };
+}
+
+function createDryRunUserRepository(repo) {
+  return {
+    ...repo,
+    moveFavorites: async (...args) => {
+      console.log(`\n🧪 [dry-run] moveFavorites`, JSON.stringify(args).slice(0, 200));
+      return 0;
+    },
+  };
+}
+
+// 取り消せない操作の前の確認 (--yes で省略できるようにするのは各コマンド側)
+export const ask = (question) => new Promise((resolve) => {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  rl.question(question, (answer) => { rl.close(); resolve(answer); });
+});
+
+// コマンドに渡すコンテキスト
+export function createContext(flags, jobName) {
+  let repositories = null;
+  const repos = () => {
+    if (!repositories) {
+      const created = createRepositories();
+      repositories = flags.dryRun
+        ? { spots: createDryRunSpotRepository(created.spots), users: createDryRunUserRepository(created.users) }
+        : created;
+    }
+    return repositories;
+  };
+
+  // --ids / --since を反映してスポットを取得 (--limit は runBatch 側で処理済みを除いた後に適用)
+  const selectSpots = async (options = {}) => {
+    const spots = await repos().spots.listSpots({
+      ...options,
+      ids: flags.ids,
+      since: flags.since,
+      onProgress: (n) => process.stdout.write(`\r📥 データ読み込み中... ${n}件`),
+    });
+    process.stdout.write("\n");
+    return spots;
+  };
+
+  // LLMはタスク名で引く (translate / categorize / year / generate)。モデルは .env で切り替える
+  let llm = null;
+  const getLlm = () => (llm ??= createLlm(process.env));
+
+  // 読み上げ音声の合成。TTS_PROVIDER=command ならローカルのTTSコマンド (TTS_COMMAND) を使う
+  let tts = null;
+  const getTts = () => (tts ??= createTts(process.env, {
+    providers: process.env.TTS_PROVIDER === "command"
+      ? { command: createCommandTtsProvider({ command: process.env.TTS_COMMAND, voices: (process.env.TTS_VOICES || "").split(",").map(v => v.trim()).filter(Boolean) }) }
+      : {},
+  }));
+
+  return {
+    flags,
+    get spots() { return repos().spots; },
+    get users() { return repos().users; },
+    get llm() { return getLlm(); },
+    get tts() { return getTts(); },
+    model: (task) => getLlm().model(task),
+    selectSpots,
+    runBatch: (items, handler, options) => {
+      const checkpoint = openCheckpoint(jobName, {
+        mode: flags.retryFailed ? "retry-failed" : flags.fresh ? "fresh" : "resume",
+        persist: !flags.dryRun,
+        // --limit などで一部だけ処理したときは、次回その続きから処理できるよう完了扱いにしない
+        partial: Boolean(flags.limit || flags.ids.length > 0 || flags.since),
+      });
+      return runBatch(items, handler, { ...options, checkpoint, limit: flags.limit });
+    },
+    printSummary: (summary) => printSummary(summary, { dryRun: flags.dryRun }),
+  };
+}
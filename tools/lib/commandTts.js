@@ -0,0 +1,47 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execFile } from "child_process";
+import { TtsError } from "../../src/ai/tts.js";
+
+// ローカルのTTSコマンド (piper / espeak-ng など) で音声を作るプロバイダー (TTS_PROVIDER=command)
+//   TTS_COMMAND  実行するコマンド。文は標準入力に渡し、{out} に WAV を書かせる。{lang} {voice} も置き換える
+//     例: piper --model voices/{voice}.onnx --output_file {out}
+//     例: espeak-ng -v {lang} -w {out} --stdin
+//   TTS_VOICES   選べる声 (カンマ区切り。先頭が既定)
+// 戻り値は src/ai/tts.js のプロバイダーと同じ形
+
+const TIMEOUT_MS = 120000;
+
+// シェルに渡す値は単引用符でくくる
+const quote = (value) => `'${String(value).replace(/'/g, "'\\''")}'`;
+
+export function createCommandTtsProvider({ command, voices = [] }) {
+  if (!command) throw new TtsError("TTS_COMMAND が設定されていません (例: piper --model voices/{voice}.onnx --output_file {out})");
+
+  return {
+    name: "command",
+    voices: () => voices,
+    async synthesize(text, { lang, voice } = {}) {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "geovoice-tts-"));
+      const out = path.join(dir, "narration.wav");
+      const line = command
+        .replaceAll("{out}", quote(out))
+        .replaceAll("{lang}", quote(lang || ""))
+        .replaceAll("{voice}", quote(voice || voices[0] || ""));
+      try {
+        await new Promise((resolve, reject) => {
+          const child = execFile("sh", ["-c", line], { timeout: TIMEOUT_MS }, (error, _stdout, stderr) => {
+            if (error) reject(new TtsError(`TTSコマンドが失敗しました: ${(stderr || error.message).slice(0, 200)}`));
+            else resolve();
+          });
+          child.stdin.end(text);
+        });
+        if (!fs.existsSync(out)) throw new TtsError(`TTSコマンドが ${out} を書き出しませんでした`);
+        return { audio: new Uint8Array(fs.readFileSync(out)), mimeType: "audio/wav" };
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    },
+  };
+}
@@ -0,0 +1,88 @@
+import { distanceKm } from "./dedup.js";
+
+// スポット座標の妥当性チェック
+// severity: 'error' は地球儀から隠す対象、'warning' は要確認 (レポートと修正キューにだけ載せる)
+
+const validRange = (lat, lon) =>
+  Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// gen landmarks が付けた region ごとの中心 (中央値)。3件未満の地域は判定しない
+export function computeRegionCenters(spots) {
+  const groups = new Map();
+  spots.filter(s => s.region && validRange(s.lat, s.lon)).forEach(s => {
+    const key = `${s.country || ""}|${s.region}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(s);
+  });
+  const centers = new Map();
+  groups.forEach((members, key) => {
+    if (members.length < 3) return;
+    centers.set(key, { lat: median(members.map(m => m.lat)), lon: median(members.map(m => m.lon)) });
+  });
+  return centers;
+}
+
+/**
+ * 1件分のチェック。issues が空なら問題なし
+ *   invalid          座標が null / 0 / 範囲外
+ *   swapped          緯度と経度が逆 (suggestion に直した座標)
+ *   ocean            どの国にも入らない (海上)
+ *   country_mismatch 宣言されている国 (country / country_ja / country_code) の外
+ *   region_outlier   同じ region のスポット群から大きく離れている
+ */
+export function checkSpotCoordinates(spot, { locator, regionCenters, borderKm = 25, regionKm = 300 }) {
+  const issues = [];
+  const { lat, lon } = spot;
+  const declaredCode = spot.country_code || locator.codeForName(spot.country) || locator.codeForName(spot.country_ja);
+
+  // 逆にしたら宣言どおりの国 (または少なくとも陸地) に入るか
+  const swappedMatch = validRange(lon, lat) && lat !== lon ? locator.locate(lon, lat) : null;
+  const swappedLooksRight = swappedMatch && (!declaredCode || swappedMatch.code === declaredCode);
+
+  if (!validRange(lat, lon) || lat === 0 || lon === 0) {
+    if (swappedLooksRight) {
+      issues.push({ type: "swapped", severity: "error", message: "緯度と経度が逆", suggestion: { lat: lon, lon: lat } });
+    } else {
+      issues.push({ type: "invalid", severity: "error", message: `座標が不正 (${lat}, ${lon})` });
+    }
+    return { issues, declaredCode, located: null };
+  }
+
+  const located = locator.locate(lat, lon);
+
+  if (!located) {
+    if (swappedLooksRight) {
+      issues.push({ type: "swapped", severity: "error", message: "緯度と経度が逆 (元の座標は海上)", suggestion: { lat: lon, lon: lat } });
+    } else {
+      // サンゴ礁や小さな島など、自然スポットは海上でもあり得る
+      const severity = spot.category === "nature" ? "warning" : "error";
+      issues.push({ type: "ocean", severity, message: "海の上" });
+    }
+  } else if (declaredCode && located.code !== declaredCode) {
+    if (swappedMatch && swappedMatch.code === declaredCode) {
+      issues.push({ type: "swapped", severity: "error", message: `緯度と経度が逆 (元の座標は ${located.names.ja})`, suggestion: { lat: lon, lon: lat } });
+    } else {
+      // 国境ぎわの誤差 (データの粗さ) は warning にとどめる
+      const km = locator.distanceToCountryKm(declaredCode, lat, lon);
+      const severity = km !== null && km <= borderKm ? "warning" : "error";
+      const where = km === null ? "" : ` (${Math.round(km)}km 外)`;
+      issues.push({ type: "country_mismatch", severity, message: `${spot.country_ja || spot.country} のはずが ${located.names.ja}${where}` });
+    }
+  }
+
+  const center = spot.region ? regionCenters.get(`${spot.country || ""}|${spot.region}`) : null;
+  if (center) {
+    const km = distanceKm(spot, center);
+    if (km > regionKm) {
+      issues.push({ type: "region_outlier", severity: "warning", message: `${spot.region} の他のスポットから ${Math.round(km)}km 離れている` });
+    }
+  }
+
+  return { issues, declaredCode, located };
+}
@@ -0,0 +1,184 @@
+import { createRequire } from "module";
+import countries from "i18n-iso-countries";
+import { feature } from "topojson-client";
+
+// オフライン逆ジオコーディング
+// 国境データ: world-atlas (Natural Earth 1:50m の TopoJSON) / 国名: i18n-iso-countries
+// 外部APIを呼ばないので、何度実行しても同じ座標には同じ国が付く
+
+const require = createRequire(import.meta.url);
+
+export const COUNTRY_LANGS = ["en", "ja", "zh", "es", "fr"];
+COUNTRY_LANGS.forEach(lang => countries.registerLocale(require(`i18n-iso-countries/langs/${lang}.json`)));
+
+// ISOコードがない地域 (Natural Earth 独自の区分) の日本語名
+const UNCODED_NAMES_JA = {
+  "Somaliland": "ソマリランド",
+  "Kosovo": "コソボ",
+  "N. Cyprus": "北キプロス",
+  "Indian Ocean Ter.": "オーストラリア領インド洋地域",
+  "Siachen Glacier": "シアチェン氷河",
+};
+
+// 日本語の国名は通称にそろえる (i18n-iso-countries の正式名称「ロシア連邦」「アメリカ合衆国」ではなく、データで使っている「ロシア」「アメリカ」)
+const SHORT_NAMES_JA = {
+  US: "アメリカ", RU: "ロシア", CN: "中国", KR: "韓国", KP: "北朝鮮", IR: "イラン", SY: "シリア",
+  LA: "ラオス", MD: "モルドバ", BO: "ボリビア", VE: "ベネズエラ",
+};
+
+// AIが書きがちな日本語の略称 (通称のほか)
+const JA_ALIASES = {
+  ...Object.fromEntries(Object.entries(SHORT_NAMES_JA).map(([code, name]) => [name, code])),
+  "米国": "US", "英国": "GB", "チェコ": "CZ",
+};
+
+// 海の上などで国が決まらないときの country_ja (従来の update countries と同じ)
+export const UNKNOWN_COUNTRY_JA = "その他";
+
+// --- 幾何計算 ---
+const bboxOf = (polygons) => {
+  let [minLon, minLat, maxLon, maxLat] = [Infinity, Infinity, -Infinity, -Infinity];
+  polygons.forEach(rings => rings[0].forEach(([lon, lat]) => {
+    minLon = Math.min(minLon, lon); maxLon = Math.max(maxLon, lon);
+    minLat = Math.min(minLat, lat); maxLat = Math.max(maxLat, lat);
+  }));
+  return [minLon, minLat, maxLon, maxLat];
+};
+
+// レイキャスティング法
+const inRing = (lon, lat, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+};
+
+// 外周の内側 かつ 穴 (内周) の外側
+const inPolygon = (lon, lat, rings) => inRing(lon, lat, rings[0]) && !rings.slice(1).some(r => inRing(lon, lat, r));
+
+// 点から線分までの距離 (km)。狭い範囲なので経度を cos(緯度) で縮めた平面として計算する
+const KM_PER_DEG = 111.32;
+const segmentDistanceKm = (lon, lat, [x1, y1], [x2, y2]) => {
+  const k = Math.cos((lat * Math.PI) / 180);
+  const ax = (x1 - lon) * k, ay = y1 - lat;
+  const bx = (x2 - lon) * k, by = y2 - lat;
+  const dx = bx - ax, dy = by - ay;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len2));
+  return Math.hypot(ax + t * dx, ay + t * dy) * KM_PER_DEG;
+};
+
+const distanceToPolygonsKm = (lon, lat, polygons) => {
+  let best = Infinity;
+  polygons.forEach(rings => rings.forEach(ring => {
+    for (let i = 1; i < ring.length; i++) best = Math.min(best, segmentDistanceKm(lon, lat, ring[i - 1], ring[i]));
+  }));
+  return best;
+};
+
+// --- 国データ ---
+function loadCountries(resolution) {
+  const topology = require(`world-atlas/countries-${resolution}.json`);
+  return feature(topology, topology.objects.countries).features
+    .filter(f => f.geometry)
+    .map(f => {
+      const polygons = f.geometry.type === "Polygon" ? [f.geometry.coordinates] : f.geometry.coordinates;
+      const code = f.id ? countries.numericToAlpha2(f.id) || null : null;
+      const names = Object.fromEntries(COUNTRY_LANGS.map(lang => [lang, (code && countries.getName(code, lang)) || null]));
+      names.en = f.properties.name; // 英語は Natural Earth の短い名前 ("Taiwan, Province of China" → "Taiwan")
+      names.ja = (code && SHORT_NAMES_JA[code]) || names.ja || UNCODED_NAMES_JA[f.properties.name] || f.properties.name;
+      return { code, names, polygons, bbox: bboxOf(polygons) };
+    });
+}
+
+/**
+ * locate(lat, lon) → { code, names: { en, ja, zh, es, fr }, snappedKm } / null
+ * どの国にも入らない点 (海岸線ぎりぎりの海上など) は snapKm 以内で一番近い国に寄せる (snappedKm に距離)
+ */
+export function createCountryLocator({ resolution = "50m", snapKm = 30 } = {}) {
+  const list = loadCountries(resolution);
+
+  const locate = (lat, lon) => {
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+
+    const hit = list.find(c => {
+      const [minLon, minLat, maxLon, maxLat] = c.bbox;
+      return lon >= minLon && lon <= maxLon && lat >= minLat && lat <= maxLat && c.polygons.some(p => inPolygon(lon, lat, p));
+    });
+    if (hit) return { code: hit.code, names: hit.names, snappedKm: 0 };
+    if (!(snapKm > 0)) return null;
+
+    // 海上: 範囲内 (bbox を snapKm 分広げて判定) の国から最寄りの海岸線を探す
+    const margin = snapKm / KM_PER_DEG;
+    const lonMargin = margin / Math.max(Math.cos((lat * Math.PI) / 180), 0.01);
+    let nearest = null;
+    list.forEach(c => {
+      const [minLon, minLat, maxLon, maxLat] = c.bbox;
+      if (lon < minLon - lonMargin || lon > maxLon + lonMargin || lat < minLat - margin || lat > maxLat + margin) return;
+      const km = distanceToPolygonsKm(lon, lat, c.polygons);
+      if (km <= snapKm && (!nearest || km < nearest.km)) nearest = { country: c, km };
+    });
+    if (!nearest) return null;
+    return { code: nearest.country.code, names: nearest.country.names, snappedKm: Math.round(nearest.km * 10) / 10 };
+  };
+
+  // 国名 (どの言語でも) → ISOコード。"Japan" / "日本" / "Japon" など
+  const byName = new Map();
+  const normalize = (name) => String(name).normalize("NFKC").toLowerCase().replace(/[\s.,'’()・-]/g, "");
+  list.forEach(c => Object.values(c.names).filter(Boolean).forEach(n => byName.set(normalize(n), c.code)));
+  Object.entries(JA_ALIASES).forEach(([n, code]) => byName.set(normalize(n), code));
+  const codeForName = (name) => {
+    if (!name) return null;
+    return byName.get(normalize(name)) || COUNTRY_LANGS.map(lang => countries.getAlpha2Code(name, lang)).find(Boolean) || null;
+  };
+
+  // 指定した国の国境 (海岸線) までの距離。国の中なら 0
+  const distanceToCountryKm = (code, lat, lon) => {
+    const parts = list.filter(c => c.code === code);
+    if (parts.length === 0) return null;
+    if (parts.some(c => c.polygons.some(p => inPolygon(lon, lat, p)))) return 0;
+    return Math.min(...parts.map(c => distanceToPolygonsKm(lon, lat, c.polygons)));
+  };
+
+  return { locate, codeForName, distanceToCountryKm };
+}
+
+/**
+ * データで既に使っている日本語の国名 (国コードごとに一番多いもの)。
+ * 同じ国に別の表記 (「アメリカ合衆国」と「アメリカ」など) を書き足して、国の一覧やお気に入りの国別表示が割れないようにする
+ *   spots: [{ country_ja }] / codeForName: createCountryLocator の codeForName
+ */
+export function existingJapaneseNames(spots, codeForName) {
+  const counts = new Map(); // code → Map(name → 件数)
+  spots.forEach(({ country_ja: name }) => {
+    if (!name || name === UNKNOWN_COUNTRY_JA) return;
+    const code = codeForName(name);
+    if (!code) return;
+    if (!counts.has(code)) counts.set(code, new Map());
+    counts.get(code).set(name, (counts.get(code).get(name) || 0) + 1);
+  });
+  return new Map([...counts].map(([code, names]) => [code, [...names].sort((a, b) => b[1] - a[1])[0][0]]));
+}
+
+// locate() の結果 → spots テーブルの列。国が決まらなければ国名の列はすべて空にする (前回の値を残さない)
+//   namesJa: existingJapaneseNames の結果 (あればその表記を country_ja に使う)
+export function countryFields(match, { namesJa = null } = {}) {
+  if (!match) {
+    return {
+      country: null, country_ja: UNKNOWN_COUNTRY_JA, country_code: null,
+      country_en: null, country_zh: null, country_es: null, country_fr: null,
+    };
+  }
+  return {
+    country: match.names.en,
+    country_ja: (match.code && namesJa?.get(match.code)) || match.names.ja,
+    country_code: match.code,
+    country_en: match.names.en,
+    country_zh: match.names.zh,
+    country_es: match.names.es,
+    country_fr: match.names.fr,
+  };
+}
@@ -0,0 +1,145 @@
+// 重複スポットの検出と統合ルール
+// 「近い場所にある」+「名前が似ている (どれかの言語同士で)」ものを同じ場所の候補としてまとめる
+
+export const NAME_FIELDS = ["name", "name_ja", "name_en", "name_zh", "name_es", "name_fr"];
+
+// 統合時に「長い方を残す」フィールド
+const LONGEST_WINS = ["description", "description_ja", "description_en", "description_zh", "description_es", "description_fr"];
+
+// 統合しても引き継がないフィールド
+const SYSTEM_FIELDS = ["id", "created_at"];
+
+const isEmpty = (v) => v === null || v === undefined || v === "";
+
+// 名前の正規化: "#世界遺産" などのタグ・記号・空白を落とし、全角半角とカタカナ/ひらがなを揃える
+export function normalizeName(name) {
+  if (!name) return "";
+  return String(name)
+    .split("#")[0]
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[ァ-ヶ]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0x60))
+    .replace(/[\s\p{P}\p{S}]/gu, "");
+}
+
+const bigrams = (s) => {
+  const grams = [];
+  for (let i = 0; i < s.length - 1; i++) grams.push(s.slice(i, i + 2));
+  return grams;
+};
+
+// 0〜1 の類似度 (バイグラムの Dice 係数。片方がもう片方を含む場合は高めに見る)
+export function nameSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const shorter = a.length < b.length ? a : b;
+  const longer = a.length < b.length ? b : a;
+  const contains = shorter.length >= 3 && longer.includes(shorter) ? 0.85 : 0;
+  if (shorter.length < 2) return contains;
+
+  const gramsA = bigrams(a);
+  const pool = bigrams(b);
+  let overlap = 0;
+  gramsA.forEach(g => {
+    const i = pool.indexOf(g);
+    if (i !== -1) { overlap++; pool.splice(i, 1); }
+  });
+  return Math.max(contains, (2 * overlap) / (gramsA.length + bigrams(b).length));
+}
+
+// 全言語の名前の組み合わせで一番高い類似度
+export function spotSimilarity(a, b) {
+  const namesA = [...new Set(NAME_FIELDS.map(f => normalizeName(a[f])).filter(Boolean))];
+  const namesB = [...new Set(NAME_FIELDS.map(f => normalizeName(b[f])).filter(Boolean))];
+  let best = 0;
+  namesA.forEach(x => namesB.forEach(y => { best = Math.max(best, nameSimilarity(x, y)); }));
+  return best;
+}
+
+export function distanceKm(a, b) {
+  const R = 6371;
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * 重複候補のクラスタを返す。
+ *   radiusKm  以内 かつ 名前の類似度 threshold 以上 → confidence: 'high'
+ *   nearKm    以内 (言語違いで名前を比べられない場合) → confidence: 'low' (要確認)
+ */
+export function findDuplicateClusters(spots, { radiusKm = 2, threshold = 0.6, nearKm = 0.15 } = {}) {
+  const points = spots.filter(s => Number.isFinite(s.lat) && Number.isFinite(s.lon)).sort((a, b) => a.lat - b.lat);
+  const dLat = radiusKm / 111; // 緯度1度 ≒ 111km
+
+  // union-find
+  const parent = new Map(points.map(s => [s.id, s.id]));
+  const find = (id) => (parent.get(id) === id ? id : find(parent.get(id)));
+  const links = [];
+
+  // 緯度順に並べて、緯度差が半径以内のものだけ比べる
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length && points[j].lat - points[i].lat <= dLat; j++) {
+      const a = points[i];
+      const b = points[j];
+      const km = distanceKm(a, b);
+      if (km > radiusKm) continue;
+      const similarity = spotSimilarity(a, b);
+      const confidence = similarity >= threshold ? "high" : km <= nearKm ? "low" : null;
+      if (!confidence) continue;
+      links.push({ a: a.id, b: b.id, km, similarity, confidence });
+      parent.set(find(a.id), find(b.id));
+    }
+  }
+
+  const byRoot = new Map();
+  points.forEach(s => {
+    const root = find(s.id);
+    if (!byRoot.has(root)) byRoot.set(root, []);
+    byRoot.get(root).push(s);
+  });
+
+  return [...byRoot.values()]
+    .filter(members => members.length > 1)
+    .map(members => {
+      const ids = new Set(members.map(m => m.id));
+      const clusterLinks = links.filter(l => ids.has(l.a));
+      return {
+        members,
+        links: clusterLinks,
+        confidence: clusterLinks.every(l => l.confidence === "high") ? "high" : "low",
+      };
+    });
+}
+
+// 埋まっているフィールドが多いほど「リッチ」。同点なら古い (IDが小さい) 方
+export function richness(spot) {
+  const filled = Object.entries(spot).filter(([k, v]) => !SYSTEM_FIELDS.includes(k) && !isEmpty(v)).length;
+  const textLength = LONGEST_WINS.reduce((sum, f) => sum + (spot[f]?.length || 0), 0);
+  return filled + textLength / 1000;
+}
+
+export function chooseSurvivor(spots) {
+  return [...spots].sort((a, b) => richness(b) - richness(a) || a.id - b.id)[0];
+}
+
+// 残すスポットに対する更新内容: 空欄は他から埋め、解説は一番長いものを採用
+export function buildMergePatch(survivor, duplicates) {
+  const donors = [...duplicates].sort((a, b) => richness(b) - richness(a));
+  const patch = {};
+  const keys = new Set(donors.flatMap(d => Object.keys(d)));
+  keys.forEach(key => {
+    if (SYSTEM_FIELDS.includes(key)) return;
+    if (LONGEST_WINS.includes(key)) {
+      const longest = [survivor, ...donors].map(s => s[key]).filter(v => !isEmpty(v)).sort((a, b) => b.length - a.length)[0];
+      if (longest && longest !== survivor[key]) patch[key] = longest;
+      return;
+    }
+    if (!isEmpty(survivor[key])) return;
+    const donor = donors.find(d => !isEmpty(d[key]));
+    if (donor) patch[key] = donor[key];
+  });
+  return patch;
+}
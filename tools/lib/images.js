@@ -0,0 +1,50 @@
+import fetch from "node-fetch";
+import process from "process";
+
+// スポット画像の取得 (Wikipedia → Pixabay の順に探す)
+
+// Wikipediaから取得
+export async function fetchFromWikipedia(query) {
+  try {
+    const url = `https://en.wikipedia.org/w/api.php?action=query&titles=${encodeURIComponent(query)}&prop=pageimages&format=json&pithumbsize=600&origin=*`;
+    const res = await fetch(url);
+    const json = await res.json();
+    const pages = json.query?.pages;
+    if (pages) {
+      const pageId = Object.keys(pages)[0];
+      if (pageId !== "-1" && pages[pageId].thumbnail) {
+        return pages[pageId].thumbnail.source;
+      }
+    }
+  } catch { return null; }
+  return null;
+}
+
+// Pixabayから取得
+export async function fetchFromPixabay(query) {
+  const PIXABAY_KEY = process.env.VITE_PIXABAY_API_KEY;
+  if (!PIXABAY_KEY) return null;
+  try {
+    const url = `https://pixabay.com/api/?key=${PIXABAY_KEY}&q=${encodeURIComponent(query)}&image_type=photo&category=travel&per_page=3`;
+    const res = await fetch(url);
+    const json = await res.json();
+    if (json.hits && json.hits.length > 0) {
+      return json.hits[0].webformatURL;
+    }
+  } catch { return null; }
+  return null;
+}
+
+// 英語名 → 日本語名の順に探して { url, source } を返す
+export async function findSpotImage(spot) {
+  const searchNameEn = (spot.name_en || spot.name).split('#')[0].trim();
+  const searchNameJa = (spot.name_ja || spot.name).split('#')[0].trim();
+
+  let url = await fetchFromWikipedia(searchNameEn);
+  if (url) return { url, source: "Wiki" };
+  url = await fetchFromPixabay(searchNameEn);
+  if (url) return { url, source: "Pixabay(En)" };
+  url = await fetchFromPixabay(searchNameJa);
+  if (url) return { url, source: "Pixabay(Ja)" };
+  return null;
+}
@@ -0,0 +1,46 @@
+import { createClient } from "@supabase/supabase-js";
+import fs from "fs";
+import path from "path";
+import process from "process";
+import { fileURLToPath } from "url";
+import { createSupabaseSpotRepository, createSupabaseUserRepository } from "../../src/repositories/supabaseRepository.js";
+import { createLocalStore, createLocalSpotRepository, createLocalUserRepository } from "../../src/repositories/localRepository.js";
+
+// tools/ 用のリポジトリ生成。
+// VITE_DATA_BACKEND=local なら Supabase の代わりに JSON ファイル (VITE_LOCAL_DB_PATH) を読み書きする
+
+const FIXTURE_PATH = fileURLToPath(new URL("../../src/data/fixtures.json", import.meta.url));
+
+function createLocalRepositories() {
+  const dbPath = path.resolve(process.env.VITE_LOCAL_DB_PATH || ".local-db.json");
+  // 初回はフィクスチャをコピーして使う
+  const source = fs.existsSync(dbPath) ? dbPath : FIXTURE_PATH;
+  const initial = JSON.parse(fs.readFileSync(source, "utf8"));
+  const store = createLocalStore(initial, {
+    persist: (state) => fs.writeFileSync(dbPath, JSON.stringify(state, null, 2)),
+  });
+  console.log(`💾 ローカルDBを使用: ${dbPath}`);
+  return { spots: createLocalSpotRepository(store), users: createLocalUserRepository(store) };
+}
+
+// serviceRole: サービスロールキー (SUPABASE_SERVICE_ROLE_KEY) を必須にする。
+//   server/ はこれで書き込む (spots への insert / update は匿名キーでは RLS で拒否される。supabase/migrations/)
+//   VITE_ の付かない名前なので、ブラウザのバンドルには入らない
+export function createRepositories({ serviceRole = false } = {}) {
+  if (process.env.VITE_DATA_BACKEND === "local") return createLocalRepositories();
+
+  const SUPABASE_URL = process.env.VITE_SUPABASE_URL;
+  const SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (serviceRole && !SERVICE_ROLE_KEY) {
+    throw new Error(".env に SUPABASE_SERVICE_ROLE_KEY を設定してください (匿名キーではスポットを書き込めません)");
+  }
+  // tools/ は読むだけのコマンドもあるので匿名キーでも動かす (書き込むコマンドはサービスロールキーが必要)
+  const SUPABASE_KEY = SERVICE_ROLE_KEY || process.env.VITE_SUPABASE_ANON_KEY || process.env.VITE_SUPABASE_KEY;
+  if (!SUPABASE_URL || !SUPABASE_KEY) {
+    console.error("❌ Error: .envの設定を確認してください (VITE_SUPABASE_URL / SUPABASE_SERVICE_ROLE_KEY)");
+    process.exit(1);
+  }
+  if (!SERVICE_ROLE_KEY) console.warn("⚠️ SUPABASE_SERVICE_ROLE_KEY がないため匿名キーで接続します (スポットの書き込みは拒否されます)");
+  const supabase = createClient(SUPABASE_URL, SUPABASE_KEY, { auth: { persistSession: false } });
+  return { spots: createSupabaseSpotRepository(supabase), users: createSupabaseUserRepository(supabase) };
+}
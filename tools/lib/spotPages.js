@@ -0,0 +1,104 @@
+import { LANGUAGES } from "../../src/data/languages.js";
+import { spotPath } from "../../src/links/deepLinks.js";
+
+// スポットごとの静的HTML (OGP / hreflang / 構造化データ付き)
+// ビルド済みの dist/index.html をひな形にするので、ページを開くとそのまま地球儀アプリが起動してそのスポットへ飛ぶ
+
+const DESCRIPTION_MAX = 160;
+
+export const escapeHtml = (text) => String(text ?? "")
+  .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+
+const stripTag = (name) => String(name || "").split("#")[0].trim();
+
+// 言語ごとの名前・解説 (アプリの表示と同じく、なければ元の name / description)
+export function localizedSpot(spot, lang) {
+  return {
+    name: stripTag(spot[`name_${lang}`] || spot.name),
+    description: spot[`description_${lang}`] || spot.description || "",
+  };
+}
+
+// 空欄の言語は元の description が出るだけなので、hreflang は訳がある言語だけにする
+export function availableLanguages(spot) {
+  return Object.keys(LANGUAGES).filter(lang => lang === "ja" || spot[`name_${lang}`] || spot[`description_${lang}`]);
+}
+
+const truncate = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+export function renderSpotPage(template, spot, lang, { siteUrl }) {
+  const { name, description } = localizedSpot(spot, lang);
+  const url = `${siteUrl}${spotPath(spot.id, lang)}`;
+  const image = spot.image_url || `${siteUrl}/pwa-512x512.png`;
+  const summary = truncate(description.replace(/\s+/g, " ").trim(), DESCRIPTION_MAX);
+  const title = `${name} | GeoVoice`;
+  const country = spot[`country_${lang}`] || (lang === "ja" ? spot.country_ja : spot.country) || "";
+
+  const alternates = availableLanguages(spot).map(l =>
+    `<link rel="alternate" hreflang="${l}" href="${escapeHtml(`${siteUrl}${spotPath(spot.id, l)}`)}" />`);
+  alternates.push(`<link rel="alternate" hreflang="x-default" href="${escapeHtml(`${siteUrl}${spotPath(spot.id, "ja")}`)}" />`);
+
+  const jsonLd = {
+    "@context": "https://schema.org",
+    "@type": "TouristAttraction",
+    name,
+    description: summary,
+    image,
+    url,
+    geo: { "@type": "GeoCoordinates", latitude: spot.lat, longitude: spot.lon },
+    ...(country ? { address: { "@type": "PostalAddress", addressCountry: country } } : {}),
+  };
+
+  const head = [
+    `<title>${escapeHtml(title)}</title>`,
+    `<meta name="description" content="${escapeHtml(summary)}" />`,
+    `<link rel="canonical" href="${escapeHtml(url)}" />`,
+    ...alternates,
+    `<meta property="og:type" content="article" />`,
+    `<meta property="og:site_name" content="GeoVoice" />`,
+    `<meta property="og:title" content="${escapeHtml(title)}" />`,
+    `<meta property="og:description" content="${escapeHtml(summary)}" />`,
+    `<meta property="og:url" content="${escapeHtml(url)}" />`,
+    `<meta property="og:image" content="${escapeHtml(image)}" />`,
+    `<meta property="og:locale" content="${LANGUAGES[lang].locale}" />`,
+    `<meta name="twitter:card" content="${spot.image_url ? "summary_large_image" : "summary"}" />`,
+    `<meta name="twitter:title" content="${escapeHtml(title)}" />`,
+    `<meta name="twitter:description" content="${escapeHtml(summary)}" />`,
+    `<meta name="twitter:image" content="${escapeHtml(image)}" />`,
+    `<script type="application/ld+json">${JSON.stringify(jsonLd).replace(/</g, "\\u003c")}</script>`,
+  ].join("\n    ");
+
+  // #root の中身は React の起動時に置き換わる (検索エンジンとJSなしの閲覧用)
+  const body = [
+    `<article style="max-width:640px;margin:40px auto;padding:0 20px;color:#ddd;font-family:sans-serif;line-height:1.7">`,
+    `<h1 style="color:#ffccaa">${escapeHtml(name)}</h1>`,
+    country ? `<p style="color:#888">${escapeHtml(country)}</p>` : "",
+    spot.image_url ? `<img src="${escapeHtml(spot.image_url)}" alt="${escapeHtml(name)}" style="width:100%;border-radius:12px" />` : "",
+    `<p>${escapeHtml(description)}</p>`,
+    `<p><a href="${escapeHtml(spotPath(spot.id, lang))}" style="color:#00ffcc">🌍 GeoVoice</a></p>`,
+    `</article>`,
+  ].filter(Boolean).join("\n      ");
+
+  // 置換文字列の $ が解釈されないよう関数で渡す
+  return template
+    .replace(/<html lang="[^"]*">/, () => `<html lang="${lang}">`)
+    .replace(/<title>.*?<\/title>/s, () => head)
+    .replace('<div id="root"></div>', () => `<div id="root">\n      ${body}\n    </div>`);
+}
+
+export function renderSitemap(entries, { siteUrl }) {
+  const urls = entries.map(({ spot, langs }) => langs.map(lang => [
+    "  <url>",
+    `    <loc>${escapeHtml(`${siteUrl}${spotPath(spot.id, lang)}`)}</loc>`,
+    ...langs.map(l => `    <xhtml:link rel="alternate" hreflang="${l}" href="${escapeHtml(`${siteUrl}${spotPath(spot.id, l)}`)}" />`),
+    "  </url>",
+  ].join("\n")).join("\n"));
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+    ...urls,
+    "</urlset>",
+    "",
+  ].join("\n");
+}
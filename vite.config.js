@@ -3,18 +3,96 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import { VitePWA } from 'vite-plugin-pwa'
+import { existsSync, readFileSync } from 'node:fs'
+import { validateBgmManifest } from './src/audio/bgmManifest.js'
+
+// ★組み込みBGMの一覧 (src/data/bgm.json) を検査する。ビルドでは public/bgm/ にない曲があれば失敗させる (開発中は警告だけ)
+const bgmManifestCheck = () => {
+  let command = 'serve';
+  return {
+    name: 'geovoice-bgm-manifest',
+    configResolved(config) { command = config.command; },
+    buildStart() {
+      const manifestPath = 'src/data/bgm.json';
+      this.addWatchFile(manifestPath);
+      const manifest = JSON.parse(readFileSync(manifestPath, 'utf8'));
+      const errors = validateBgmManifest(manifest, { fileExists: (url) => existsSync(`public${decodeURI(url)}`) });
+      if (errors.length === 0) return;
+      const message = `${manifestPath} に問題があります:\n  ${errors.join('\n  ')}`;
+      if (command === 'build') this.error(message);
+      else this.warn(message);
+    },
+  };
+};
+
+// ★オフライン用に明示的に保存した画像・BGM (src/offline/media.js の geovoice-offline-media) を、通常のキャッシュより先に返す。
+// ふだん表示しただけのものは別のキャッシュ (上限つき) に入れ、保存済みの件数・削除に混ぜない
+// (Service Worker に文字列として埋め込まれるので、外の変数は参照しない)
+const offlineMediaFirst = {
+  cachedResponseWillBeUsed: async ({ request, cachedResponse }) =>
+    (await caches.match(request, { cacheName: 'geovoice-offline-media' })) || cachedResponse || null,
+};
 
 export default defineConfig({
+  // ★開発時は /api を server/ (npm run api) へ転送
+  server: {
+    proxy: {
+      '/api': {
+        target: 'http://localhost:8787',
+        rewrite: (path) => path.replace(/^\/api/, ''),
+      },
+    },
+  },
   plugins: [
     react(),
+    bgmManifestCheck(),
     VitePWA({
-      registerType: 'autoUpdate', // これだけだと弱い場合がある
+      // ★更新は UpdatePrompt が適用する (再生中・ライド中に勝手にリロードしないよう、新しいSWは待機させる)
+      registerType: 'prompt',
       
-      // ★追加: 積極的な更新設定
       workbox: {
         cleanupOutdatedCaches: true, // 古いキャッシュを削除
-        skipWaiting: true,           // 待機せずに新しいSWを適用
         clientsClaim: true,          // 即座にページを制御
+        // ★スポット一覧・検索用のバンドル (geovoice export spots)。ファイル名にハッシュが入るので本体は CacheFirst
+        runtimeCaching: [
+          {
+            urlPattern: ({ url }) => url.pathname === '/spots/manifest.json',
+            handler: 'NetworkFirst',
+            options: { cacheName: 'spot-manifest', networkTimeoutSeconds: 3 },
+          },
+          {
+            urlPattern: ({ url }) => url.pathname.startsWith('/spots/') && /\.(geojson|json)$/.test(url.pathname) && url.pathname !== '/spots/manifest.json',
+            handler: 'CacheFirst',
+            options: { cacheName: 'spot-bundles', expiration: { maxEntries: 30 } },
+          },
+          {
+            urlPattern: ({ request }) => request.destination === 'image',
+            handler: 'CacheFirst',
+            options: {
+              cacheName: 'spot-images',
+              expiration: { maxEntries: 300, maxAgeSeconds: 30 * 24 * 60 * 60 },
+              cacheableResponse: { statuses: [0, 200] },
+              plugins: [offlineMediaFirst], // 上限切れの判定のあとに置く (保存したものは期限で捨てない)
+            },
+          },
+          // ★前もって作った読み上げ音声 (geovoice render narration)。ファイル名が文のハッシュなので CacheFirst
+          {
+            urlPattern: ({ url }) => url.pathname.startsWith('/narration/'),
+            handler: 'CacheFirst',
+            options: { cacheName: 'narration-audio', expiration: { maxEntries: 500 }, cacheableResponse: { statuses: [0, 200] }, rangeRequests: true },
+          },
+          {
+            urlPattern: ({ url }) => url.pathname.startsWith('/bgm/'),
+            handler: 'CacheFirst',
+            options: {
+              cacheName: 'bgm-audio',
+              expiration: { maxEntries: 50 },
+              cacheableResponse: { statuses: [0, 200] },
+              plugins: [offlineMediaFirst],
+              rangeRequests: true,
+            },
+          },
+        ],
       },
 
       includeAssets: ['favicon.ico', 'apple-touch-icon.png', 'masked-icon.svg'],